@@ -44,8 +44,28 @@ class Config {
       ws: process.env.RPC_WS_URL || 'wss://rpc.pulsechain.com',
       timeout: parseInt(process.env.RPC_TIMEOUT || '30000'),
       retries: parseInt(process.env.RPC_RETRIES || '3'),
+      // Max calls per JSON-RPC batch request
+      maxBatchSize: parseInt(process.env.RPC_MAX_BATCH_SIZE || '50'),
+      // Client-side throttle across all endpoints (0 = no rps limit)
+      maxRps: parseFloat(process.env.RPC_MAX_RPS || '0'),
+      concurrency: {
+        initial: parseInt(process.env.RPC_INITIAL_CONCURRENCY || '8'),
+        min: parseInt(process.env.RPC_MIN_CONCURRENCY || '1'),
+        max: parseInt(process.env.RPC_MAX_CONCURRENCY || '32'),
+      },
+      rateLimitBackoff: parseInt(process.env.RPC_RATE_LIMIT_BACKOFF || '1000'),
+      // Health tracking for the endpoint pool
+      pool: {
+        quarantineCooldown: parseInt(process.env.RPC_QUARANTINE_COOLDOWN || '30000'),
+        maxConsecutiveFailures: parseInt(process.env.RPC_MAX_CONSECUTIVE_FAILURES || '3'),
+        maxErrorRate: parseFloat(process.env.RPC_MAX_ERROR_RATE || '0.5'),
+        maxHeadLag: parseInt(process.env.RPC_MAX_HEAD_LAG || '10'),
+      },
     };
 
+    // RPC_URLS (comma separated, "url;weight=2;rps=20") overrides RPC_URL
+    this.rpc.endpoints = this.parseEndpoints(process.env.RPC_URLS, this.rpc.http);
+
     // Indexer Configuration
     this.indexer = {
       startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0'),
@@ -53,16 +73,55 @@ class Config {
       parallelBatches: parseInt(process.env.INDEXER_PARALLEL_BATCHES || '5'),
       blockDelay: parseInt(process.env.INDEXER_BLOCK_DELAY || '0'),
       enableReorgCheck: process.env.INDEXER_ENABLE_REORG_CHECK !== 'false',
+      // Deepest reorg rolled back automatically (walk back to the common ancestor);
+      // blocks this deep count as finalized if the node has no `finalized` tag
+      maxReorgDepth: parseInt(process.env.INDEXER_MAX_REORG_DEPTH || '64'),
+      // Only index blocks this many blocks below the chain head
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0'),
+      // Requires the debug namespace (debug_traceBlockByNumber) on the RPC node
+      enableTracing: process.env.INDEXER_ENABLE_TRACING === 'true',
+      // Real-time sync: newHeads over RPC_WS_URL, polling as fallback
+      subscribeNewHeads: process.env.INDEXER_SUBSCRIBE_NEW_HEADS !== 'false',
+      pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || '12000'),
+      headTimeout: parseInt(process.env.INDEXER_HEAD_TIMEOUT || '60000'),
+      resubscribeDelay: parseInt(process.env.INDEXER_RESUBSCRIBE_DELAY || '1000'),
+      resubscribeMaxDelay: parseInt(process.env.INDEXER_RESUBSCRIBE_MAX_DELAY || '60000'),
+      // Failed batches are kept in sync_failed_batches and retried with backoff
+      failedBatchRetryDelay: parseInt(process.env.INDEXER_FAILED_BATCH_RETRY_DELAY || '60000'),
+      failedBatchRetryMaxDelay: parseInt(process.env.INDEXER_FAILED_BATCH_RETRY_MAX_DELAY || '3600000'),
+      // Drop secondary indexes and foreign keys for historical syncs of at least
+      // bulkLoadMinBlocks blocks; rebuilt before real-time sync starts
+      bulkLoad: process.env.INDEXER_BULK_LOAD === 'true',
+      bulkLoadMinBlocks: parseInt(process.env.INDEXER_BULK_LOAD_MIN_BLOCKS || '1000000'),
     };
 
-    // API Configuration (for future use)
+    // Token Cataloger Configuration
+    this.cataloger = {
+      enabled: process.env.TOKEN_CATALOGER_ENABLED !== 'false',
+      interval: parseInt(process.env.TOKEN_CATALOGER_INTERVAL || '30000'),
+      batchSize: parseInt(process.env.TOKEN_CATALOGER_BATCH_SIZE || '25'),
+      maxAttempts: parseInt(process.env.TOKEN_CATALOGER_MAX_ATTEMPTS || '10'),
+      retryDelay: parseInt(process.env.TOKEN_CATALOGER_RETRY_DELAY || '60000'),
+      retryMaxDelay: parseInt(process.env.TOKEN_CATALOGER_RETRY_MAX_DELAY || '3600000'),
+    };
+
+    // API Configuration
     this.api = {
       port: parseInt(process.env.PORT || '3000'),
       host: process.env.API_HOST || '0.0.0.0',
       corsOrigin: process.env.CORS_ORIGIN || '*',
     };
 
+    // WebSocket Feed Configuration (served by the indexer process)
+    this.feed = {
+      enabled: process.env.FEED_ENABLED !== 'false',
+      port: parseInt(process.env.FEED_PORT || '3001'),
+      host: process.env.FEED_HOST || '0.0.0.0',
+      maxSubscriptions: parseInt(process.env.FEED_MAX_SUBSCRIPTIONS || '100'),
+    };
+
     // Redis Configuration (for future use)
+    // The block TTLs also set the API's Cache-Control max-age by finality
     this.redis = {
       url: process.env.REDIS_URL || 'redis://localhost:6379',
       ttl: {
@@ -78,6 +137,33 @@ class Config {
     };
   }
 
+  /**
+   * Parse the RPC endpoint list
+   * @param {string|undefined} value - e.g. "https://a;weight=3;rps=25,https://b"
+   * @param {string} fallbackUrl - Used when the list is empty
+   * @returns {Array<{url: string, weight: number, rateLimit: number}>}
+   */
+  parseEndpoints(value, fallbackUrl) {
+    const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    if (entries.length === 0) {
+      return [{ url: fallbackUrl, weight: 1, rateLimit: 0 }];
+    }
+
+    return entries.map((entry) => {
+      const [url, ...options] = entry.split(';').map(part => part.trim());
+      const endpoint = { url, weight: 1, rateLimit: 0 };
+
+      for (const option of options) {
+        const [key, optionValue] = option.split('=');
+        if (key === 'weight') endpoint.weight = parseFloat(optionValue);
+        if (key === 'rps') endpoint.rateLimit = parseFloat(optionValue);
+      }
+
+      return endpoint;
+    });
+  }
+
   validate() {
     const errors = [];
 
@@ -97,11 +183,27 @@ class Config {
       errors.push('PORT must be between 1 and 65535');
     }
 
+    if (this.feed.port < 1 || this.feed.port > 65535) {
+      errors.push('FEED_PORT must be between 1 and 65535');
+    }
+
     // Validate RPC URL format
     if (this.rpc.http && !this.rpc.http.startsWith('http')) {
       errors.push('RPC_URL must start with http:// or https://');
     }
 
+    for (const endpoint of this.rpc.endpoints) {
+      if (!endpoint.url.startsWith('http')) {
+        errors.push(`RPC_URLS entry must start with http:// or https://: ${endpoint.url}`);
+      }
+      if (!(endpoint.weight > 0)) {
+        errors.push(`RPC_URLS weight must be greater than 0: ${endpoint.url}`);
+      }
+      if (!(endpoint.rateLimit >= 0)) {
+        errors.push(`RPC_URLS rps must be 0 (unlimited) or more: ${endpoint.url}`);
+      }
+    }
+
     if (this.rpc.ws && !this.rpc.ws.startsWith('ws')) {
       errors.push('RPC_WS_URL must start with ws:// or wss://');
     }
@@ -115,6 +217,63 @@ class Config {
       errors.push('INDEXER_PARALLEL_BATCHES must be at least 1');
     }
 
+    if (this.indexer.pollInterval < 1) {
+      errors.push('INDEXER_POLL_INTERVAL must be at least 1');
+    }
+
+    if (this.indexer.resubscribeDelay < 1) {
+      errors.push('INDEXER_RESUBSCRIBE_DELAY must be at least 1');
+    }
+
+    if (this.indexer.confirmations < 0) {
+      errors.push('INDEXER_CONFIRMATIONS must be 0 or more');
+    }
+
+    if (this.indexer.maxReorgDepth < 1) {
+      errors.push('INDEXER_MAX_REORG_DEPTH must be at least 1');
+    }
+
+    if (this.indexer.failedBatchRetryDelay < 1) {
+      errors.push('INDEXER_FAILED_BATCH_RETRY_DELAY must be at least 1');
+    }
+
+    if (this.indexer.bulkLoadMinBlocks < 1) {
+      errors.push('INDEXER_BULK_LOAD_MIN_BLOCKS must be at least 1');
+    }
+
+    if (this.cataloger.batchSize < 1) {
+      errors.push('TOKEN_CATALOGER_BATCH_SIZE must be at least 1');
+    }
+
+    if (this.cataloger.maxAttempts < 1) {
+      errors.push('TOKEN_CATALOGER_MAX_ATTEMPTS must be at least 1');
+    }
+
+    if (this.cataloger.retryDelay < 1) {
+      errors.push('TOKEN_CATALOGER_RETRY_DELAY must be at least 1');
+    }
+
+    if (this.feed.maxSubscriptions < 1) {
+      errors.push('FEED_MAX_SUBSCRIPTIONS must be at least 1');
+    }
+
+    if (this.rpc.maxBatchSize < 1) {
+      errors.push('RPC_MAX_BATCH_SIZE must be at least 1');
+    }
+
+    if (this.rpc.maxRps < 0) {
+      errors.push('RPC_MAX_RPS must be 0 (unlimited) or more');
+    }
+
+    const { initial, min, max } = this.rpc.concurrency;
+    if (min < 1 || min > initial || initial > max) {
+      errors.push('RPC concurrency must satisfy 1 <= RPC_MIN_CONCURRENCY <= RPC_INITIAL_CONCURRENCY <= RPC_MAX_CONCURRENCY');
+    }
+
+    if (this.rpc.pool.maxConsecutiveFailures < 1) {
+      errors.push('RPC_MAX_CONSECUTIVE_FAILURES must be at least 1');
+    }
+
     if (this.rpc.retries < 0) {
       errors.push('RPC_RETRIES must be at least 0');
     }
@@ -133,7 +292,9 @@ class Config {
       db: this.db,
       rpc: this.rpc,
       indexer: this.indexer,
+      cataloger: this.cataloger,
       api: this.api,
+      feed: this.feed,
       redis: this.redis,
       logging: this.logging,
     };
@@ -151,7 +312,9 @@ class Config {
       },
       rpc: this.rpc,
       indexer: this.indexer,
+      cataloger: this.cataloger,
       api: this.api,
+      feed: this.feed,
       redis: {
         ...this.redis,
         url: this.redis.url.replace(/:([^:@]+)@/, ':***@'), // Mask password in URL
@@ -168,7 +331,8 @@ class Config {
   getDisplayConfig() {
     return {
       database: `${this.db.host}:${this.db.port}/${this.db.database}`,
-      rpcUrl: this.rpc.http,
+      rpcUrl: this.rpc.endpoints[0].url,
+      rpcEndpoints: this.rpc.endpoints.length,
       startBlock: this.indexer.startBlock,
       batchSize: this.indexer.batchSize,
       parallelBatches: this.indexer.parallelBatches,
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../sql/migrations');
+
+// <version>_<name>.<up|down>.sql, e.g. 002_add_block_size.up.sql
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// pg_advisory_xact_lock key; keeps two migrators from applying the same step
+const LOCK_KEY = 369001;
+
+/**
+ * Migrator - Versioned schema migrations
+ *
+ * Responsibilities:
+ * - Load ordered migrations from sql/migrations (an up and a down file each)
+ * - Track applied versions and their checksums in schema_migrations
+ * - Apply pending migrations and revert the latest ones, each in its own
+ *   transaction together with its schema_migrations row
+ * - Refuse to run when an applied migration was edited or is missing
+ *
+ * Applied migrations are never edited; schema changes go into a new file.
+ */
+class Migrator {
+  /**
+   * @param {Database} db - lib/db Database instance for the target database
+   * @param {object} options
+   * @param {string} options.directory - Directory holding the migration files
+   */
+  constructor(db, { directory = MIGRATIONS_DIR } = {}) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  /**
+   * Read migration files, ordered by version
+   * @returns {Array<{version: number, name: string, up: string, down: string, checksum: string}>}
+   */
+  loadMigrations() {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.sql')) continue;
+
+      const match = file.match(FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid migration file name: ${file} (expected <version>_<name>.<up|down>.sql)`);
+      }
+
+      const version = parseInt(match[1]);
+      const name = match[2];
+      const migration = byVersion.get(version) || { version, name, up: null, down: null };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}`);
+      }
+
+      migration[match[3]] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      byVersion.set(version, migration);
+    }
+
+    return [...byVersion.values()]
+      .sort((a, b) => a.version - b.version)
+      .map((migration) => {
+        if (migration.up === null || migration.down === null) {
+          throw new Error(`Migration ${this.label(migration)} needs both an up and a down file`);
+        }
+        return {
+          ...migration,
+          checksum: crypto.createHash('sha256').update(migration.up).digest('hex'),
+        };
+      });
+  }
+
+  /**
+   * Create the schema_migrations table if needed
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Applied migrations, ordered by version
+   * @returns {Promise<Array<{version: number, name: string, checksum: string, appliedAt: Date}>>}
+   */
+  async getApplied() {
+    const result = await this.db.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+
+    return result.rows.map(row => ({
+      version: row.version,
+      name: row.name,
+      checksum: row.checksum,
+      appliedAt: row.applied_at,
+    }));
+  }
+
+  /**
+   * Every known migration and whether it is applied
+   * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: Date|null}>>}
+   */
+  async status() {
+    await this.ensureTable();
+
+    const migrations = this.loadMigrations();
+    const applied = new Map((await this.getApplied()).map(row => [row.version, row]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null,
+    }));
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {object} options
+   * @param {number|null} options.to - Stop after this version (default: all)
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations applied
+   */
+  async up({ to = null } = {}) {
+    await this.ensureTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    this.verify(migrations, applied);
+
+    if (applied.length === 0 && await this.hasLegacySchema()) {
+      throw new Error(
+        'Database has tables but no applied migrations (created by the old create.tables.sql); ' +
+        'run `npm run db:migrate -- --baseline 1` to adopt it'
+      );
+    }
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    const done = [];
+    for (const migration of pending) {
+      const ran = await this.runStep(migration, 'up');
+      if (ran) {
+        done.push({ version: migration.version, name: migration.name });
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Revert the latest applied migrations, newest first
+   * @param {object} options
+   * @param {number} options.steps - How many migrations to revert
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations reverted
+   */
+  async down({ steps = 1 } = {}) {
+    await this.ensureTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    this.verify(migrations, applied);
+
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const targets = steps > 0 ? applied.slice(-steps).reverse() : [];
+
+    const done = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      const ran = await this.runStep(migration, 'down');
+      if (ran) {
+        done.push({ version: migration.version, name: migration.name });
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Record migrations up to a version as applied without running them
+   * For databases created before migrations existed.
+   * @param {number} version
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations recorded
+   */
+  async baseline(version) {
+    await this.ensureTable();
+
+    const migrations = this.loadMigrations().filter(migration => migration.version <= version);
+    if (migrations.length === 0) {
+      throw new Error(`No migration at or below version ${version}`);
+    }
+
+    return this.db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+
+      const done = [];
+      for (const migration of migrations) {
+        const result = await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (version) DO NOTHING
+        `, [migration.version, migration.name, migration.checksum]);
+
+        if (result.rowCount > 0) {
+          done.push({ version: migration.version, name: migration.name });
+        }
+      }
+
+      logger.info('Migrations baselined', { upTo: version, recorded: done.length });
+      return done;
+    });
+  }
+
+  /**
+   * Run one migration step and record it, in a single transaction
+   * Takes an advisory lock and re-checks schema_migrations, so a concurrent
+   * migrator that got there first is not repeated.
+   * @param {object} migration
+   * @param {'up'|'down'} direction
+   * @returns {Promise<boolean>} - false if another migrator already did it
+   */
+  async runStep(migration, direction) {
+    const label = this.label(migration);
+    const startTime = Date.now();
+
+    try {
+      const ran = await this.db.transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+
+        const existing = await client.query(
+          'SELECT 1 FROM schema_migrations WHERE version = $1',
+          [migration.version]
+        );
+        if ((existing.rows.length > 0) === (direction === 'up')) {
+          return false;
+        }
+
+        await client.query(migration[direction]);
+
+        if (direction === 'up') {
+          await client.query(`
+            INSERT INTO schema_migrations (version, name, checksum)
+            VALUES ($1, $2, $3)
+          `, [migration.version, migration.name, migration.checksum]);
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+
+        return true;
+      });
+
+      if (ran) {
+        logger.info(direction === 'up' ? 'Migration applied' : 'Migration reverted', {
+          migration: label,
+          duration: `${Date.now() - startTime}ms`,
+        });
+      }
+
+      return ran;
+    } catch (error) {
+      logger.error(`Migration ${direction} failed`, {
+        migration: label,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check applied migrations against the files on disk
+   * @param {Array<object>} migrations - From loadMigrations()
+   * @param {Array<object>} applied - From getApplied()
+   */
+  verify(migrations, applied) {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+
+      if (!migration) {
+        throw new Error(`Applied migration ${this.label(row)} has no file in ${this.directory}`);
+      }
+      if (migration.checksum !== row.checksum) {
+        throw new Error(`Migration ${this.label(migration)} was modified after it was applied`);
+      }
+    }
+  }
+
+  /**
+   * Whether the schema exists without having been migrated
+   * @returns {Promise<boolean>}
+   */
+  async hasLegacySchema() {
+    const result = await this.db.query("SELECT to_regclass('public.blocks') IS NOT NULL AS exists");
+    return result.rows[0].exists;
+  }
+
+  /**
+   * e.g. 001_baseline
+   * @param {{version: number, name: string}} migration
+   * @returns {string}
+   */
+  label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = { Migrator, MIGRATIONS_DIR };
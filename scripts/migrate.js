@@ -0,0 +1,118 @@
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { colors, rainbow, colorize } = require('../lib/colors');
+const { Database } = require('../lib/db');
+const { Migrator } = require('../lib/migrations');
+const config = require('../lib/config');
+
+/**
+ * Usage: npm run db:migrate -- [--to <version>] [--down [--steps <n>]] [--status] [--baseline <version>]
+ *
+ * --to <version>        Apply pending migrations up to this version only
+ * --down                Revert the latest migration (--steps for more)
+ * --status              List migrations and whether they are applied
+ * --baseline <version>  Mark migrations up to <version> as applied without running
+ *                       them (databases created by the old create.tables.sql)
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      to: { type: 'string' },
+      down: { type: 'boolean', default: false },
+      steps: { type: 'string' },
+      status: { type: 'boolean', default: false },
+      baseline: { type: 'string' },
+    },
+  });
+
+  const parse = (name) => {
+    if (values[name] === undefined) {
+      return null;
+    }
+    if (!/^\d+$/.test(values[name])) {
+      throw new Error(`--${name} must be a number`);
+    }
+    return parseInt(values[name]);
+  };
+
+  const steps = parse('steps');
+  if (steps === 0) {
+    throw new Error('--steps must be at least 1');
+  }
+
+  return {
+    to: parse('to'),
+    down: values.down,
+    steps: steps !== null ? steps : 1,
+    status: values.status,
+    baseline: parse('baseline'),
+  };
+}
+
+/**
+ * Print a list of migrations
+ * @param {string} title
+ * @param {Array<{version: number, name: string}>} migrations
+ * @param {Migrator} migrator
+ */
+function printMigrations(title, migrations, migrator) {
+  if (migrations.length === 0) {
+    console.log(`✅ ${title}: none\n`);
+    return;
+  }
+
+  console.log(`✅ ${title}:`);
+  migrations.forEach(migration => {
+    console.log(colors.mint + `   - ${migrator.label(migration)}` + colors.reset);
+  });
+  console.log();
+}
+
+/**
+ * Run migrations against the configured database
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<void>}
+ */
+async function migrateDatabase(args = []) {
+  const options = parseOptions(args);
+
+  console.log(rainbow('═══════════════════════════════════════════════════════════'));
+  console.log(colorize('               Postgres - Schema Migrations                '));
+  console.log(rainbow('═══════════════════════════════════════════════════════════\n'));
+
+  const db = new Database(config.db.database);
+  const migrator = new Migrator(db);
+
+  try {
+    if (options.status) {
+      const migrations = await migrator.status();
+
+      migrations.forEach(migration => {
+        const state = migration.applied
+          ? `${colors.mint}applied ${migration.appliedAt.toISOString()}`
+          : `${colors.amber}pending`;
+        console.log(`   ${migrator.label(migration)}  ${state}${colors.reset}`);
+      });
+      console.log();
+    } else if (options.baseline !== null) {
+      printMigrations('Marked as applied', await migrator.baseline(options.baseline), migrator);
+    } else if (options.down) {
+      printMigrations('Reverted', await migrator.down({ steps: options.steps }), migrator);
+    } else {
+      printMigrations('Applied', await migrator.up({ to: options.to }), migrator);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+// Run migrations
+if (require.main === module) {
+  migrateDatabase(process.argv.slice(2)).catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateDatabase };
@@ -3,8 +3,12 @@ const readline = require('readline');
 const { colors, rainbow, colorize } = require('../lib/colors');
 const { Database } = require('../lib/db');
 const config = require('../lib/config');
+const { setupDatabase } = require('./setup-db');
 
 
+/**
+ * Drop the database, then recreate it and apply all migrations
+ */
 async function resetDatabase() {
   console.log(`⚠️ ⛔️⛔️  ${colors.bold}${colors.crimson}WARNING: This will DROP the entire database and all data!${colors.reset}  ⛔️⛔️⚠️\n`);
 
@@ -53,6 +57,9 @@ async function resetDatabase() {
     await adminDb.close();
     process.exit(1);
   }
+
+  // Recreate from migrations
+  await setupDatabase();
 }
 
 // Run reset
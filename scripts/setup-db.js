@@ -1,11 +1,14 @@
 require('dotenv').config();
 const { colors, rainbow, colorize } = require('../lib/colors');
-const fs = require('fs');
-const path = require('path');
 const { Database } = require('../lib/db');
+const { Migrator } = require('../lib/migrations');
 const config = require('../lib/config');
 
 
+/**
+ * Create the database if needed and apply pending migrations
+ * Safe to run on an existing database: indexed data is kept.
+ */
 async function setupDatabase() {
   console.log(rainbow('═══════════════════════════════════════════════════════════'));
   console.log(colorize('                Postgres - Database Setup                  '));
@@ -37,39 +40,19 @@ async function setupDatabase() {
     // Now connect to the target database
     const targetDb = new Database(dbName);
 
-    // Check if tables already exist
-    const tableCheckQuery = `
-      SELECT table_name
-      FROM information_schema.tables
-      WHERE table_schema = 'public'
-      AND table_type = 'BASE TABLE'
-      AND table_name IN (
-        'blocks', 'addresses', 'transactions', 'logs',
-        'tokens', 'token_transfers', 'smart_contracts', 'internal_transactions'
-      )
-      ORDER BY table_name;
-    `;
+    // Bring the schema up to date; a no-op when nothing is pending
+    const migrator = new Migrator(targetDb);
+    const applied = await migrator.up();
 
-    const existingTables = await targetDb.query(tableCheckQuery);
-
-    if (existingTables.rows.length > 0) {
-      console.log(colors.red + `⚠️  ${colors.bold}WARNING${colors.reset}: The following tables already exist:`);
-      existingTables.rows.forEach(row => {
-        console.log(colors.mint + `   - ${row.table_name}` + colors.reset);
+    if (applied.length === 0) {
+      console.log(`✅ Schema is up to date.\n`);
+    } else {
+      applied.forEach(migration => {
+        console.log(colors.mint + `   - ${migrator.label(migration)}` + colors.reset);
       });
-
-      await targetDb.close();
-      process.exit();
+      console.log(`\n✅ Applied ${applied.length} migration(s) successfully!\n`);
     }
 
-    // read sql file, check path
-    const sqlPath = path.join(__dirname, '../sql', 'create.tables.sql');
-    const sqlQuery = fs.readFileSync(sqlPath, 'utf8');
-    console.log('📄 Running sql file: create.tables.sql\n');
-
-    await targetDb.query(sqlQuery);
-    console.log(`✅ SQL completed successfully!\n`);
-
     await targetDb.close();
   } catch (error) {
     console.error('❌ Setup failed:', error.message);
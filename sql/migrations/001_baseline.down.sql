@@ -0,0 +1,14 @@
+-- Migration 001: baseline schema
+-- Drops everything created by 001_baseline.up.sql (ALL indexed data is lost)
+
+DROP FUNCTION IF EXISTS refresh_token_holder_balances();
+DROP MATERIALIZED VIEW IF EXISTS token_holder_balances;
+
+DROP TABLE IF EXISTS internal_transactions CASCADE;
+DROP TABLE IF EXISTS smart_contracts CASCADE;
+DROP TABLE IF EXISTS token_transfers CASCADE;
+DROP TABLE IF EXISTS tokens CASCADE;
+DROP TABLE IF EXISTS logs CASCADE;
+DROP TABLE IF EXISTS transactions CASCADE;
+DROP TABLE IF EXISTS addresses CASCADE;
+DROP TABLE IF EXISTS blocks CASCADE;
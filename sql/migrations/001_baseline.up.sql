@@ -1,16 +1,6 @@
 -- EVM Explorer Database Schema
 -- Generated: 2025-10-23
 
--- Drop existing tables (for clean setup)
-DROP TABLE IF EXISTS internal_transactions CASCADE;
-DROP TABLE IF EXISTS smart_contracts CASCADE;
-DROP TABLE IF EXISTS token_transfers CASCADE;
-DROP TABLE IF EXISTS tokens CASCADE;
-DROP TABLE IF EXISTS logs CASCADE;
-DROP TABLE IF EXISTS transactions CASCADE;
-DROP TABLE IF EXISTS addresses CASCADE;
-DROP TABLE IF EXISTS blocks CASCADE;
-
 -- ============================================================================
 -- 1. BLOCKS TABLE
 -- ============================================================================
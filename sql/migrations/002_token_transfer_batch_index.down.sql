@@ -0,0 +1,9 @@
+-- Migration 002: one token_transfers row per ERC-1155 TransferBatch entry
+-- Keeps the first entry of each TransferBatch; the others are deleted.
+
+DELETE FROM token_transfers WHERE batch_index > 0;
+
+ALTER TABLE token_transfers DROP CONSTRAINT token_transfers_transaction_hash_log_index_batch_index_key;
+ALTER TABLE token_transfers ADD UNIQUE (transaction_hash, log_index);
+
+ALTER TABLE token_transfers DROP COLUMN batch_index;
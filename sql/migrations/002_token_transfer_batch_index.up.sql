@@ -0,0 +1,10 @@
+-- Migration 002: one token_transfers row per ERC-1155 TransferBatch entry
+--
+-- A TransferBatch log carries several transfers, so (transaction_hash,
+-- log_index) no longer identifies a row; batch_index is the entry's position
+-- in the batch (0 for every other transfer).
+
+ALTER TABLE token_transfers ADD COLUMN batch_index INTEGER NOT NULL DEFAULT 0; -- position within an ERC-1155 TransferBatch
+
+ALTER TABLE token_transfers DROP CONSTRAINT token_transfers_transaction_hash_log_index_key;
+ALTER TABLE token_transfers ADD UNIQUE (transaction_hash, log_index, batch_index);
@@ -0,0 +1,4 @@
+-- Migration 003: block ranges the indexer failed to sync
+-- Ranges still queued are forgotten; `npm run indexer:repair` finds them again.
+
+DROP TABLE IF EXISTS sync_failed_batches;
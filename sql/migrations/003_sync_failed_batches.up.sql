@@ -0,0 +1,22 @@
+-- Migration 003: block ranges the indexer failed to sync
+
+-- Block ranges that failed after all retries; retried until they succeed
+CREATE TABLE sync_failed_batches (
+    -- Range (inclusive)
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+
+    -- Retry state
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    next_retry_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (from_block, to_block),
+    CHECK (to_block >= from_block)
+);
+
+-- Indexes for sync_failed_batches
+CREATE INDEX idx_sync_failed_batches_next_retry ON sync_failed_batches (next_retry_at);
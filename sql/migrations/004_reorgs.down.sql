@@ -0,0 +1,3 @@
+-- Migration 004: history of rolled back chain reorganizations
+
+DROP TABLE IF EXISTS reorgs;
@@ -0,0 +1,25 @@
+-- Migration 004: history of rolled back chain reorganizations
+
+-- History of chain reorganizations rolled back by the indexer
+CREATE TABLE reorgs (
+    -- Identity
+    id BIGSERIAL PRIMARY KEY,
+
+    -- Fork point
+    block_number BIGINT NOT NULL, -- first orphaned block
+    common_ancestor BIGINT NOT NULL, -- last block kept
+    depth INTEGER NOT NULL,
+
+    -- Hashes at block_number
+    old_hash BYTEA NOT NULL,
+    new_hash BYTEA NOT NULL,
+
+    -- Rows removed
+    deleted_blocks INTEGER NOT NULL DEFAULT 0,
+
+    detected_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Indexes for reorgs
+CREATE INDEX idx_reorgs_block_number_desc ON reorgs (block_number DESC);
+CREATE INDEX idx_reorgs_detected_at_desc ON reorgs (detected_at DESC);
@@ -0,0 +1,4 @@
+-- Migration 005: finality status of stored blocks
+
+DROP INDEX IF EXISTS idx_blocks_not_finalized;
+ALTER TABLE blocks DROP COLUMN finality;
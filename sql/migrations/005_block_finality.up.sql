@@ -0,0 +1,9 @@
+-- Migration 005: finality status of stored blocks
+--
+-- Existing blocks start as 'latest'; the indexer promotes them to safe /
+-- finalized on its next sync (BlockStorage.updateFinality()).
+
+ALTER TABLE blocks ADD COLUMN finality VARCHAR(10) NOT NULL DEFAULT 'latest'; -- latest, safe or finalized
+ALTER TABLE blocks ADD CHECK (finality IN ('latest', 'safe', 'finalized'));
+
+CREATE INDEX idx_blocks_not_finalized ON blocks (number) WHERE finality <> 'finalized';
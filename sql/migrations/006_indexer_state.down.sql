@@ -0,0 +1,3 @@
+-- Migration 006: sync checkpoint of the indexer
+
+DROP TABLE IF EXISTS indexer_state;
@@ -0,0 +1,24 @@
+-- Migration 006: sync checkpoint of the indexer
+--
+-- Without a row the indexer resumes from the highest stored block once and
+-- writes the checkpoint from then on.
+
+-- Sync checkpoint of the indexer (a single row)
+CREATE TABLE indexer_state (
+    id SMALLINT PRIMARY KEY DEFAULT 1,
+
+    -- Every block up to here is saved or queued in sync_failed_batches
+    watermark BIGINT NOT NULL,
+
+    -- Chain head seen on the last sync
+    head_block BIGINT,
+
+    -- Settings that shape the indexed data (see BlockFetcher.getConfigFingerprint())
+    config_fingerprint VARCHAR(64),
+
+    last_synced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (id = 1)
+);
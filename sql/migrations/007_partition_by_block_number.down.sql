@@ -0,0 +1,67 @@
+-- Migration 007: range-partition blocks, transactions and logs by block number
+-- Copies the rows back into single tables with the keys they had before.
+
+ALTER TABLE internal_transactions DROP CONSTRAINT internal_transactions_transaction_hash_block_number_fkey;
+
+ALTER SEQUENCE logs_id_seq OWNED BY NONE;
+
+ALTER TABLE blocks RENAME TO blocks_partitioned;
+ALTER TABLE transactions RENAME TO transactions_partitioned;
+ALTER TABLE logs RENAME TO logs_partitioned;
+
+CREATE TABLE blocks (LIKE blocks_partitioned INCLUDING DEFAULTS INCLUDING CONSTRAINTS);
+CREATE TABLE transactions (LIKE transactions_partitioned INCLUDING DEFAULTS INCLUDING CONSTRAINTS);
+CREATE TABLE logs (LIKE logs_partitioned INCLUDING DEFAULTS INCLUDING CONSTRAINTS);
+
+INSERT INTO blocks SELECT * FROM blocks_partitioned;
+INSERT INTO transactions SELECT * FROM transactions_partitioned;
+INSERT INTO logs SELECT * FROM logs_partitioned;
+
+-- Drops the partitions with them
+DROP TABLE logs_partitioned;
+DROP TABLE transactions_partitioned;
+DROP TABLE blocks_partitioned;
+
+ALTER SEQUENCE logs_id_seq OWNED BY logs.id;
+
+DROP FUNCTION ensure_block_partitions(BIGINT, BIGINT);
+DROP FUNCTION block_partition_size();
+
+-- Blocks
+ALTER TABLE blocks ADD PRIMARY KEY (hash);
+ALTER TABLE blocks ADD UNIQUE (number);
+
+CREATE INDEX idx_blocks_number_desc ON blocks (number DESC);
+CREATE INDEX idx_blocks_timestamp_desc ON blocks (timestamp DESC);
+CREATE INDEX idx_blocks_miner ON blocks (miner);
+CREATE INDEX idx_blocks_not_finalized ON blocks (number) WHERE finality <> 'finalized';
+
+-- Transactions
+ALTER TABLE transactions ADD PRIMARY KEY (hash);
+ALTER TABLE transactions ADD UNIQUE (block_hash, transaction_index);
+ALTER TABLE transactions ADD FOREIGN KEY (block_hash) REFERENCES blocks (hash) ON DELETE CASCADE;
+
+CREATE INDEX idx_tx_block_number_desc ON transactions (block_number DESC);
+CREATE INDEX idx_tx_from_address ON transactions (from_address);
+CREATE INDEX idx_tx_to_address ON transactions (to_address);
+CREATE INDEX idx_tx_contract_address ON transactions (contract_address);
+CREATE INDEX idx_tx_block_hash ON transactions (block_hash);
+CREATE INDEX idx_tx_from_block_number ON transactions (from_address, block_number DESC);
+CREATE INDEX idx_tx_to_block_number ON transactions (to_address, block_number DESC);
+
+-- Logs
+ALTER TABLE logs ADD PRIMARY KEY (id);
+ALTER TABLE logs ADD UNIQUE (transaction_hash, log_index);
+ALTER TABLE logs ADD FOREIGN KEY (transaction_hash) REFERENCES transactions (hash) ON DELETE CASCADE;
+
+CREATE INDEX idx_logs_block_number_desc ON logs (block_number DESC);
+CREATE INDEX idx_logs_address ON logs (address);
+CREATE INDEX idx_logs_topic0 ON logs (topic0);
+CREATE INDEX idx_logs_topic1 ON logs (topic1);
+CREATE INDEX idx_logs_topic2 ON logs (topic2);
+CREATE INDEX idx_logs_topic3 ON logs (topic3);
+CREATE INDEX idx_logs_address_topic0 ON logs (address, topic0);
+
+-- Internal transactions
+ALTER TABLE internal_transactions ADD FOREIGN KEY (transaction_hash)
+  REFERENCES transactions (hash) ON DELETE CASCADE;
@@ -0,0 +1,134 @@
+-- Migration 007: range-partition blocks, transactions and logs by block number
+--
+-- One partition per 1,000,000 blocks per table (blocks_p0000 holds blocks
+-- 0..999999, blocks_p0001 the next million, ...). BlockStorage calls
+-- ensure_block_partitions() before writing a batch, so partitions are created
+-- as the indexer crosses boundaries.
+--
+-- A partitioned table's unique keys must include the partition key, so the
+-- primary, unique and foreign keys of these tables now carry the block number.
+-- Reorg rollbacks delete by block number and only touch the newest partitions.
+--
+-- Existing rows are copied into the partitioned tables; on a large database
+-- this takes as long as rewriting the three tables.
+
+-- ============================================================================
+-- PARTITION MANAGEMENT
+-- ============================================================================
+
+-- Blocks per partition; changing it needs a new migration that repartitions
+CREATE FUNCTION block_partition_size()
+RETURNS BIGINT AS $$
+  SELECT 1000000::BIGINT;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Create the partitions covering from_block..to_block, plus the one after
+-- to_block so it exists before the indexer reaches it.
+-- Returns the number of partitions created (0 when all existed).
+CREATE FUNCTION ensure_block_partitions(from_block BIGINT, to_block BIGINT)
+RETURNS INTEGER AS $$
+DECLARE
+  size BIGINT := block_partition_size();
+  parent TEXT;
+  partition_name TEXT;
+  created INTEGER := 0;
+BEGIN
+  -- Parallel batches may cross the same boundary at once
+  PERFORM pg_advisory_xact_lock(369002);
+
+  FOR partition_index IN (from_block / size)..(to_block / size + 1) LOOP
+    FOREACH parent IN ARRAY ARRAY['blocks', 'transactions', 'logs'] LOOP
+      partition_name := format('%s_p%s', parent, lpad(partition_index::TEXT, 4, '0'));
+
+      IF to_regclass(partition_name) IS NULL THEN
+        EXECUTE format(
+          'CREATE TABLE %I PARTITION OF %I FOR VALUES FROM (%s) TO (%s)',
+          partition_name, parent, partition_index * size, (partition_index + 1) * size
+        );
+        created := created + 1;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- REPLACE THE TABLES
+-- ============================================================================
+
+-- Points at transactions(hash); re-added below with the block number
+ALTER TABLE internal_transactions DROP CONSTRAINT internal_transactions_transaction_hash_fkey;
+
+-- logs.id keeps its sequence
+ALTER SEQUENCE logs_id_seq OWNED BY NONE;
+
+ALTER TABLE blocks RENAME TO blocks_heap;
+ALTER TABLE transactions RENAME TO transactions_heap;
+ALTER TABLE logs RENAME TO logs_heap;
+
+-- Same columns, defaults and checks; keys and indexes are added after the copy
+CREATE TABLE blocks (LIKE blocks_heap INCLUDING DEFAULTS INCLUDING CONSTRAINTS)
+  PARTITION BY RANGE (number);
+CREATE TABLE transactions (LIKE transactions_heap INCLUDING DEFAULTS INCLUDING CONSTRAINTS)
+  PARTITION BY RANGE (block_number);
+CREATE TABLE logs (LIKE logs_heap INCLUDING DEFAULTS INCLUDING CONSTRAINTS)
+  PARTITION BY RANGE (block_number);
+
+SELECT ensure_block_partitions(MIN(number), MAX(number))
+FROM blocks_heap
+HAVING COUNT(*) > 0;
+
+INSERT INTO blocks SELECT * FROM blocks_heap;
+INSERT INTO transactions SELECT * FROM transactions_heap;
+INSERT INTO logs SELECT * FROM logs_heap;
+
+DROP TABLE logs_heap;
+DROP TABLE transactions_heap;
+DROP TABLE blocks_heap;
+
+ALTER SEQUENCE logs_id_seq OWNED BY logs.id;
+
+-- ============================================================================
+-- KEYS AND INDEXES
+-- ============================================================================
+
+-- Blocks: one block per number; lookups by hash use the (hash, number) key
+ALTER TABLE blocks ADD PRIMARY KEY (number);
+ALTER TABLE blocks ADD UNIQUE (hash, number);
+
+CREATE INDEX idx_blocks_timestamp_desc ON blocks (timestamp DESC);
+CREATE INDEX idx_blocks_miner ON blocks (miner);
+CREATE INDEX idx_blocks_not_finalized ON blocks (number) WHERE finality <> 'finalized';
+
+-- Transactions: lookups by hash and by block hash use the keys below
+ALTER TABLE transactions ADD PRIMARY KEY (hash, block_number);
+ALTER TABLE transactions ADD UNIQUE (block_hash, transaction_index, block_number);
+ALTER TABLE transactions ADD FOREIGN KEY (block_hash, block_number)
+  REFERENCES blocks (hash, number) ON DELETE CASCADE;
+
+CREATE INDEX idx_tx_block_number_desc ON transactions (block_number DESC);
+CREATE INDEX idx_tx_from_address ON transactions (from_address);
+CREATE INDEX idx_tx_to_address ON transactions (to_address);
+CREATE INDEX idx_tx_contract_address ON transactions (contract_address);
+CREATE INDEX idx_tx_from_block_number ON transactions (from_address, block_number DESC);
+CREATE INDEX idx_tx_to_block_number ON transactions (to_address, block_number DESC);
+
+-- Logs
+ALTER TABLE logs ADD PRIMARY KEY (id, block_number);
+ALTER TABLE logs ADD UNIQUE (transaction_hash, log_index, block_number);
+ALTER TABLE logs ADD FOREIGN KEY (transaction_hash, block_number)
+  REFERENCES transactions (hash, block_number) ON DELETE CASCADE;
+
+CREATE INDEX idx_logs_block_number_desc ON logs (block_number DESC);
+CREATE INDEX idx_logs_address ON logs (address);
+CREATE INDEX idx_logs_topic0 ON logs (topic0);
+CREATE INDEX idx_logs_topic1 ON logs (topic1);
+CREATE INDEX idx_logs_topic2 ON logs (topic2);
+CREATE INDEX idx_logs_topic3 ON logs (topic3);
+CREATE INDEX idx_logs_address_topic0 ON logs (address, topic0);
+
+-- Internal transactions stay a single table
+ALTER TABLE internal_transactions ADD FOREIGN KEY (transaction_hash, block_number)
+  REFERENCES transactions (hash, block_number) ON DELETE CASCADE;
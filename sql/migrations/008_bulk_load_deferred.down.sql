@@ -0,0 +1,5 @@
+-- Migration 008: bookkeeping for the indexer's bulk load mode
+-- Run the indexer until its deferred indexes are rebuilt first: the
+-- definitions of anything still deferred are lost with this table.
+
+DROP TABLE IF EXISTS bulk_load_deferred;
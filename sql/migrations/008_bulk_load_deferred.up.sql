@@ -0,0 +1,21 @@
+-- Migration 008: bookkeeping for the indexer's bulk load mode
+--
+-- With INDEXER_BULK_LOAD=true a long historical backfill runs without the
+-- secondary indexes and foreign keys of the tables it writes. Each dropped
+-- object is recorded here with its definition, and its row is deleted once it
+-- has been rebuilt, so an interrupted rebuild resumes where it stopped.
+
+CREATE TABLE bulk_load_deferred (
+    -- Identity
+    table_name VARCHAR(63) NOT NULL,
+    name VARCHAR(63) NOT NULL, -- index or constraint name
+
+    -- Definition
+    kind VARCHAR(10) NOT NULL, -- index or constraint
+    definition TEXT NOT NULL, -- pg_get_indexdef() / pg_get_constraintdef()
+
+    deferred_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (table_name, name),
+    CHECK (kind IN ('index', 'constraint'))
+);
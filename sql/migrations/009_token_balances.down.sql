@@ -0,0 +1,45 @@
+-- Migration 009: incremental token holder balances
+-- Restores the token_holder_balances materialized view (as in 001_baseline).
+-- Uncataloged tokens rows go away: before this migration a token only had a
+-- row once TokenCataloger had read its metadata.
+
+CREATE MATERIALIZED VIEW token_holder_balances AS
+SELECT
+  token_address,
+  address,
+  SUM(balance) as balance
+FROM (
+  SELECT
+    token_address,
+    to_address as address,
+    SUM(value) as balance
+  FROM token_transfers
+  WHERE value IS NOT NULL
+  GROUP BY token_address, to_address
+
+  UNION ALL
+
+  SELECT
+    token_address,
+    from_address as address,
+    -SUM(value) as balance
+  FROM token_transfers
+  WHERE value IS NOT NULL
+  GROUP BY token_address, from_address
+) subquery
+GROUP BY token_address, address
+HAVING SUM(balance) > 0;
+
+CREATE INDEX idx_token_holder_balances_token ON token_holder_balances (token_address);
+CREATE INDEX idx_token_holder_balances_balance ON token_holder_balances (balance DESC);
+
+CREATE OR REPLACE FUNCTION refresh_token_holder_balances()
+RETURNS void AS $$
+BEGIN
+  REFRESH MATERIALIZED VIEW token_holder_balances;
+END;
+$$ LANGUAGE plpgsql;
+
+DELETE FROM tokens WHERE NOT is_cataloged;
+
+DROP TABLE IF EXISTS token_balances;
@@ -0,0 +1,80 @@
+-- Migration 009: incremental token holder balances
+--
+-- Replaces the token_holder_balances materialized view, which re-aggregated
+-- all of token_transfers on every refresh. BlockStorage now applies each
+-- batch's new transfers to token_balances and to tokens.holder_count /
+-- transfer_count, and reverses them when a reorg deletes transfers.
+--
+-- tokens rows are created as soon as a token's first transfer is indexed
+-- (is_cataloged = FALSE until TokenCataloger reads its metadata), so the
+-- counters have a row to live in from the start.
+--
+-- Balances and counters of existing transfers are computed once below; on a
+-- large database this takes about as long as one refresh of the old view.
+
+-- ============================================================================
+-- TOKEN_BALANCES TABLE
+-- ============================================================================
+CREATE TABLE token_balances (
+    -- Identity
+    token_address BYTEA NOT NULL,
+    address BYTEA NOT NULL,
+
+    -- Sum of transfers in minus transfers out: ERC-20 amounts, ERC-721 token
+    -- count, ERC-1155 amounts across all token ids. Rows are kept at 0.
+    balance NUMERIC(78, 0) NOT NULL DEFAULT 0,
+
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (token_address, address)
+);
+
+-- Holders of a token, largest first
+CREATE INDEX idx_token_balances_holders ON token_balances (token_address, balance DESC)
+  WHERE balance > 0;
+
+-- ============================================================================
+-- BACKFILL
+-- ============================================================================
+
+-- The zero address is the other side of mints and burns, not a holder
+INSERT INTO token_balances (token_address, address, balance)
+SELECT token_address, address, SUM(delta)
+FROM (
+  SELECT token_address, to_address AS address, value AS delta
+  FROM token_transfers
+  WHERE value IS NOT NULL
+
+  UNION ALL
+
+  SELECT token_address, from_address AS address, -value AS delta
+  FROM token_transfers
+  WHERE value IS NOT NULL
+) deltas
+WHERE address <> '\x0000000000000000000000000000000000000000'::BYTEA
+GROUP BY token_address, address;
+
+-- Tokens not cataloged yet (tokens.contract_address references addresses)
+INSERT INTO tokens (contract_address, token_type)
+SELECT DISTINCT ON (tt.token_address) tt.token_address, tt.token_type
+FROM token_transfers tt
+WHERE EXISTS (SELECT 1 FROM addresses a WHERE a.address = tt.token_address)
+ORDER BY tt.token_address, tt.block_number
+ON CONFLICT (contract_address) DO NOTHING;
+
+UPDATE tokens t
+SET holder_count = (
+      SELECT COUNT(*) FROM token_balances b
+      WHERE b.token_address = t.contract_address AND b.balance > 0
+    ),
+    transfer_count = (
+      SELECT COUNT(*) FROM token_transfers tt
+      WHERE tt.token_address = t.contract_address
+    ),
+    updated_at = NOW();
+
+-- ============================================================================
+-- REPLACED
+-- ============================================================================
+DROP FUNCTION refresh_token_holder_balances();
+DROP MATERIALIZED VIEW token_holder_balances;
@@ -0,0 +1,5 @@
+-- Migration 010: retry schedule of the token cataloger
+
+DROP INDEX IF EXISTS idx_tokens_catalog_queue;
+ALTER TABLE tokens DROP COLUMN next_attempt_at;
+ALTER TABLE tokens DROP COLUMN catalog_attempts;
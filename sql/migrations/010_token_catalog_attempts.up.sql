@@ -0,0 +1,12 @@
+-- Migration 010: retry schedule of the token cataloger
+--
+-- A token whose metadata cannot be read is retried with a growing delay
+-- instead of coming first on every pass, and is given up on (next_attempt_at
+-- NULL) after TOKEN_CATALOGER_MAX_ATTEMPTS attempts. Set catalog_attempts to
+-- 0 and next_attempt_at to NOW() to retry a token that was given up on.
+
+ALTER TABLE tokens ADD COLUMN catalog_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tokens ADD COLUMN next_attempt_at TIMESTAMP DEFAULT NOW(); -- NULL once given up on
+
+-- TokenCataloger's work queue: uncataloged tokens that are due, oldest first
+CREATE INDEX idx_tokens_catalog_queue ON tokens (next_attempt_at) WHERE NOT is_cataloged;
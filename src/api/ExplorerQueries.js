@@ -0,0 +1,275 @@
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+
+/**
+ * ExplorerQueries - Read-only queries over the data BlockStorage writes
+ *
+ * Responsibilities:
+ * - Look up blocks, transactions, addresses and tokens
+ * - Paginate lists (newest first)
+ * - Accept 0x-hex strings and convert them to BYTEA parameters
+ *
+ * Rows are returned as they come from PostgreSQL; serialization to JSON
+ * (BYTEA -> 0x-hex) happens in the API layer.
+ */
+class ExplorerQueries {
+  /**
+   * Get a block by number or hash
+   * @param {number|string} numberOrHash - Block number or 0x-prefixed hash
+   * @returns {Promise<object|null>}
+   */
+  async getBlock(numberOrHash) {
+    const isHash = typeof numberOrHash === 'string' && numberOrHash.startsWith('0x');
+
+    const result = await this.run('getBlock', isHash
+      ? 'SELECT * FROM blocks WHERE hash = $1'
+      : 'SELECT * FROM blocks WHERE number = $1',
+    [isHash ? this.toBytea(numberOrHash) : numberOrHash.toString()]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const block = result.rows[0];
+
+    // The block number limits the scan to one partition
+    const txResult = await this.run('getBlockTransactions', `
+      SELECT hash FROM transactions
+      WHERE block_number = $1 AND block_hash = $2
+      ORDER BY transaction_index
+    `, [block.number, block.hash]);
+
+    return {
+      ...block,
+      transactions: txResult.rows.map(row => row.hash),
+    };
+  }
+
+  /**
+   * Get latest blocks, optionally before a block number
+   * @param {object} options
+   * @param {number|null} options.before - Only blocks with number < before
+   * @param {number} options.limit
+   * @returns {Promise<Array<object>>}
+   */
+  async getBlocks({ before = null, limit }) {
+    const result = await this.run('getBlocks', `
+      SELECT * FROM blocks
+      WHERE ($1::bigint IS NULL OR number < $1::bigint)
+      ORDER BY number DESC
+      LIMIT $2
+    `, [before !== null ? before.toString() : null, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a transaction with its logs, token transfers and internal transactions
+   * Includes the finality status of its block.
+   * @param {string} hash - 0x-prefixed transaction hash
+   * @returns {Promise<object|null>}
+   */
+  async getTransaction(hash) {
+    const txHash = this.toBytea(hash);
+
+    const result = await this.run('getTransaction', `
+      SELECT t.*, b.finality FROM transactions t
+      JOIN blocks b ON b.number = t.block_number AND b.hash = t.block_hash
+      WHERE t.hash = $1
+    `, [txHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const blockNumber = result.rows[0].block_number;
+
+    const [logs, tokenTransfers, internalTransactions] = await Promise.all([
+      this.run('getTransactionLogs',
+        'SELECT * FROM logs WHERE block_number = $1 AND transaction_hash = $2 ORDER BY log_index',
+        [blockNumber, txHash]),
+      this.run('getTransactionTokenTransfers',
+        'SELECT * FROM token_transfers WHERE transaction_hash = $1 ORDER BY log_index, batch_index', [txHash]),
+      this.run('getTransactionInternalTransactions',
+        'SELECT * FROM internal_transactions WHERE transaction_hash = $1 ORDER BY trace_index', [txHash]),
+    ]);
+
+    return {
+      ...result.rows[0],
+      logs: logs.rows,
+      token_transfers: tokenTransfers.rows,
+      internal_transactions: internalTransactions.rows,
+    };
+  }
+
+  /**
+   * Get an address book entry
+   * @param {string} address - 0x-prefixed address
+   * @returns {Promise<object|null>}
+   */
+  async getAddress(address) {
+    const result = await this.run('getAddress',
+      'SELECT * FROM addresses WHERE address = $1', [this.toBytea(address)]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get transactions sent from or to an address, newest first
+   * Each side uses its own (address, block_number) index before merging.
+   * Pages are keyed on (block_number, transaction_index), so a block with
+   * more transactions than fit on a page is split across pages.
+   * @param {string} address - 0x-prefixed address
+   * @param {object} options
+   * @param {object|null} options.before - Cursor: only transactions before
+   *   { blockNumber, transactionIndex }
+   * @param {number} options.limit
+   * @returns {Promise<{transactions: Array<object>, next_before: string|null}>}
+   *   next_before is the cursor of the next page (null on the last page)
+   */
+  async getAddressTransactions(address, { before = null, limit }) {
+    const result = await this.run('getAddressTransactions', `
+      SELECT * FROM (
+        (
+          SELECT * FROM transactions
+          WHERE from_address = $1
+            AND ($2::bigint IS NULL OR (block_number, transaction_index) < ($2::bigint, $3::integer))
+          ORDER BY block_number DESC, transaction_index DESC
+          LIMIT $4
+        )
+        UNION
+        (
+          SELECT * FROM transactions
+          WHERE to_address = $1
+            AND ($2::bigint IS NULL OR (block_number, transaction_index) < ($2::bigint, $3::integer))
+          ORDER BY block_number DESC, transaction_index DESC
+          LIMIT $4
+        )
+      ) t
+      ORDER BY block_number DESC, transaction_index DESC
+      LIMIT $4
+    `, [
+      this.toBytea(address),
+      before !== null ? before.blockNumber.toString() : null,
+      before !== null ? before.transactionIndex.toString() : null,
+      limit,
+    ]);
+
+    const last = result.rows[result.rows.length - 1];
+    return {
+      transactions: result.rows,
+      next_before: result.rows.length === limit
+        ? `${last.block_number}:${last.transaction_index}`
+        : null,
+    };
+  }
+
+  /**
+   * Get token metadata
+   * @param {string} address - 0x-prefixed token contract address
+   * @returns {Promise<object|null>}
+   */
+  async getToken(address) {
+    const result = await this.run('getToken',
+      'SELECT * FROM tokens WHERE contract_address = $1', [this.toBytea(address)]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get top holders of a token, largest balance first
+   * @param {string} address - 0x-prefixed token contract address
+   * @param {object} options
+   * @param {number} options.limit
+   * @param {number} options.offset
+   * @returns {Promise<Array<object>>}
+   */
+  async getTokenHolders(address, { limit, offset = 0 }) {
+    const result = await this.run('getTokenHolders', `
+      SELECT address, balance
+      FROM token_balances
+      WHERE token_address = $1 AND balance > 0
+      ORDER BY balance DESC
+      LIMIT $2 OFFSET $3
+    `, [this.toBytea(address), limit, offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get recorded chain reorganizations, newest first
+   * @param {object} options
+   * @param {number|null} options.before - Only reorgs with id < before
+   * @param {number} options.limit
+   * @returns {Promise<Array<object>>}
+   */
+  async getReorgs({ before = null, limit }) {
+    const result = await this.run('getReorgs', `
+      SELECT * FROM reorgs
+      WHERE ($1::bigint IS NULL OR id < $1::bigint)
+      ORDER BY id DESC
+      LIMIT $2
+    `, [before !== null ? before.toString() : null, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get block ranges the indexer failed to sync and will retry
+   * @returns {Promise<Array<object>>}
+   */
+  async getFailedBatches() {
+    const result = await this.run('getFailedBatches', `
+      SELECT from_block, to_block, attempts, last_error, next_retry_at, created_at
+      FROM sync_failed_batches
+      ORDER BY from_block
+    `, []);
+
+    return result.rows;
+  }
+
+  /**
+   * Get the indexer's sync checkpoint
+   * @returns {Promise<object|null>}
+   */
+  async getIndexerState() {
+    const result = await this.run('getIndexerState', `
+      SELECT watermark, head_block, config_fingerprint, last_synced_at, updated_at
+      FROM indexer_state
+      WHERE id = 1
+    `, []);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Convert 0x-hex string to Buffer for BYTEA parameters
+   * @param {string} hex
+   * @returns {Buffer}
+   */
+  toBytea(hex) {
+    return Buffer.from(hex.slice(2), 'hex');
+  }
+
+  /**
+   * Run a query with error logging
+   * @param {string} name - Query name for logs
+   * @param {string} text
+   * @param {Array} params
+   * @returns {Promise<object>}
+   */
+  async run(name, text, params) {
+    try {
+      return await db.query(text, params);
+    } catch (error) {
+      logger.error('API query failed', {
+        query: name,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ExplorerQueries();
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Main entry point for the PulseChain Explorer REST API
+ *
+ * This script:
+ * - Checks the database connection
+ * - Serves read-only JSON endpoints over indexed data
+ * - Handles graceful shutdown
+ */
+
+require('dotenv').config()
+const { createServer } = require('./server');
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+// Track if shutdown is in progress
+let isShuttingDown = false;
+let server = null;
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    logger.info('='.repeat(60));
+    logger.info('PulseChain Explorer - REST API');
+    logger.info('='.repeat(60));
+
+    // Check database connection
+    logger.info('Checking database connection...');
+    const dbHealthy = await db.healthCheck();
+    if (!dbHealthy) {
+      throw new Error('Database connection failed');
+    }
+    logger.info('✓ Database connected');
+
+    server = createServer();
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.api.port, config.api.host, resolve);
+    });
+
+    logger.info('✓ API listening', {
+      host: config.api.host,
+      port: config.api.port,
+      corsOrigin: config.api.corsOrigin,
+    });
+  } catch (error) {
+    logger.error('Fatal error in API', {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+/**
+ * Graceful shutdown handler
+ */
+async function shutdown(signal) {
+  if (isShuttingDown) {
+    logger.warn('Shutdown already in progress...');
+    return;
+  }
+
+  isShuttingDown = true;
+  logger.info(`Received ${signal}, shutting down API...`);
+
+  try {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      logger.info('✓ HTTP server closed');
+    }
+
+    await db.close();
+    logger.info('✓ Database closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown', {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+// Register signal handlers for graceful shutdown
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Start the API
+main();
@@ -0,0 +1,319 @@
+const http = require('http');
+const explorerQueries = require('./ExplorerQueries');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const NUMBER_PATTERN = /^\d+$/;
+const CURSOR_PATTERN = /^(\d+)(?::(\d+))?$/;
+
+// Larger values would reach Postgres as out-of-range BIGINT / INTEGER parameters
+const MAX_NUMBER = BigInt(Number.MAX_SAFE_INTEGER);
+const MAX_INTEGER = 2147483647n;
+
+/**
+ * Create an error that is sent to the client with the given HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convert database rows to JSON-safe values
+ * - BYTEA (Buffer) -> 0x-hex string
+ * - NUMERIC/BIGINT stay strings (as returned by pg)
+ * - Dates -> ISO strings
+ * @param {any} value
+ * @returns {any}
+ */
+function serialize(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return '0x' + value.toString('hex');
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = serialize(item);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Parse and validate helpers for path and query parameters
+ */
+function parseHash(value) {
+  if (!HASH_PATTERN.test(value)) {
+    throw httpError(400, `Invalid hash: ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+function parseAddress(value) {
+  if (!ADDRESS_PATTERN.test(value)) {
+    throw httpError(400, `Invalid address: ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+function parseBlockId(value) {
+  if (NUMBER_PATTERN.test(value)) {
+    if (BigInt(value) > MAX_NUMBER) {
+      throw httpError(400, `Invalid block number: ${value}`);
+    }
+    return value;
+  }
+  return parseHash(value);
+}
+
+function parseOptionalNumber(params, name) {
+  const value = params.get(name);
+  if (value === null || value === '') {
+    return null;
+  }
+  if (!NUMBER_PATTERN.test(value) || BigInt(value) > MAX_NUMBER) {
+    throw httpError(400, `Invalid ${name}: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a (block number, transaction index) cursor: "<block>:<index>"
+ * A bare block number starts before that block's first transaction.
+ */
+function parseCursor(params, name) {
+  const value = params.get(name);
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const match = CURSOR_PATTERN.exec(value);
+  if (!match || BigInt(match[1]) > MAX_NUMBER || BigInt(match[2] || 0) > MAX_INTEGER) {
+    throw httpError(400, `Invalid ${name}: ${value}`);
+  }
+  return { blockNumber: match[1], transactionIndex: match[2] || '0' };
+}
+
+function parseLimit(params) {
+  const value = parseOptionalNumber(params, 'limit');
+  if (value === null) {
+    return DEFAULT_LIMIT;
+  }
+  return Math.min(Math.max(parseInt(value), 1), MAX_LIMIT);
+}
+
+function notFound(what) {
+  return httpError(404, `${what} not found`);
+}
+
+/**
+ * Cache lifetime (seconds) of block data by its finality status
+ * Finalized data can't change any more; everything else may be reorged.
+ * @param {object} data - Row with a finality column
+ * @returns {number}
+ */
+function finalityMaxAge(data) {
+  return data.finality === 'finalized'
+    ? config.redis.ttl.finalizedBlocks
+    : config.redis.ttl.latestBlocks;
+}
+
+/**
+ * Route table: [method, path pattern, handler(match, searchParams), maxAge(data)?]
+ * Routes with maxAge send a Cache-Control header.
+ */
+const routes = [
+  ['GET', /^\/blocks$/, async (_, params) => {
+    return explorerQueries.getBlocks({
+      before: parseOptionalNumber(params, 'before'),
+      limit: parseLimit(params),
+    });
+  }],
+
+  ['GET', /^\/blocks\/([^/]+)$/, async ([, id]) => {
+    const block = await explorerQueries.getBlock(parseBlockId(id));
+    if (!block) throw notFound('Block');
+    return block;
+  }, finalityMaxAge],
+
+  ['GET', /^\/tx\/([^/]+)$/, async ([, hash]) => {
+    const tx = await explorerQueries.getTransaction(parseHash(hash));
+    if (!tx) throw notFound('Transaction');
+    return tx;
+  }, finalityMaxAge],
+
+  ['GET', /^\/address\/([^/]+)$/, async ([, address]) => {
+    const entry = await explorerQueries.getAddress(parseAddress(address));
+    if (!entry) throw notFound('Address');
+    return entry;
+  }],
+
+  ['GET', /^\/address\/([^/]+)\/transactions$/, async ([, address], params) => {
+    return explorerQueries.getAddressTransactions(parseAddress(address), {
+      before: parseCursor(params, 'before'),
+      limit: parseLimit(params),
+    });
+  }],
+
+  ['GET', /^\/tokens\/([^/]+)$/, async ([, address]) => {
+    const token = await explorerQueries.getToken(parseAddress(address));
+    if (!token) throw notFound('Token');
+    return token;
+  }],
+
+  ['GET', /^\/tokens\/([^/]+)\/holders$/, async ([, address], params) => {
+    return explorerQueries.getTokenHolders(parseAddress(address), {
+      limit: parseLimit(params),
+      offset: parseInt(parseOptionalNumber(params, 'offset') || '0'),
+    });
+  }],
+
+  ['GET', /^\/reorgs$/, async (_, params) => {
+    return explorerQueries.getReorgs({
+      before: parseOptionalNumber(params, 'before'),
+      limit: parseLimit(params),
+    });
+  }],
+
+  ['GET', /^\/sync\/failed-batches$/, async () => {
+    return explorerQueries.getFailedBatches();
+  }],
+
+  ['GET', /^\/sync\/state$/, async () => {
+    const state = await explorerQueries.getIndexerState();
+    if (!state) throw notFound('Indexer state');
+    return state;
+  }],
+];
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': config.api.corsOrigin,
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle a single HTTP request
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+  const startTime = Date.now();
+  let path = req.url;
+  let status = 200;
+
+  try {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      throw httpError(400, 'Invalid URL');
+    }
+    path = url.pathname;
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': config.api.corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end();
+      status = 204;
+      return;
+    }
+
+    const route = routes.find(([method, pattern]) =>
+      method === req.method && pattern.test(url.pathname)
+    );
+
+    if (!route) {
+      throw notFound('Route');
+    }
+
+    const [, pattern, handler, maxAge] = route;
+    const data = await handler(url.pathname.match(pattern), url.searchParams);
+    sendJson(res, status, serialize(data), maxAge
+      ? { 'Cache-Control': `public, max-age=${maxAge(data)}` }
+      : {});
+  } catch (error) {
+    status = error.status || 500;
+
+    if (status === 500) {
+      logger.error('API request failed', {
+        method: req.method,
+        path,
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+
+    sendJson(res, status, {
+      error: status === 500 ? 'Internal server error' : error.message,
+    });
+  } finally {
+    logger.debug('API request', {
+      method: req.method,
+      path,
+      status,
+      duration: `${Date.now() - startTime}ms`,
+    });
+  }
+}
+
+/**
+ * Create the API HTTP server (not listening yet)
+ * @returns {http.Server}
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      // Only reached when the error response itself could not be written
+      logger.error('API response failed', {
+        method: req.method,
+        path: req.url,
+        error: error.message,
+      });
+      res.destroy();
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  handleRequest,
+  serialize,
+};
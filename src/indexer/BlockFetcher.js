@@ -1,5 +1,10 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
 const rpcClient = require('./RpcClient');
 const blockStorage = require('./BlockStorage');
+const syncStateStorage = require('./SyncStateStorage');
+const indexManager = require('./IndexManager');
+const tokenTransferDecoder = require('./TokenTransferDecoder');
 const logger = require('../../lib/logger');
 const config = require('../../lib/config');
 
@@ -9,21 +14,48 @@ const config = require('../../lib/config');
  * Responsibilities:
  * - Manages indexing strategy (historical vs real-time)
  * - Coordinates between RpcClient and BlockStorage
+ * - Runs decoder stages (token transfers) over each batch's logs
  * - Handles blockchain reorganizations
+ * - Stays INDEXER_CONFIRMATIONS blocks behind the head and tracks which
+ *   stored blocks are safe / finalized
  * - Implements retry logic for failed batches
- * - Tracks indexing progress
+ * - Persists batches that still fail (SyncStateStorage) and retries them later
+ * - Tracks indexing progress and checkpoints it in indexer_state, in the same
+ *   DB transaction as each batch
+ * - In bulk load mode (INDEXER_BULK_LOAD), runs long historical syncs without
+ *   secondary indexes and foreign keys and rebuilds them before real-time sync
+ *   (IndexManager)
+ * - Emits events once data is committed (used by FeedServer)
+ *
+ * Events:
+ * - batchIndexed { blocks, receipts, tokenTransfers } - after saveBlocks() commits
+ * - reorg { blockNumber, oldHash, newHash, commonAncestor, depth, deletedCount } - after the rollback commits
  *
  * Does NOT:
  * - Directly fetch from RPC (delegates to RpcClient)
  * - Directly save to database (delegates to BlockStorage)
  * - Know about ethers.js or PostgreSQL details
  */
-class BlockFetcher {
+class BlockFetcher extends EventEmitter {
   constructor() {
+    super();
     this.currentBlock = null;
     this.isRunning = false;
     this.retryCount = 0;
     this.maxRetries = config.rpc.retries;
+    this.finality = null; // { safe, finalized } once known
+    this.headBlock = null; // chain head seen on the last sync
+    this.chainId = null; // served by the RPC endpoints, known once connected
+    this.lastReorgId = 0; // latest reorg known to the checkpoints this process writes
+    this.syncQueue = null; // { batches, progress } while syncHistoricalBlocks() runs
+    this.parentChecks = new Map(); // block number -> { hash, child } expected by a batch saved above it
+
+    // Real-time sync state
+    this.unsubscribeHeads = null; // set while subscribed to newHeads
+    this.pendingHead = false; // head arrived while the loop was busy
+    this.wakeUp = null; // resolves the current waitForHead()
+    this.resubscribeDelay = 0;
+    this.nextSubscribeAt = 0;
   }
 
   /**
@@ -34,18 +66,43 @@ class BlockFetcher {
       logger.info('Initializing BlockFetcher');
 
       // Connect to RPC
-      await rpcClient.connect();
+      const network = await rpcClient.connect();
+      this.chainId = Number(network.chainId);
 
       // Get current blockchain height
       const chainHeight = await rpcClient.getBlockNumber();
       logger.info('Current blockchain height', { blockNumber: chainHeight });
 
-      // Get last indexed block from database
-      const lastIndexedBlock = await blockStorage.getLastBlockNumber();
-      this.currentBlock = lastIndexedBlock || config.indexer.startBlock;
+      // Resume from the checkpoint; databases without one fall back to the
+      // highest stored block (once, the checkpoint is written below)
+      const state = await syncStateStorage.getIndexerState();
+      const configFingerprint = this.getConfigFingerprint();
+
+      if (state) {
+        this.currentBlock = state.watermark;
+
+        if (state.configFingerprint && state.configFingerprint !== configFingerprint) {
+          logger.warn('Indexer configuration changed since the last run', {
+            previous: state.configFingerprint,
+            current: configFingerprint,
+          });
+        }
+      } else {
+        const lastIndexedBlock = await blockStorage.getLastBlockNumber();
+        this.currentBlock = lastIndexedBlock || config.indexer.startBlock;
+      }
+
+      this.headBlock = chainHeight;
+      this.lastReorgId = await syncStateStorage.getLastReorgId();
+      await syncStateStorage.saveIndexerState({
+        watermark: this.currentBlock,
+        headBlock: chainHeight,
+        configFingerprint,
+      });
 
       logger.info('BlockFetcher initialized', {
         startingFrom: this.currentBlock,
+        resumedFrom: state ? 'indexer_state' : 'blocks',
         chainHeight: chainHeight,
         blocksToSync: chainHeight - this.currentBlock,
       });
@@ -63,7 +120,7 @@ class BlockFetcher {
   /**
    * Start the block fetcher
    * - Backfills historical blocks
-   * - Subscribes to new blocks (or polls)
+   * - Subscribes to new heads (or polls)
    */
   async start() {
     if (this.isRunning) {
@@ -75,22 +132,42 @@ class BlockFetcher {
     logger.info('Starting BlockFetcher');
 
     try {
-      // Get current chain height
-      const chainHeight = await rpcClient.getBlockNumber();
+      // Get the height to index up to
+      const chainHeight = await this.getTargetHeight();
 
       // If we're behind, do historical sync first
       if (this.currentBlock < chainHeight) {
+        const bulkLoad = config.indexer.bulkLoad &&
+          chainHeight - this.currentBlock >= config.indexer.bulkLoadMinBlocks;
+
         logger.info('Starting historical sync', {
           from: this.currentBlock + 1,
           to: chainHeight,
           blocks: chainHeight - this.currentBlock,
+          bulkLoad,
         });
 
+        if (bulkLoad) {
+          await indexManager.deferIndexes();
+        }
+
         await this.syncHistoricalBlocks(this.currentBlock + 1, chainHeight);
       }
 
+      // Rebuild what bulk load mode dropped (also resumes a rebuild an earlier
+      // run didn't finish); real-time queries need the indexes
+      if (this.isRunning && (await indexManager.getDeferred()).length > 0) {
+        logger.info('Rebuilding indexes before real-time sync');
+        await indexManager.rebuildIndexes({ shouldContinue: () => this.isRunning });
+      }
+
       // After historical sync, start real-time syncing
-      logger.info('Historical sync complete, starting real-time sync');
+      const gaps = await syncStateStorage.getFailedBatchStats();
+      if (gaps.failedBatches > 0) {
+        logger.warn('Historical sync finished with gaps, starting real-time sync', gaps);
+      } else {
+        logger.info('Historical sync complete, starting real-time sync');
+      }
       await this.startRealTimeSync();
 
     } catch (error) {
@@ -101,7 +178,11 @@ class BlockFetcher {
   }
 
   /**
-   * Sync historical blocks in batches with parallel processing
+   * Sync historical blocks with a pool of workers over a batch queue
+   * Each worker takes the next range as soon as it is free, so one slow batch
+   * doesn't idle the others. currentBlock only advances over a contiguous
+   * run of completed batches (see advanceWatermark()). Batches that fail
+   * after all retries are persisted and retried by retryFailedBatches().
    * @param {number} fromBlock - Starting block number
    * @param {number} toBlock - Ending block number
    */
@@ -109,11 +190,11 @@ class BlockFetcher {
     const batchSize = config.indexer.batchSize;
     const parallelBatches = config.indexer.parallelBatches;
 
-    // Create array of all batch ranges to process
+    // Queue of all batch ranges, in block order
     const batches = [];
     for (let start = fromBlock; start <= toBlock; start += batchSize) {
       const end = Math.min(start + batchSize - 1, toBlock);
-      batches.push({ from: start, to: end });
+      batches.push({ from: start, to: end, status: 'pending' });
     }
 
     logger.info('Starting parallel sync', {
@@ -123,64 +204,294 @@ class BlockFetcher {
       totalBlocks: toBlock - fromBlock + 1,
     });
 
-    let processedBatches = 0;
-    let failedBatches = [];
-
-    // Process batches in parallel with concurrency control
-    for (let i = 0; i < batches.length && this.isRunning; i += parallelBatches) {
-      const chunk = batches.slice(i, i + parallelBatches);
+    const progress = {
+      next: 0, // next batch to hand out
+      watermark: 0, // first batch not yet covered by currentBlock
+      processed: 0,
+      failed: [],
+    };
 
-      logger.info('Processing parallel chunk', {
-        chunk: `${i + 1}-${Math.min(i + parallelBatches, batches.length)} of ${batches.length}`,
-        progress: `${((i / batches.length) * 100).toFixed(2)}%`,
-      });
+    const worker = async () => {
+      while (this.isRunning && progress.next < batches.length) {
+        const batch = batches[progress.next++];
 
-      // Process this chunk of batches in parallel
-      const results = await Promise.allSettled(
-        chunk.map(batch => this.fetchAndSaveBatchWithRetry(batch.from, batch.to))
-      );
+        try {
+          await this.fetchAndSaveBatchWithRetry(batch.from, batch.to);
+          batch.status = 'done';
+          progress.processed++;
+          this.advanceWatermark(batches, progress);
 
-      // Track results
-      results.forEach((result, idx) => {
-        const batch = chunk[idx];
-        if (result.status === 'fulfilled') {
-          processedBatches++;
-          this.currentBlock = Math.max(this.currentBlock, batch.to);
           logger.info('Batch completed', {
             from: batch.from,
             to: batch.to,
-            completed: processedBatches,
+            completed: progress.processed,
             total: batches.length,
+            progress: `${((progress.processed / batches.length) * 100).toFixed(2)}%`,
+            indexedUpTo: this.currentBlock,
           });
-        } else {
-          failedBatches.push({ ...batch, error: result.reason.message });
+        } catch (error) {
+          batch.status = 'failed';
+          progress.failed.push({ from: batch.from, to: batch.to, error: error.message });
           logger.error('Batch failed after retries', {
             from: batch.from,
             to: batch.to,
-            error: result.reason.message,
+            error: error.message,
           });
+
+          if (await this.queueFailedBatch(batch.from, batch.to, error)) {
+            batch.status = 'queued';
+            this.advanceWatermark(batches, progress);
+          }
         }
-      });
 
-      // Optional delay between parallel chunks
-      if (config.indexer.blockDelay > 0 && i + parallelBatches < batches.length) {
-        await this.sleep(config.indexer.blockDelay);
+        // Optional delay before this worker takes its next batch
+        if (config.indexer.blockDelay > 0 && progress.next < batches.length) {
+          await this.sleep(config.indexer.blockDelay);
+        }
       }
+    };
+
+    const workerCount = Math.min(parallelBatches, batches.length);
+    this.syncQueue = { batches, progress };
+    try {
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      this.syncQueue = null;
     }
 
+    // Batches only checkpoint what was covered when they were saved; catch up
+    // with batches that completed out of order or were queued as failed
+    await this.saveCheckpoint();
+
     // Summary
     logger.info('Historical sync completed', {
       lastBlock: toBlock,
-      successfulBatches: processedBatches,
-      failedBatches: failedBatches.length,
+      indexedUpTo: this.currentBlock,
+      successfulBatches: progress.processed,
+      failedBatches: progress.failed.length,
     });
 
-    if (failedBatches.length > 0) {
+    if (progress.failed.length > 0) {
       logger.warn('Failed batches summary', {
-        count: failedBatches.length,
-        batches: failedBatches.map(b => `${b.from}-${b.to}`),
+        count: progress.failed.length,
+        batches: progress.failed.map(b => `${b.from}-${b.to}`),
+      });
+    }
+  }
+
+  /**
+   * Move currentBlock over the completed batches at the front of the queue
+   * Stops at the first batch that is still running, failed or rolled back by a
+   * reorg, so every block up to currentBlock is either saved or queued in
+   * sync_failed_batches.
+   * Also stops if currentBlock was moved back (reorg) below the next batch.
+   * @param {Array<object>} batches - Batch queue with status per batch
+   * @param {object} progress - Sync progress (watermark = first uncovered batch)
+   */
+  advanceWatermark(batches, progress) {
+    while (progress.watermark < batches.length) {
+      const batch = batches[progress.watermark];
+
+      const covered = batch.status === 'done' || batch.status === 'queued';
+      if (!covered || this.currentBlock < batch.from - 1) {
+        return;
+      }
+
+      this.currentBlock = batch.to;
+      progress.watermark++;
+    }
+  }
+
+  /**
+   * Watermark once the batch starting at fromBlock is saved
+   * Same walk as advanceWatermark(), counting that batch as done, so the
+   * checkpoint can be written in the batch's own DB transaction.
+   * @param {number} fromBlock
+   * @returns {number|null}
+   */
+  projectWatermark(fromBlock) {
+    let watermark = this.currentBlock;
+
+    if (watermark === null || !this.syncQueue) {
+      return watermark;
+    }
+
+    const { batches, progress } = this.syncQueue;
+    for (let i = progress.watermark; i < batches.length; i++) {
+      const batch = batches[i];
+      const covered = batch.from === fromBlock || batch.status === 'done' || batch.status === 'queued';
+
+      if (!covered || watermark < batch.from - 1) {
+        break;
+      }
+      watermark = batch.to;
+    }
+
+    return watermark;
+  }
+
+  /**
+   * Write currentBlock and the head seen to indexer_state
+   * A failure is logged; the next batch or sync run writes it again.
+   */
+  async saveCheckpoint() {
+    if (this.currentBlock === null) {
+      return;
+    }
+
+    try {
+      await syncStateStorage.saveIndexerState({
+        watermark: this.currentBlock,
+        headBlock: this.headBlock,
+      });
+    } catch (error) {
+      logger.warn('Failed to save sync checkpoint', { error: error.message });
+    }
+  }
+
+  /**
+   * Settings that change what gets indexed
+   * Stored in indexer_state so a restart with different settings is noticed.
+   * @returns {string} - sha256 hex digest
+   */
+  getConfigFingerprint() {
+    const { startBlock, enableTracing } = config.indexer;
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ chainId: this.chainId, startBlock, enableTracing }))
+      .digest('hex');
+  }
+
+  /**
+   * Persist a failed range so it is retried later (and after restarts)
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {Error} error - Last error of the batch
+   * @returns {Promise<boolean>} - False if the range could not be persisted
+   */
+  async queueFailedBatch(fromBlock, toBlock, error) {
+    try {
+      const failed = await syncStateStorage.recordFailedBatch(fromBlock, toBlock, error.message);
+
+      logger.warn('Failed batch queued for retry', {
+        from: fromBlock,
+        to: toBlock,
+        attempts: failed.attempts,
+        nextRetryAt: failed.nextRetryAt,
+      });
+      return true;
+    } catch (storageError) {
+      logger.error('Could not queue failed batch, it will be synced again', {
+        from: fromBlock,
+        to: toBlock,
+        error: storageError.message,
       });
+      return false;
+    }
+  }
+
+  /**
+   * Retry persisted failed batches whose backoff has expired
+   * A range that is indexed is removed; one that fails again is rescheduled.
+   * @returns {Promise<number>} - Number of ranges recovered
+   */
+  async retryFailedBatches() {
+    const due = await syncStateStorage.getDueFailedBatches(config.indexer.parallelBatches);
+    let recovered = 0;
+
+    for (const batch of due) {
+      if (!this.isRunning) break;
+
+      try {
+        await this.fetchAndSaveBatchWithRetry(batch.fromBlock, batch.toBlock);
+        await syncStateStorage.resolveFailedBatches(batch.fromBlock, batch.toBlock);
+        recovered++;
+
+        logger.info('Failed batch recovered', {
+          from: batch.fromBlock,
+          to: batch.toBlock,
+          attempts: batch.attempts + 1,
+        });
+      } catch (error) {
+        await this.queueFailedBatch(batch.fromBlock, batch.toBlock, error);
+      }
     }
+
+    return recovered;
+  }
+
+  /**
+   * Re-index every block missing from the database in a range
+   * Gaps are split into batches and fetched by a worker pool through
+   * fetchAndSaveBatchWithRetry(). Ranges that still fail are queued like
+   * any other failed batch.
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<object>} - Summary of gaps found, repaired and failed
+   */
+  async repairGaps(fromBlock, toBlock) {
+    const gaps = await blockStorage.findGaps(fromBlock, toBlock);
+    const batchSize = config.indexer.batchSize;
+
+    const summary = {
+      from: fromBlock,
+      to: toBlock,
+      gaps: gaps.length,
+      missingBlocks: gaps.reduce((sum, gap) => sum + gap.to - gap.from + 1, 0),
+      repairedBlocks: 0,
+      failedRanges: [],
+    };
+
+    logger.info('Gap scan completed', {
+      from: fromBlock,
+      to: toBlock,
+      gaps: summary.gaps,
+      missingBlocks: summary.missingBlocks,
+    });
+
+    const batches = [];
+    for (const gap of gaps) {
+      for (let start = gap.from; start <= gap.to; start += batchSize) {
+        batches.push({ gap, from: start, to: Math.min(start + batchSize - 1, gap.to) });
+      }
+    }
+
+    let next = 0;
+    const failedGaps = new Set();
+
+    const worker = async () => {
+      while (next < batches.length) {
+        const batch = batches[next++];
+
+        try {
+          await this.fetchAndSaveBatchWithRetry(batch.from, batch.to);
+          summary.repairedBlocks += batch.to - batch.from + 1;
+
+          logger.info('Gap batch repaired', {
+            from: batch.from,
+            to: batch.to,
+            repaired: summary.repairedBlocks,
+            missing: summary.missingBlocks,
+          });
+        } catch (error) {
+          failedGaps.add(batch.gap);
+          summary.failedRanges.push(`${batch.from}-${batch.to}`);
+          await this.queueFailedBatch(batch.from, batch.to, error);
+        }
+      }
+    };
+
+    const workerCount = Math.min(config.indexer.parallelBatches, batches.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    // Drop failed-batch entries for gaps that are now fully indexed
+    for (const gap of gaps) {
+      if (!failedGaps.has(gap)) {
+        await syncStateStorage.resolveFailedBatches(gap.from, gap.to);
+      }
+    }
+
+    return summary;
   }
 
   /**
@@ -234,9 +545,11 @@ class BlockFetcher {
     // Fetch blocks from RPC
     const blocks = await rpcClient.getBlockRange(fromBlock, toBlock);
 
-    if (blocks.length === 0) {
-      logger.warn('No blocks fetched', { fromBlock, toBlock });
-      return;
+    // A short batch must fail (and be queued): reporting it done would move
+    // the watermark over blocks that were never stored
+    const expected = toBlock - fromBlock + 1;
+    if (blocks.length !== expected) {
+      throw new Error(`Fetched ${blocks.length} of ${expected} blocks in ${fromBlock}-${toBlock}`);
     }
 
     // Check for reorgs if enabled
@@ -244,22 +557,102 @@ class BlockFetcher {
       await this.checkForReorgs(blocks);
     }
 
-    // Save blocks to database
-    const savedCount = await blockStorage.saveBlocks(blocks);
+    // Fetch receipts so transactions carry status, gas used and created contracts
+    const receipts = await rpcClient.getReceiptsForBlocks(blocks);
+
+    // Decode token transfers from the batch's event logs
+    const logs = receipts.flatMap(receipt => receipt.logs || []);
+    const tokenTransfers = tokenTransferDecoder.decodeLogs(logs);
+
+    // Internal transactions (optional, needs debug namespace on the node)
+    const traces = config.indexer.enableTracing
+      ? await rpcClient.getTracesForBlocks(blocks)
+      : [];
+
+    // Bytecode of contracts deployed in this batch (for the address book),
+    // including contracts deployed by other contracts when traces are on
+    const contractCodes = await rpcClient.getContractCodes(receipts, traces);
+
+    // Save blocks to database, checkpointing in the same DB transaction
+    const watermark = this.projectWatermark(fromBlock);
+    const savedCount = await blockStorage.saveBlocks(blocks, {
+      receipts,
+      tokenTransfers,
+      contractCodes,
+      traces,
+      finality: this.finality,
+      checkpoint: watermark !== null
+        ? { watermark, headBlock: this.headBlock, reorgId: this.lastReorgId }
+        : null,
+    });
 
     logger.info('Batch saved', {
       from: fromBlock,
       to: toBlock,
       fetched: blocks.length,
       saved: savedCount,
+      receipts: receipts.length,
+      logs: logs.length,
+      tokenTransfers: tokenTransfers.length,
+      traces: traces.length,
     });
+
+    // Only announce blocks that are queryable now (skip re-fetched batches)
+    if (savedCount > 0) {
+      this.emit('batchIndexed', { blocks, receipts, tokenTransfers });
+    }
+
+    // A batch above this one may have been saved before this one existed
+    if (config.indexer.enableReorgCheck) {
+      await this.checkDeferredParent(blocks[blocks.length - 1]);
+    }
   }
 
   /**
    * Check for blockchain reorganizations
-   * @param {Array<object>} blocks - Array of blocks to check
+   * - Each block must extend the previous one in the batch
+   * - The first block's parentHash must match the stored block N-1
+   *   (validates across batch boundaries; while N-1 isn't stored yet, the
+   *   expected hash is kept and checkDeferredParent() compares it once the
+   *   batch holding N-1 is saved)
+   * - A stored block with the same number must have the same hash
+   * On mismatch, rolls back to the common ancestor (see handleReorg()) and
+   * throws, so the batch is fetched again instead of being saved on top of
+   * the rolled back range.
+   * @param {Array<object>} blocks - Array of blocks to check, in order
    */
   async checkForReorgs(blocks) {
+    for (let i = 1; i < blocks.length; i++) {
+      if (blocks[i].parentHash !== blocks[i - 1].hash) {
+        // The node switched forks while serving the batch; fetch it again
+        throw new Error(`Block ${blocks[i].number} does not extend block ${blocks[i - 1].number} in the same batch`);
+      }
+    }
+
+    const first = blocks[0];
+    if (first.number > 0) {
+      // Registered before the lookup so a parent batch committing meanwhile
+      // still sees it; whoever removes the entry does the comparison
+      this.parentChecks.set(first.number - 1, { hash: first.parentHash, child: first.number });
+      const parent = await blockStorage.getBlock(first.number - 1);
+
+      if (parent && this.parentChecks.delete(first.number - 1)) {
+        const parentHash = '0x' + parent.hash.toString('hex');
+
+        if (parentHash !== first.parentHash) {
+          logger.warn('Reorg detected!', {
+            blockNumber: first.number - 1,
+            existingHash: parentHash,
+            newHash: first.parentHash,
+            reason: 'parent hash mismatch',
+          });
+
+          await this.handleReorg(first.number - 1, parentHash, first.parentHash);
+          throw new Error(`Reorg at block ${first.number - 1} rolled back, batch from ${first.number} must be fetched again`);
+        }
+      }
+    }
+
     for (const block of blocks) {
       if (block.number === 0) continue; // Skip genesis block
 
@@ -276,37 +669,225 @@ class BlockFetcher {
             newHash: block.hash,
           });
 
-          // Delete blocks from this point onwards
-          const deletedCount = await blockStorage.deleteBlocksFrom(block.number);
+          await this.handleReorg(block.number, existingHash, block.hash);
+          throw new Error(`Reorg at block ${block.number} rolled back, batch from ${first.number} must be fetched again`);
+        }
+      }
+    }
+  }
 
-          logger.info('Removed blocks due to reorg', {
-            fromBlock: block.number,
-            deletedCount,
-          });
+  /**
+   * Compare a just saved block with the parent hash expected by the batch
+   * above it, when that batch was saved first (parallel sync)
+   * On mismatch the stored chain is broken at the boundary: the block above
+   * it is rolled back to the common ancestor like any other reorg, and an
+   * error is thrown so the batch is fetched again.
+   * @param {object} block - Last block of the saved batch
+   */
+  async checkDeferredParent(block) {
+    const expected = this.parentChecks.get(block.number);
+    if (!expected) {
+      return;
+    }
 
-          // Update current block pointer
-          this.currentBlock = block.number - 1;
+    this.parentChecks.delete(block.number);
+    if (expected.hash === block.hash) {
+      return;
+    }
+
+    // Rolled back since it was checked
+    const child = await blockStorage.getBlock(expected.child);
+    if (!child) {
+      return;
+    }
 
-          break; // Stop checking, we'll re-fetch from here
+    logger.warn('Reorg detected!', {
+      blockNumber: block.number,
+      existingHash: block.hash,
+      newHash: expected.hash,
+      reason: 'parent hash mismatch at batch boundary',
+    });
+
+    const canonical = await rpcClient.getBlock(expected.child, false);
+    if (!canonical) {
+      throw new Error(`Block ${expected.child} not found while checking the batch boundary`);
+    }
+
+    await this.handleReorg(expected.child, '0x' + child.hash.toString('hex'), canonical.hash);
+    throw new Error(`Reorg at block ${expected.child} rolled back, batch up to ${block.number} must be fetched again`);
+  }
+
+  /**
+   * Roll back an orphaned block and everything above it to the common ancestor
+   * Walks back from the orphaned block, comparing stored hashes with the
+   * canonical chain, for at most INDEXER_MAX_REORG_DEPTH blocks.
+   * @param {number} blockNumber - Stored block known to be orphaned
+   * @param {string} oldHash - Its stored hash
+   * @param {string} newHash - Canonical hash at that height
+   */
+  async handleReorg(blockNumber, oldHash, newHash) {
+    const maxDepth = config.indexer.maxReorgDepth;
+    let orphaned = { number: blockNumber, oldHash, newHash };
+    let ancestor = blockNumber - 1;
+
+    for (; ancestor >= 0; ancestor--) {
+      if (blockNumber - ancestor > maxDepth) {
+        throw new Error(`Reorg at block ${blockNumber} is deeper than ${maxDepth} blocks`);
+      }
+
+      const stored = await blockStorage.getBlock(ancestor);
+      if (!stored) {
+        break; // Nothing stored below here to compare or roll back
+      }
+
+      const canonical = await rpcClient.getBlock(ancestor, false);
+      if (!canonical) {
+        throw new Error(`Block ${ancestor} not found while looking for the common ancestor`);
+      }
+
+      const storedHash = '0x' + stored.hash.toString('hex');
+      if (storedHash === canonical.hash) {
+        break;
+      }
+
+      orphaned = { number: ancestor, oldHash: storedHash, newHash: canonical.hash };
+    }
+
+    if (this.finality && orphaned.number <= this.finality.finalized) {
+      throw new Error(
+        `Reorg at block ${blockNumber} reaches finalized block ${this.finality.finalized}, refusing to roll back`
+      );
+    }
+
+    // Remove the first orphaned block onwards with all derived rows
+    const depth = blockNumber - ancestor;
+    const removed = await blockStorage.rollbackBlocksFrom(orphaned.number, {
+      commonAncestor: ancestor,
+      depth,
+      oldHash: orphaned.oldHash,
+      newHash: orphaned.newHash,
+    });
+    this.lastReorgId = removed.reorgId;
+
+    logger.info('Removed blocks due to reorg', {
+      fromBlock: orphaned.number,
+      commonAncestor: ancestor,
+      depth,
+      deletedCount: removed.blocks,
+    });
+
+    this.emit('reorg', {
+      blockNumber: orphaned.number,
+      oldHash: orphaned.oldHash,
+      newHash: orphaned.newHash,
+      commonAncestor: ancestor,
+      depth,
+      deletedCount: removed.blocks,
+    });
+
+    // Boundary checks of rolled back batches no longer apply
+    for (const [number, expected] of this.parentChecks) {
+      if (expected.child > ancestor) {
+        this.parentChecks.delete(number);
+      }
+    }
+
+    // Saved batches above the ancestor are gone; keep the watermark below them
+    if (this.syncQueue) {
+      for (const batch of this.syncQueue.batches) {
+        if (batch.status === 'done' && batch.to > ancestor) {
+          batch.status = 'rolledBack';
         }
       }
     }
+
+    // Resume from the ancestor (never move the pointer forward)
+    this.currentBlock = this.currentBlock === null
+      ? ancestor
+      : Math.min(this.currentBlock, ancestor);
+  }
+
+  /**
+   * Highest block to index: the chain head minus the confirmation depth
+   * Refreshes the safe/finalized heights on the way.
+   * @returns {Promise<number>}
+   */
+  async getTargetHeight() {
+    const head = await rpcClient.getBlockNumber();
+    this.headBlock = head;
+    await this.refreshFinality(head);
+    return head - config.indexer.confirmations;
+  }
+
+  /**
+   * Update the safe and finalized heights and promote stored blocks
+   * Uses the node's safe/finalized tags; without them, blocks deeper than
+   * INDEXER_MAX_REORG_DEPTH count as finalized and blocks behind
+   * INDEXER_CONFIRMATIONS as safe. Heights never move backwards.
+   * A failure is logged and leaves the previous heights in place.
+   * @param {number} head - Current chain head
+   */
+  async refreshFinality(head) {
+    const { confirmations, maxReorgDepth } = config.indexer;
+
+    try {
+      let heads = await rpcClient.getFinalityHeads();
+
+      if (!heads) {
+        const finalized = Math.max(head - maxReorgDepth, -1);
+        heads = {
+          safe: confirmations > 0 ? Math.max(head - confirmations, finalized) : finalized,
+          finalized,
+        };
+      }
+
+      const previous = this.finality || { safe: -1, finalized: -1 };
+      const finality = {
+        safe: Math.max(previous.safe, heads.safe),
+        finalized: Math.max(previous.finalized, heads.finalized),
+      };
+
+      if (this.finality && finality.safe === previous.safe && finality.finalized === previous.finalized) {
+        return;
+      }
+
+      const promoted = await blockStorage.updateFinality(finality);
+      this.finality = finality;
+
+      logger.debug('Block finality updated', {
+        safeBlock: finality.safe,
+        finalizedBlock: finality.finalized,
+        promotedSafe: promoted.safe,
+        promotedFinalized: promoted.finalized,
+      });
+    } catch (error) {
+      logger.warn('Failed to refresh block finality', { error: error.message });
+    }
   }
 
   /**
-   * Start real-time sync (polling-based)
-   * Continuously polls for new blocks
+   * Start real-time sync
+   * Waits for newHeads over the WebSocket provider and falls back to polling
+   * while the subscription is down. Resubscribes with exponential backoff.
    */
   async startRealTimeSync() {
-    const pollInterval = 12000; // 12 seconds (PulseChain block time)
+    const { pollInterval, subscribeNewHeads } = config.indexer;
 
-    logger.info('Starting real-time sync (polling mode)', {
-      interval: `${pollInterval}ms`,
+    logger.info('Starting real-time sync', {
+      mode: subscribeNewHeads ? 'newHeads' : 'polling',
+      pollInterval: `${pollInterval}ms`,
     });
 
+    this.nextSubscribeAt = 0;
+    this.resubscribeDelay = 0;
+
     while (this.isRunning) {
+      if (subscribeNewHeads && !this.unsubscribeHeads && Date.now() >= this.nextSubscribeAt) {
+        await this.subscribeToHeads();
+      }
+
       try {
-        const chainHeight = await rpcClient.getBlockNumber();
+        const chainHeight = await this.getTargetHeight();
 
         if (chainHeight > this.currentBlock) {
           logger.info('New blocks detected', {
@@ -318,15 +899,139 @@ class BlockFetcher {
           await this.syncHistoricalBlocks(this.currentBlock + 1, chainHeight);
         }
 
+        await this.retryFailedBatches();
+
       } catch (error) {
         logger.error('Error in real-time sync', { error: error.message });
       }
 
-      // Wait before next poll
-      await this.sleep(pollInterval);
+      if (!this.isRunning) break;
+
+      if (this.unsubscribeHeads) {
+        const gotHead = await this.waitForHead(config.indexer.headTimeout);
+
+        // Socket looks open but heads stopped arriving
+        if (!gotHead && this.unsubscribeHeads) {
+          logger.warn('No newHeads received, falling back to polling', {
+            timeout: `${config.indexer.headTimeout}ms`,
+          });
+          this.unsubscribeFromHeads();
+          this.scheduleResubscribe();
+        }
+      } else {
+        // Polling mode (also wakes up early on stop)
+        await this.waitForHead(pollInterval);
+      }
+    }
+
+    this.unsubscribeFromHeads();
+  }
+
+  /**
+   * Subscribe to newHeads via RpcClient
+   * On failure, schedules the next attempt and stays in polling mode.
+   */
+  async subscribeToHeads() {
+    try {
+      this.unsubscribeHeads = await rpcClient.subscribeNewHeads(
+        (blockNumber) => this.handleNewHead(blockNumber),
+        (reason) => this.handleHeadsClosed(reason)
+      );
+      this.pendingHead = false;
+      logger.info('Real-time sync using newHeads subscription');
+    } catch (error) {
+      this.unsubscribeHeads = null;
+      this.scheduleResubscribe();
+      logger.warn('newHeads subscription unavailable, polling', {
+        error: error.message,
+        retryIn: `${this.resubscribeDelay}ms`,
+      });
     }
   }
 
+  /**
+   * newHeads callback: wake the sync loop
+   * @param {number} blockNumber
+   */
+  handleNewHead(blockNumber) {
+    logger.debug('New head', { blockNumber });
+
+    // A head proves the subscription works; reset the backoff
+    this.resubscribeDelay = 0;
+    this.pendingHead = true;
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Socket dropped: fall back to polling until resubscribed
+   * @param {string} reason
+   */
+  handleHeadsClosed(reason) {
+    this.unsubscribeHeads = null;
+    this.scheduleResubscribe();
+
+    logger.warn('newHeads subscription lost, falling back to polling', {
+      reason,
+      retryIn: `${this.resubscribeDelay}ms`,
+    });
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Schedule the next subscribe attempt with exponential backoff
+   */
+  scheduleResubscribe() {
+    const { resubscribeDelay, resubscribeMaxDelay } = config.indexer;
+
+    this.resubscribeDelay = this.resubscribeDelay
+      ? Math.min(this.resubscribeDelay * 2, resubscribeMaxDelay)
+      : resubscribeDelay;
+    this.nextSubscribeAt = Date.now() + this.resubscribeDelay;
+  }
+
+  /**
+   * Drop the newHeads subscription, if any
+   */
+  unsubscribeFromHeads() {
+    if (this.unsubscribeHeads) {
+      this.unsubscribeHeads();
+      this.unsubscribeHeads = null;
+    }
+  }
+
+  /**
+   * Wait until a new head arrives, the loop is woken up, or the timeout passes
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<boolean>} - True if a head arrived
+   */
+  waitForHead(timeout) {
+    if (this.pendingHead) {
+      this.pendingHead = false;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.wakeUp = null;
+        resolve(false);
+      }, timeout);
+
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        const gotHead = this.pendingHead;
+        this.pendingHead = false;
+        resolve(gotHead);
+      };
+    });
+  }
+
   /**
    * Stop the block fetcher
    */
@@ -334,6 +1039,12 @@ class BlockFetcher {
     logger.info('Stopping BlockFetcher');
     this.isRunning = false;
 
+    // Stop listening for heads and wake the real-time loop
+    this.unsubscribeFromHeads();
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+
     // Close RPC connection
     await rpcClient.close();
 
@@ -347,13 +1058,29 @@ class BlockFetcher {
   async getStats() {
     const chainHeight = await rpcClient.getBlockNumber();
     const dbStats = await blockStorage.getStats();
+    const gaps = await syncStateStorage.getFailedBatchStats();
+    const state = await syncStateStorage.getIndexerState();
+    const indexRebuild = indexManager.getProgress();
+
+    // Position comes from the checkpoint (the highest stored block may sit
+    // above a gap); blocks in failed batches count as not indexed yet
+    const indexedUpTo = state ? state.watermark : dbStats.lastBlock;
+    const behind = chainHeight - config.indexer.confirmations - (indexedUpTo || 0);
+    const covered = (indexedUpTo || 0) - gaps.missingBlocks;
 
     return {
       chainHeight,
       indexed: dbStats.totalBlocks,
-      behind: chainHeight - (dbStats.lastBlock || 0),
-      progress: dbStats.lastBlock ? ((dbStats.lastBlock / chainHeight) * 100).toFixed(2) + '%' : '0%',
+      indexedUpTo,
+      behind,
+      progress: indexedUpTo ? ((covered / chainHeight) * 100).toFixed(2) + '%' : '0%',
+      lastSyncedAt: state ? state.lastSyncedAt : null,
+      caughtUp: behind <= 0 && gaps.failedBatches === 0 && !indexRebuild,
+      safeBlock: this.finality ? this.finality.safe : null,
+      finalizedBlock: this.finality ? this.finality.finalized : null,
+      indexRebuild,
       ...dbStats,
+      ...gaps,
     };
   }
 
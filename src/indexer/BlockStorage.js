@@ -1,5 +1,36 @@
 const db = require('../../lib/db');
 const logger = require('../../lib/logger');
+const syncStateStorage = require('./SyncStateStorage');
+
+// PostgreSQL allows at most 65535 bind parameters per statement
+const MAX_QUERY_PARAMS = 65535;
+
+// Sender of mints and recipient of burns; not a token holder
+const ZERO_ADDRESS = '0'.repeat(40);
+
+/**
+ * Convert a 0x-prefixed hex string to a Buffer (BYTEA), or null if missing
+ * @param {string|null|undefined} hex
+ * @returns {Buffer|null}
+ */
+function hexToBuffer(hex) {
+  if (hex === null || hex === undefined) {
+    return null;
+  }
+  return Buffer.from(hex.startsWith('0x') ? hex.slice(2) : hex, 'hex');
+}
+
+/**
+ * Convert a BigInt/number/hex value to a NUMERIC-safe string, or null if missing
+ * @param {bigint|number|string|null|undefined} value
+ * @returns {string|null}
+ */
+function toNumeric(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return BigInt(value).toString();
+}
 
 /**
  * BlockStorage - Handles saving blocks to PostgreSQL database
@@ -7,11 +38,25 @@ const logger = require('../../lib/logger');
  * Responsibilities:
  * - Transform ethers.js block format to PostgreSQL format
  * - Save single blocks
- * - Save multiple blocks in batches
+ * - Save multiple blocks in batches, together with their transactions, event logs
+ *   and decoded token transfers, using multi-row INSERTs (one statement per table
+ *   and chunk instead of one per row)
+ * - Maintain the address book (transaction counts, contract creation data)
+ * - Maintain token holder balances and token holder/transfer counts
+ *   incrementally from each batch's new token transfers
+ * - Flatten call traces into internal transactions
  * - Handle data type conversions (BigInt to string, hex to Buffer)
  * - Ensure data integrity with transactions
+ * - Roll back orphaned blocks and everything derived from them on reorgs
+ * - Create the block-number partitions of blocks, transactions and logs
+ *   before writing into them
  */
 class BlockStorage {
+  constructor() {
+    this.partitionSize = null; // blocks per partition, read from the database
+    this.partitions = new Set(); // partition indexes known to exist
+  }
+
   /**
    * Transform ethers.js block to database format
    * @param {object} block - Block object from ethers.js
@@ -82,6 +127,441 @@ class BlockStorage {
     }
   }
 
+  /**
+   * Get full transaction objects from a block fetched with includeTransactions
+   * @param {object} block - Block object from ethers.js
+   * @returns {Array<object>} - Transaction responses (empty if only hashes were fetched)
+   */
+  getBlockTransactions(block) {
+    const transactions = block.prefetchedTransactions || block.transactions || [];
+    return transactions.filter(tx => typeof tx === 'object');
+  }
+
+  /**
+   * Transform ethers.js transaction response to database format
+   * @param {object} tx - TransactionResponse from ethers.js
+   * @param {object} block - Block the transaction belongs to
+   * @param {object|null} receipt - TransactionReceipt from ethers.js (optional)
+   * @returns {object} - Database-ready transaction data
+   */
+  transformTransaction(tx, block, receipt = null) {
+    try {
+      const signature = tx.signature || {};
+
+      // Legacy transactions keep the EIP-155 encoded v, typed ones store yParity
+      let v = null;
+      if (tx.signature) {
+        v = tx.type === 0
+          ? (signature.networkV ?? signature.v)
+          : signature.yParity;
+      }
+
+      return {
+        hash: hexToBuffer(tx.hash),
+        block_hash: hexToBuffer(block.hash),
+        block_number: block.number.toString(),
+        transaction_index: tx.index,
+        from_address: hexToBuffer(tx.from),
+        to_address: hexToBuffer(tx.to),
+        value: toNumeric(tx.value) || '0',
+        input: hexToBuffer(tx.data || '0x'),
+        nonce: tx.nonce,
+        gas_limit: toNumeric(tx.gasLimit),
+        gas_price: toNumeric(tx.gasPrice),
+        max_fee_per_gas: toNumeric(tx.maxFeePerGas),
+        max_priority_fee_per_gas: toNumeric(tx.maxPriorityFeePerGas),
+        type: tx.type || 0,
+        v: toNumeric(v),
+        r: toNumeric(signature.r),
+        s: toNumeric(signature.s),
+
+        // Receipt data (null until a receipt is available)
+        status: receipt ? receipt.status : null,
+        gas_used: receipt ? toNumeric(receipt.gasUsed) : null,
+        cumulative_gas_used: receipt ? toNumeric(receipt.cumulativeGasUsed) : null,
+        contract_address: receipt ? hexToBuffer(receipt.contractAddress) : null,
+      };
+    } catch (error) {
+      logger.error('Failed to transform transaction', {
+        blockNumber: block.number,
+        hash: tx.hash,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Transform ethers.js log to database format, splitting topics into columns
+   * @param {object} log - Log from a TransactionReceipt
+   * @returns {object} - Database-ready log data
+   */
+  transformLog(log) {
+    const topics = log.topics || [];
+
+    return {
+      transaction_hash: hexToBuffer(log.transactionHash),
+      block_hash: hexToBuffer(log.blockHash),
+      block_number: log.blockNumber.toString(),
+      transaction_index: log.transactionIndex,
+      log_index: log.index,
+      address: hexToBuffer(log.address),
+      topic0: hexToBuffer(topics[0]),
+      topic1: hexToBuffer(topics[1]),
+      topic2: hexToBuffer(topics[2]),
+      topic3: hexToBuffer(topics[3]),
+      data: hexToBuffer(log.data || '0x'),
+    };
+  }
+
+  /**
+   * Transform a decoded token transfer to database format
+   * @param {object} transfer - Record from TokenTransferDecoder
+   * @returns {object} - Database-ready token transfer data
+   */
+  transformTokenTransfer(transfer) {
+    return {
+      transaction_hash: hexToBuffer(transfer.transactionHash),
+      block_number: transfer.blockNumber.toString(),
+      log_index: transfer.logIndex,
+      batch_index: transfer.batchIndex || 0,
+      token_address: hexToBuffer(transfer.tokenAddress),
+      from_address: hexToBuffer(transfer.from),
+      to_address: hexToBuffer(transfer.to),
+      value: toNumeric(transfer.value),
+      token_id: toNumeric(transfer.tokenId),
+      token_type: transfer.tokenType,
+    };
+  }
+
+  /**
+   * Flatten a callTracer call tree into internal transaction rows
+   * Frames are numbered depth-first in execution order. The top-level call is
+   * the transaction itself and is not stored. Creations in a frame that failed,
+   * or under one that failed, were reverted and get no created address.
+   * @param {string} transactionHash
+   * @param {number} blockNumber
+   * @param {object} trace - Root call frame from the callTracer
+   * @returns {Array<object>} - Database-ready internal transaction rows
+   */
+  flattenTrace(transactionHash, blockNumber, trace) {
+    const rows = [];
+
+    const visit = (frame, reverted) => {
+      for (const child of frame.calls || []) {
+        const callType = (child.type || 'call').toLowerCase();
+        const isCreate = callType === 'create' || callType === 'create2';
+        const failed = reverted || Boolean(child.error);
+
+        rows.push({
+          transaction_hash: hexToBuffer(transactionHash),
+          block_number: blockNumber.toString(),
+          trace_index: rows.length,
+          call_type: callType,
+          from_address: hexToBuffer(child.from),
+          to_address: isCreate ? null : hexToBuffer(child.to),
+          value: toNumeric(child.value) || '0',
+          gas: toNumeric(child.gas),
+          gas_used: toNumeric(child.gasUsed),
+          input: hexToBuffer(child.input),
+          output: hexToBuffer(child.output),
+          error: child.error || null,
+          created_contract_address: isCreate && !failed ? hexToBuffer(child.to) : null,
+        });
+
+        visit(child, failed);
+      }
+    };
+
+    visit(trace, Boolean(trace.error));
+    return rows;
+  }
+
+  /**
+   * Record an address seen in a batch, merging with what was already seen
+   * @param {Map<string, object>} addresses - Accumulator keyed by lowercase address
+   * @param {string} address - 0x-prefixed address
+   * @param {object} fields - transactionCount, isContract and contract creation data
+   */
+  trackAddress(addresses, address, fields = {}) {
+    if (!address) return;
+
+    const key = address.toLowerCase();
+    const entry = addresses.get(key) || {
+      address: key,
+      transactionCount: 0,
+      isContract: false,
+      contractCode: null,
+      contractCreator: null,
+      contractCreatedTx: null,
+      contractCreatedBlock: null,
+    };
+
+    entry.transactionCount += fields.transactionCount || 0;
+    entry.isContract = entry.isContract || Boolean(fields.isContract);
+
+    if (fields.contractCreatedTx) {
+      entry.contractCode = fields.contractCode;
+      entry.contractCreator = fields.contractCreator;
+      entry.contractCreatedTx = fields.contractCreatedTx;
+      entry.contractCreatedBlock = fields.contractCreatedBlock;
+    }
+
+    addresses.set(key, entry);
+  }
+
+  /**
+   * Upsert addresses seen in a batch
+   * Rows are written in address order so concurrent batches lock them in the
+   * same order, and untouched rows are not rewritten.
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {Map<string, object>} addresses - Accumulator from trackAddress()
+   * @returns {Promise<number>} - Number of rows inserted or updated
+   */
+  async upsertAddresses(client, addresses) {
+    const rows = [...addresses.values()]
+      .sort((a, b) => a.address.localeCompare(b.address))
+      .map(entry => ({
+        address: hexToBuffer(entry.address),
+        transaction_count: entry.transactionCount,
+        is_contract: entry.isContract,
+        contract_code: hexToBuffer(entry.contractCode),
+        contract_creator: hexToBuffer(entry.contractCreator),
+        contract_created_tx: hexToBuffer(entry.contractCreatedTx),
+        contract_created_block: entry.contractCreatedBlock !== null
+          ? entry.contractCreatedBlock.toString()
+          : null,
+      }));
+
+    const { count } = await this.insertRows(client, 'addresses', rows, `
+      ON CONFLICT (address) DO UPDATE SET
+        transaction_count = addresses.transaction_count + EXCLUDED.transaction_count,
+        is_contract = addresses.is_contract OR EXCLUDED.is_contract,
+        contract_code = COALESCE(EXCLUDED.contract_code, addresses.contract_code),
+        contract_creator = COALESCE(EXCLUDED.contract_creator, addresses.contract_creator),
+        contract_created_tx = COALESCE(EXCLUDED.contract_created_tx, addresses.contract_created_tx),
+        contract_created_block = COALESCE(EXCLUDED.contract_created_block, addresses.contract_created_block),
+        updated_at = NOW()
+      WHERE EXCLUDED.transaction_count > 0
+        OR (EXCLUDED.is_contract AND NOT addresses.is_contract)
+        OR EXCLUDED.contract_created_tx IS NOT NULL
+    `);
+
+    return count;
+  }
+
+  /**
+   * Apply token transfers to token_balances and the tokens counters
+   * Called with the transfers a batch inserted (sign 1) and with the ones a
+   * rollback deleted (sign -1). A holder is an address with a positive
+   * balance; the zero address is skipped. tokens rows are created for tokens
+   * not cataloged yet. Rows are written in key order, like upsertAddresses().
+   * A revert only updates existing rows (see revertTokenTransfers()).
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {Array<object>} transfers - token_transfers rows (token_address,
+   *   from_address, to_address, value, token_type)
+   * @param {number} sign - 1 to apply, -1 to revert
+   * @returns {Promise<{balances: number, tokens: number}>} - Rows updated
+   */
+  async applyTokenTransfers(client, transfers, sign) {
+    const balances = new Map(); // token + address (hex) -> delta
+    const tokens = new Map(); // token (hex) -> { tokenType, transfers, holders }
+
+    const credit = (token, address, amount) => {
+      if (address === ZERO_ADDRESS || amount === 0n) return;
+      const key = token + address;
+      balances.set(key, (balances.get(key) || 0n) + amount);
+    };
+
+    for (const transfer of transfers) {
+      const token = Buffer.from(transfer.token_address).toString('hex');
+      const value = transfer.value !== null ? BigInt(transfer.value) * BigInt(sign) : 0n;
+
+      credit(token, Buffer.from(transfer.from_address).toString('hex'), -value);
+      credit(token, Buffer.from(transfer.to_address).toString('hex'), value);
+
+      const entry = tokens.get(token) || { tokenType: transfer.token_type, transfers: 0, holders: 0 };
+      entry.transfers += sign;
+      tokens.set(token, entry);
+    }
+
+    if (tokens.size === 0) {
+      return { balances: 0, tokens: 0 };
+    }
+
+    const balanceRows = [...balances.entries()]
+      .filter(([, delta]) => delta !== 0n)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, delta]) => ({
+        token_address: hexToBuffer(key.slice(0, 40)),
+        address: hexToBuffer(key.slice(40)),
+        balance: delta.toString(),
+      }));
+
+    if (sign < 0) {
+      return this.revertTokenTransfers(client, balanceRows, balances, tokens);
+    }
+
+    const updated = await this.insertRows(client, 'token_balances', balanceRows, `
+      ON CONFLICT (token_address, address) DO UPDATE SET
+        balance = token_balances.balance + EXCLUDED.balance,
+        updated_at = NOW()
+    `, { returning: 'token_address, address, balance' });
+
+    // Holder count changes when a balance crosses zero
+    for (const row of updated.rows) {
+      const token = Buffer.from(row.token_address).toString('hex');
+      const balance = BigInt(row.balance);
+      const previous = balance - balances.get(token + Buffer.from(row.address).toString('hex'));
+      tokens.get(token).holders += (balance > 0n ? 1 : 0) - (previous > 0n ? 1 : 0);
+    }
+
+    const tokenRows = [...tokens.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([token, entry]) => ({
+        contract_address: hexToBuffer(token),
+        token_type: entry.tokenType,
+        holder_count: entry.holders,
+        transfer_count: entry.transfers,
+      }));
+
+    await this.insertRows(client, 'tokens', tokenRows, `
+      ON CONFLICT (contract_address) DO UPDATE SET
+        holder_count = tokens.holder_count + EXCLUDED.holder_count,
+        transfer_count = tokens.transfer_count + EXCLUDED.transfer_count,
+        updated_at = NOW()
+    `);
+
+    return { balances: updated.count, tokens: tokenRows.length };
+  }
+
+  /**
+   * Reverse token transfers deleted by a rollback
+   * Only rows that exist are updated, and balances and counters stop at 0: a
+   * missing row or a negative result means the data was already inconsistent
+   * (e.g. after a partial backfill), which is logged instead of being written
+   * as negative balances or counts.
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {Array<object>} balanceRows - { token_address, address, balance (delta) }
+   * @param {Map<string, bigint>} balances - token + address (hex) -> delta
+   * @param {Map<string, object>} tokens - token (hex) -> { tokenType, transfers, holders }
+   * @returns {Promise<{balances: number, tokens: number}>} - Rows updated
+   */
+  async revertTokenTransfers(client, balanceRows, balances, tokens) {
+    const updated = balanceRows.length === 0 ? { rows: [] } : await client.query(`
+      UPDATE token_balances AS b SET
+        balance = GREATEST(old.balance + v.delta, 0),
+        updated_at = NOW()
+      FROM unnest($1::bytea[], $2::bytea[], $3::numeric[]) AS v(token_address, address, delta)
+      JOIN token_balances AS old
+        ON old.token_address = v.token_address AND old.address = v.address
+      WHERE b.token_address = v.token_address AND b.address = v.address
+      RETURNING b.token_address, b.address, b.balance, old.balance AS previous
+    `, [
+      balanceRows.map(row => row.token_address),
+      balanceRows.map(row => row.address),
+      balanceRows.map(row => row.balance),
+    ]);
+
+    // Holder count changes when a balance crosses zero
+    let clampedBalances = 0;
+    for (const row of updated.rows) {
+      const token = Buffer.from(row.token_address).toString('hex');
+      const balance = BigInt(row.balance);
+      const previous = BigInt(row.previous);
+
+      if (previous + balances.get(token + Buffer.from(row.address).toString('hex')) < 0n) {
+        clampedBalances++;
+      }
+      tokens.get(token).holders += (balance > 0n ? 1 : 0) - (previous > 0n ? 1 : 0);
+    }
+
+    const tokenRows = [...tokens.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const updatedTokens = await client.query(`
+      UPDATE tokens AS t SET
+        holder_count = GREATEST(old.holder_count + v.holders, 0),
+        transfer_count = GREATEST(old.transfer_count + v.transfers, 0),
+        updated_at = NOW()
+      FROM unnest($1::bytea[], $2::integer[], $3::integer[]) AS v(contract_address, holders, transfers)
+      JOIN tokens AS old ON old.contract_address = v.contract_address
+      WHERE t.contract_address = v.contract_address
+      RETURNING (old.holder_count + v.holders < 0 OR old.transfer_count + v.transfers < 0) AS clamped
+    `, [
+      tokenRows.map(([token]) => hexToBuffer(token)),
+      tokenRows.map(([, entry]) => entry.holders),
+      tokenRows.map(([, entry]) => entry.transfers),
+    ]);
+
+    const missingBalances = balanceRows.length - updated.rows.length;
+    const missingTokens = tokenRows.length - updatedTokens.rows.length;
+    const clampedTokens = updatedTokens.rows.filter(row => row.clamped).length;
+
+    if (missingBalances + clampedBalances + missingTokens + clampedTokens > 0) {
+      logger.warn('Token balances did not match the rolled back transfers', {
+        missingBalances,
+        clampedBalances,
+        missingTokens,
+        clampedTokens,
+      });
+    }
+
+    return { balances: updated.rows.length, tokens: updatedTokens.rows.length };
+  }
+
+  /**
+   * Insert rows with multi-row INSERT statements inside a transaction client
+   * Rows go out in chunks that stay under the bind parameter limit, in the
+   * given order. All rows must have the columns of the first row.
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {string} table - Table name
+   * @param {Array<object>} rows - Column/value maps
+   * @param {string} onConflict - ON CONFLICT clause
+   * @param {object} options
+   * @param {string|null} options.returning - Column(s) to return for inserted rows
+   * @returns {Promise<{count: number, rows: Array<object>}>} - Rows inserted
+   *   (per rowCount, so ON CONFLICT DO NOTHING skips are not counted) and the
+   *   RETURNING rows
+   */
+  async insertRows(client, table, rows, onConflict, { returning = null } = {}) {
+    const inserted = { count: 0, rows: [] };
+
+    if (rows.length === 0) {
+      return inserted;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const chunkSize = Math.floor(MAX_QUERY_PARAMS / columns.length);
+
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      const chunk = rows.slice(start, start + chunkSize);
+      const values = [];
+
+      const tuples = chunk.map((row) => {
+        const placeholders = columns.map((column) => {
+          values.push(row[column]);
+          return `$${values.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+
+      const query = `
+        INSERT INTO ${table} (${columns.join(', ')})
+        VALUES ${tuples.join(',\n')}
+        ${onConflict}
+        ${returning ? `RETURNING ${returning}` : ''}
+      `;
+
+      const result = await client.query(query, values);
+      inserted.count += result.rowCount;
+      if (returning) {
+        inserted.rows.push(...result.rows);
+      }
+    }
+
+    return inserted;
+  }
+
   /**
    * Save a single block to database
    * @param {object} block - Block object from ethers.js
@@ -96,7 +576,8 @@ class BlockStorage {
 
       const blockData = this.transformBlock(block);
 
-      await db.insert('blocks', blockData, 'ON CONFLICT (hash) DO NOTHING');
+      await this.ensurePartitions(block.number, block.number);
+      await db.insert('blocks', blockData, 'ON CONFLICT (hash, number) DO NOTHING');
 
       logger.info('Block saved', {
         number: block.number,
@@ -118,9 +599,25 @@ class BlockStorage {
   /**
    * Save multiple blocks in a batch (uses transaction for atomicity)
    * @param {Array<object>} blocks - Array of block objects from ethers.js
+   * @param {object} data - Related chain data for the same blocks
+   * @param {Array<object>} data.receipts - TransactionReceipt objects from ethers.js
+   * @param {Array<object>} data.tokenTransfers - Records from TokenTransferDecoder
+   * @param {Map<string, string>} data.contractCodes - Deployed bytecode by lowercase contract address
+   * @param {Array<object>} data.traces - Call traces from RpcClient.getTracesForBlocks()
+   * @param {{safe: number, finalized: number}|null} data.finality - Current safe and
+   *   finalized heights, to store the blocks' finality status
+   * @param {{watermark: number, headBlock: number|null}|null} data.checkpoint - Sync
+   *   checkpoint to advance in the same DB transaction (see SyncStateStorage)
    * @returns {Promise<number>} - Number of blocks saved
    */
-  async saveBlocks(blocks) {
+  async saveBlocks(blocks, {
+    receipts = [],
+    tokenTransfers = [],
+    contractCodes = new Map(),
+    traces = [],
+    finality = null,
+    checkpoint = null,
+  } = {}) {
     if (!blocks || blocks.length === 0) {
       logger.warn('No blocks to save');
       return 0;
@@ -134,30 +631,135 @@ class BlockStorage {
 
       const startTime = Date.now();
       let savedCount = 0;
+      let savedTransactions = 0;
+      let savedLogs = 0;
+      let savedTokenTransfers = 0;
+      let savedInternalTransactions = 0;
+      let updatedTokenBalances = 0;
+
+      const receiptsByHash = new Map(
+        receipts.map(receipt => [receipt.hash.toLowerCase(), receipt])
+      );
+
+      // Addresses seen in this batch, upserted once at the end
+      const addresses = new Map();
+
+      // Transform everything up front; each table is then written in bulk
+      const blockRows = [];
+      const transactionRows = [];
+      const logRows = [];
+      const internalTransactionRows = [];
+      const saved = []; // { tx, block, receipt } in insert order
+
+      for (const block of blocks) {
+        const blockData = this.transformBlock(block);
+        blockData.finality = this.getFinalityStatus(block.number, finality);
+        blockRows.push(blockData);
+
+        this.trackAddress(addresses, block.miner);
+
+        for (const tx of this.getBlockTransactions(block)) {
+          const receipt = receiptsByHash.get(tx.hash.toLowerCase()) || null;
+          transactionRows.push(this.transformTransaction(tx, block, receipt));
+          saved.push({ tx, block, receipt });
+
+          for (const log of receipt?.logs || []) {
+            logRows.push(this.transformLog(log));
+            this.trackAddress(addresses, log.address, { isContract: true });
+          }
+        }
+      }
+
+      for (const { transactionHash, blockNumber, trace } of traces) {
+        for (const row of this.flattenTrace(transactionHash, blockNumber, trace)) {
+          internalTransactionRows.push(row);
+
+          if (row.created_contract_address) {
+            const created = '0x' + row.created_contract_address.toString('hex');
+            this.trackAddress(addresses, created, {
+              isContract: true,
+              contractCode: contractCodes.get(created) || null,
+              contractCreator: '0x' + row.from_address.toString('hex'),
+              contractCreatedTx: transactionHash,
+              contractCreatedBlock: blockNumber,
+            });
+          }
+        }
+      }
+
+      const tokenTransferRows = tokenTransfers.map((transfer) => {
+        // tokens.contract_address references addresses(address)
+        this.trackAddress(addresses, transfer.tokenAddress, { isContract: true });
+        return this.transformTokenTransfer(transfer);
+      });
+
+      const numbers = blocks.map(block => block.number);
+      await this.ensurePartitions(Math.min(...numbers), Math.max(...numbers));
 
       // Use transaction for atomicity
       await db.transaction(async (client) => {
-        for (const block of blocks) {
-          const blockData = this.transformBlock(block);
+        // Parents before children: transactions reference blocks(hash, number),
+        // logs and internal transactions reference transactions(hash, block_number)
+        const insertedBlocks = await this.insertRows(
+          client, 'blocks', blockRows, 'ON CONFLICT (hash, number) DO NOTHING'
+        );
+        savedCount = insertedBlocks.count;
 
-          // Build insert query
-          const keys = Object.keys(blockData);
-          const values = Object.values(blockData);
-          const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
+        const insertedTransactions = await this.insertRows(
+          client, 'transactions', transactionRows, 'ON CONFLICT (hash, block_number) DO NOTHING',
+          { returning: 'hash' }
+        );
+        savedTransactions = insertedTransactions.count;
 
-          const query = `
-            INSERT INTO blocks (${keys.join(', ')})
-            VALUES (${placeholders})
-            ON CONFLICT (hash) DO NOTHING
-          `;
+        // Only count transactions once, even if the batch is saved again
+        const newTransactions = new Set(
+          insertedTransactions.rows.map(row => '0x' + Buffer.from(row.hash).toString('hex'))
+        );
 
-          const result = await client.query(query, values);
+        for (const { tx, block, receipt } of saved) {
+          const txCount = newTransactions.has(tx.hash.toLowerCase()) ? 1 : 0;
+          this.trackAddress(addresses, tx.from, { transactionCount: txCount });
+          if (tx.to && tx.to.toLowerCase() !== tx.from.toLowerCase()) {
+            this.trackAddress(addresses, tx.to, { transactionCount: txCount });
+          }
 
-          // Count if row was actually inserted (not skipped by conflict)
-          if (result.rowCount > 0) {
-            savedCount++;
+          if (receipt?.contractAddress && receipt.status === 1) {
+            this.trackAddress(addresses, receipt.contractAddress, {
+              isContract: true,
+              contractCode: contractCodes.get(receipt.contractAddress.toLowerCase()) || null,
+              contractCreator: tx.from,
+              contractCreatedTx: tx.hash,
+              contractCreatedBlock: block.number,
+            });
           }
         }
+
+        savedLogs = (await this.insertRows(
+          client, 'logs', logRows, 'ON CONFLICT (transaction_hash, log_index, block_number) DO NOTHING'
+        )).count;
+
+        // Only transfers inserted now count towards balances
+        const insertedTokenTransfers = await this.insertRows(
+          client, 'token_transfers', tokenTransferRows,
+          'ON CONFLICT (transaction_hash, log_index, batch_index) DO NOTHING',
+          { returning: 'token_address, from_address, to_address, value, token_type' }
+        );
+        savedTokenTransfers = insertedTokenTransfers.count;
+
+        savedInternalTransactions = (await this.insertRows(
+          client, 'internal_transactions', internalTransactionRows,
+          'ON CONFLICT (transaction_hash, trace_index) DO NOTHING'
+        )).count;
+
+        await this.upsertAddresses(client, addresses);
+
+        updatedTokenBalances = (await this.applyTokenTransfers(
+          client, insertedTokenTransfers.rows, 1
+        )).balances;
+
+        if (checkpoint) {
+          await syncStateStorage.advanceIndexerState(client, checkpoint);
+        }
       });
 
       const duration = Date.now() - startTime;
@@ -167,6 +769,12 @@ class BlockStorage {
         total: blocks.length,
         saved: savedCount,
         skipped: blocks.length - savedCount,
+        transactions: savedTransactions,
+        logs: savedLogs,
+        tokenTransfers: savedTokenTransfers,
+        tokenBalances: updatedTokenBalances,
+        internalTransactions: savedInternalTransactions,
+        addresses: addresses.size,
         duration: `${duration}ms`,
         avgPerBlock: `${avgTime.toFixed(2)}ms`,
       });
@@ -182,6 +790,113 @@ class BlockStorage {
     }
   }
 
+  /**
+   * Make sure the partitions for a block range exist
+   * Runs outside the batch transaction: creating a partition locks its parent
+   * table, and that lock would otherwise be held until the batch commits.
+   * ensure_block_partitions() also creates the partition after toBlock, so
+   * crossing a boundary rarely waits for DDL.
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<number>} - Number of partitions created
+   */
+  async ensurePartitions(fromBlock, toBlock) {
+    try {
+      if (this.partitionSize === null) {
+        const result = await db.query('SELECT block_partition_size() AS size');
+        this.partitionSize = parseInt(result.rows[0].size);
+      }
+
+      const first = Math.floor(fromBlock / this.partitionSize);
+      const last = Math.floor(toBlock / this.partitionSize) + 1;
+
+      const indexes = [];
+      for (let index = first; index <= last; index++) {
+        indexes.push(index);
+      }
+      if (indexes.every(index => this.partitions.has(index))) {
+        return 0;
+      }
+
+      const result = await db.query(
+        'SELECT ensure_block_partitions($1, $2) AS created',
+        [fromBlock.toString(), toBlock.toString()]
+      );
+
+      indexes.forEach(index => this.partitions.add(index));
+
+      const created = result.rows[0].created;
+      if (created > 0) {
+        logger.info('Created block partitions', {
+          from: first * this.partitionSize,
+          to: (last + 1) * this.partitionSize - 1,
+          partitions: created,
+        });
+      }
+
+      return created;
+    } catch (error) {
+      logger.error('Failed to create block partitions', {
+        from: fromBlock,
+        to: toBlock,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Finality status of a block number
+   * @param {number} blockNumber
+   * @param {{safe: number, finalized: number}|null} finality
+   * @returns {string} - 'finalized', 'safe' or 'latest'
+   */
+  getFinalityStatus(blockNumber, finality) {
+    if (finality && blockNumber <= finality.finalized) {
+      return 'finalized';
+    }
+    if (finality && blockNumber <= finality.safe) {
+      return 'safe';
+    }
+    return 'latest';
+  }
+
+  /**
+   * Promote stored blocks to safe / finalized
+   * Finality only moves forward; blocks are never demoted.
+   * @param {object} finality
+   * @param {number} finality.safe - Safe block number
+   * @param {number} finality.finalized - Finalized block number
+   * @returns {Promise<{safe: number, finalized: number}>} - Number of blocks promoted
+   */
+  async updateFinality({ safe, finalized }) {
+    try {
+      return await db.transaction(async (client) => {
+        const finalizedResult = await client.query(`
+          UPDATE blocks SET finality = 'finalized', updated_at = NOW()
+          WHERE number <= $1 AND finality <> 'finalized'
+        `, [finalized.toString()]);
+
+        const safeResult = await client.query(`
+          UPDATE blocks SET finality = 'safe', updated_at = NOW()
+          WHERE number <= $1 AND finality = 'latest'
+        `, [safe.toString()]);
+
+        return {
+          safe: safeResult.rowCount,
+          finalized: finalizedResult.rowCount,
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to update block finality', {
+        safe,
+        finalized,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Check if a block exists in database
    * @param {number} blockNumber
@@ -253,6 +968,48 @@ class BlockStorage {
     }
   }
 
+  /**
+   * Find ranges of block numbers missing from the blocks table
+   * Sentinels just outside the range turn leading/trailing gaps (and an
+   * empty range) into ordinary gaps between neighbours.
+   * @param {number} fromBlock - First block that should exist
+   * @param {number} toBlock - Last block that should exist
+   * @returns {Promise<Array<{from: number, to: number}>>} - Inclusive ranges, ascending
+   */
+  async findGaps(fromBlock, toBlock) {
+    try {
+      const result = await db.query(`
+        WITH numbers AS (
+          SELECT $1::bigint - 1 AS number
+          UNION ALL
+          SELECT number FROM blocks WHERE number BETWEEN $1::bigint AND $2::bigint
+          UNION ALL
+          SELECT $2::bigint + 1
+        ),
+        neighbours AS (
+          SELECT number, LAG(number) OVER (ORDER BY number) AS previous
+          FROM numbers
+        )
+        SELECT previous + 1 AS gap_from, number - 1 AS gap_to
+        FROM neighbours
+        WHERE number - previous > 1
+        ORDER BY gap_from
+      `, [fromBlock.toString(), toBlock.toString()]);
+
+      return result.rows.map(row => ({
+        from: parseInt(row.gap_from),
+        to: parseInt(row.gap_to),
+      }));
+    } catch (error) {
+      logger.error('Failed to find gaps', {
+        fromBlock,
+        toBlock,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get total block count in database
    * @returns {Promise<number>}
@@ -270,31 +1027,131 @@ class BlockStorage {
   }
 
   /**
-   * Delete blocks from a certain number onwards (for reorg handling)
-   * @param {number} fromBlock
-   * @returns {Promise<number>} - Number of blocks deleted
+   * Roll back everything indexed from a block number onwards (reorg handling)
+   * In one DB transaction:
+   * - Revert address counters and contract creations of orphaned transactions
+   * - Delete token transfers, internal transactions, logs, transactions and blocks
+   *   (explicitly, not through cascades; token_transfers has no FK to blocks)
+   * - Revert the removed token transfers in token_balances and the tokens counters
+   * - Record the reorg in the reorgs table
+   * - Lower the indexer_state watermark to the common ancestor
+   * @param {number} fromBlock - First orphaned block
+   * @param {object} reorg
+   * @param {number} reorg.commonAncestor - Last block kept
+   * @param {number} reorg.depth - Orphaned blocks up to where the reorg was detected
+   * @param {string} reorg.oldHash - Stored hash of the first orphaned block
+   * @param {string} reorg.newHash - Canonical hash at that height
+   * @returns {Promise<object>} - Number of rows removed or reverted per table,
+   *   and reorgId, the id of the recorded reorg
    */
-  async deleteBlocksFrom(fromBlock) {
+  async rollbackBlocksFrom(fromBlock, { commonAncestor, depth, oldHash, newHash }) {
     try {
-      logger.warn('Deleting blocks due to reorg', {
+      logger.warn('Rolling back blocks due to reorg', {
         fromBlock,
+        commonAncestor,
       });
 
-      const result = await db.query(
-        'DELETE FROM blocks WHERE number >= $1',
-        [fromBlock.toString()]
-      );
+      const from = fromBlock.toString();
 
-      const deletedCount = result.rowCount;
+      const counts = await db.transaction(async (client) => {
+        // Counters first, while the transactions they count still exist
+        const addresses = await client.query(`
+          WITH touched AS (
+            SELECT from_address AS address
+            FROM transactions
+            WHERE block_number >= $1
+            UNION ALL
+            SELECT to_address
+            FROM transactions
+            WHERE block_number >= $1
+              AND to_address IS NOT NULL
+              AND to_address <> from_address
+          ),
+          counts AS (
+            SELECT address, COUNT(*) AS count
+            FROM touched
+            GROUP BY address
+          )
+          UPDATE addresses a
+          SET transaction_count = GREATEST(a.transaction_count - counts.count, 0),
+              updated_at = NOW()
+          FROM counts
+          WHERE a.address = counts.address
+        `, [from]);
+
+        const contracts = await client.query(`
+          UPDATE addresses
+          SET is_contract = FALSE,
+              contract_code = NULL,
+              contract_creator = NULL,
+              contract_created_tx = NULL,
+              contract_created_block = NULL,
+              updated_at = NOW()
+          WHERE contract_created_block >= $1
+        `, [from]);
+
+        const tokenTransfers = await client.query(`
+          DELETE FROM token_transfers WHERE block_number >= $1
+          RETURNING token_address, from_address, to_address, value, token_type
+        `, [from]);
+        const tokenBalances = await this.applyTokenTransfers(client, tokenTransfers.rows, -1);
+        const internalTransactions = await client.query(
+          'DELETE FROM internal_transactions WHERE block_number >= $1', [from]
+        );
+        const logs = await client.query(
+          'DELETE FROM logs WHERE block_number >= $1', [from]
+        );
+        const transactions = await client.query(
+          'DELETE FROM transactions WHERE block_number >= $1', [from]
+        );
+        const blocks = await client.query(
+          'DELETE FROM blocks WHERE number >= $1', [from]
+        );
+
+        const reorg = await client.query(`
+          INSERT INTO reorgs (
+            block_number, common_ancestor, depth, old_hash, new_hash, deleted_blocks
+          )
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id
+        `, [
+          from,
+          commonAncestor.toString(),
+          depth,
+          hexToBuffer(oldHash),
+          hexToBuffer(newHash),
+          blocks.rowCount,
+        ]);
+
+        // The checkpoint may not stay above the removed blocks. Always locks
+        // the row, so batches checkpointing meanwhile wait and see this reorg
+        // (see SyncStateStorage.advanceIndexerState())
+        await client.query(`
+          UPDATE indexer_state SET watermark = LEAST(watermark, $1), updated_at = NOW()
+          WHERE id = 1
+        `, [commonAncestor.toString()]);
+
+        return {
+          reorgId: parseInt(reorg.rows[0].id),
+          blocks: blocks.rowCount,
+          transactions: transactions.rowCount,
+          logs: logs.rowCount,
+          tokenTransfers: tokenTransfers.rowCount,
+          tokenBalances: tokenBalances.balances,
+          internalTransactions: internalTransactions.rowCount,
+          addresses: addresses.rowCount,
+          contracts: contracts.rowCount,
+        };
+      });
 
-      logger.info('Blocks deleted', {
+      logger.info('Blocks rolled back', {
         fromBlock,
-        count: deletedCount,
+        ...counts,
       });
 
-      return deletedCount;
+      return counts;
     } catch (error) {
-      logger.error('Failed to delete blocks', {
+      logger.error('Failed to roll back blocks', {
         fromBlock,
         error: error.message,
       });
@@ -0,0 +1,401 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+const STATIC_TOPICS = new Set(['newBlocks', 'newTransactions', 'reorgs']);
+const ADDRESS_TOPIC_PATTERN = /^(address|token):(0x[0-9a-fA-F]{40})$/;
+
+// Drop clients that stop answering pings
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * FeedServer - WebSocket push feed of newly indexed data
+ *
+ * Responsibilities:
+ * - Accept WebSocket clients and manage their topic subscriptions
+ * - Listen to BlockFetcher events, which fire only after BlockStorage commits
+ * - Push blocks, transactions, token transfers and reorgs to subscribers
+ *
+ * Topics:
+ * - newBlocks, newTransactions, reorgs
+ * - address:<addr> - transactions and token transfers from or to an address
+ * - token:<addr>   - transfers of a token contract
+ *
+ * Protocol (JSON text frames):
+ * - client: { "action": "subscribe" | "unsubscribe", "topics": [...] }
+ * - server: { "type": "subscribed" | "unsubscribed", "topics": [...] }
+ * - server: { "type": "error", "error": "..." }
+ * - server: { "topic": "...", "type": "block" | "transaction" | "tokenTransfer" | "reorg", "data": {...} }
+ */
+class FeedServer {
+  constructor() {
+    this.wss = null;
+    this.heartbeat = null;
+    // topic -> Set<WebSocket>
+    this.subscriptions = new Map();
+    // WebSocket -> Set<topic>
+    this.clients = new Map();
+  }
+
+  /**
+   * Start listening for WebSocket clients
+   * @param {object} options
+   * @param {number} options.port
+   * @param {string} options.host
+   * @returns {Promise<void>}
+   */
+  async start({ port = config.feed.port, host = config.feed.host } = {}) {
+    if (this.wss) {
+      logger.warn('FeedServer is already running');
+      return;
+    }
+
+    this.wss = new WebSocketServer({ port, host });
+
+    await new Promise((resolve, reject) => {
+      this.wss.once('listening', resolve);
+      this.wss.once('error', reject);
+    });
+
+    this.wss.on('connection', (ws) => this.handleConnection(ws));
+    this.wss.on('error', (error) => {
+      logger.error('FeedServer error', { error: error.message });
+    });
+
+    this.heartbeat = setInterval(() => this.checkClients(), HEARTBEAT_INTERVAL);
+
+    logger.info('FeedServer listening', { host, port: this.address().port });
+  }
+
+  /**
+   * Subscribe to BlockFetcher events
+   * @param {EventEmitter} blockFetcher
+   */
+  attach(blockFetcher) {
+    blockFetcher.on('batchIndexed', (batch) => this.publishBatch(batch));
+    blockFetcher.on('reorg', (reorg) => this.publishReorg(reorg));
+  }
+
+  /**
+   * Get the bound address (useful when started on port 0)
+   * @returns {object}
+   */
+  address() {
+    return this.wss.address();
+  }
+
+  /**
+   * Close all clients and stop the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.wss) {
+      return;
+    }
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    for (const ws of this.clients.keys()) {
+      ws.terminate();
+    }
+
+    await new Promise((resolve) => this.wss.close(resolve));
+
+    this.wss = null;
+    this.subscriptions.clear();
+    this.clients.clear();
+
+    logger.info('FeedServer stopped');
+  }
+
+  /**
+   * Set up a newly connected client
+   * @param {WebSocket} ws
+   */
+  handleConnection(ws) {
+    ws.isAlive = true;
+    this.clients.set(ws, new Set());
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+    ws.on('close', () => this.removeClient(ws));
+    ws.on('error', (error) => {
+      logger.debug('Feed client error', { error: error.message });
+    });
+
+    logger.debug('Feed client connected', { clients: this.clients.size });
+  }
+
+  /**
+   * Handle a subscribe/unsubscribe message from a client
+   * @param {WebSocket} ws
+   * @param {Buffer|string} raw
+   */
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.send(ws, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    const { action, topics } = message || {};
+
+    if (!Array.isArray(topics) || topics.length === 0) {
+      this.send(ws, { type: 'error', error: 'topics must be a non-empty array' });
+      return;
+    }
+
+    const normalized = [];
+    for (const topic of topics) {
+      const parsed = this.parseTopic(topic);
+      if (!parsed) {
+        this.send(ws, { type: 'error', error: `Invalid topic: ${topic}` });
+        return;
+      }
+      normalized.push(parsed);
+    }
+
+    if (action === 'subscribe') {
+      const current = this.clients.get(ws);
+      const added = normalized.filter(topic => !current.has(topic));
+
+      if (current.size + added.length > config.feed.maxSubscriptions) {
+        this.send(ws, {
+          type: 'error',
+          error: `Too many subscriptions (max ${config.feed.maxSubscriptions})`,
+        });
+        return;
+      }
+
+      normalized.forEach(topic => this.subscribe(ws, topic));
+      this.send(ws, { type: 'subscribed', topics: normalized });
+    } else if (action === 'unsubscribe') {
+      normalized.forEach(topic => this.unsubscribe(ws, topic));
+      this.send(ws, { type: 'unsubscribed', topics: normalized });
+    } else {
+      this.send(ws, { type: 'error', error: `Unknown action: ${action}` });
+    }
+  }
+
+  /**
+   * Validate and normalize a topic name
+   * @param {string} topic
+   * @returns {string|null} - Normalized topic or null if invalid
+   */
+  parseTopic(topic) {
+    if (typeof topic !== 'string') {
+      return null;
+    }
+
+    if (STATIC_TOPICS.has(topic)) {
+      return topic;
+    }
+
+    const match = topic.match(ADDRESS_TOPIC_PATTERN);
+    return match ? `${match[1]}:${match[2].toLowerCase()}` : null;
+  }
+
+  subscribe(ws, topic) {
+    if (!this.subscriptions.has(topic)) {
+      this.subscriptions.set(topic, new Set());
+    }
+    this.subscriptions.get(topic).add(ws);
+    this.clients.get(ws).add(topic);
+  }
+
+  unsubscribe(ws, topic) {
+    const subscribers = this.subscriptions.get(topic);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.subscriptions.delete(topic);
+      }
+    }
+    this.clients.get(ws).delete(topic);
+  }
+
+  /**
+   * Drop a client and all of its subscriptions
+   * @param {WebSocket} ws
+   */
+  removeClient(ws) {
+    const topics = this.clients.get(ws);
+    if (!topics) return;
+
+    for (const topic of [...topics]) {
+      this.unsubscribe(ws, topic);
+    }
+    this.clients.delete(ws);
+
+    logger.debug('Feed client disconnected', { clients: this.clients.size });
+  }
+
+  /**
+   * Ping clients and terminate the ones that missed the previous ping
+   */
+  checkClients() {
+    for (const ws of this.clients.keys()) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Push a committed batch to subscribers
+   * Called after BlockStorage.saveBlocks() resolves.
+   * @param {object} batch
+   * @param {Array<object>} batch.blocks - ethers.js Block objects
+   * @param {Array<object>} batch.receipts - ethers.js TransactionReceipt objects
+   * @param {Array<object>} batch.tokenTransfers - Decoded token transfers
+   */
+  publishBatch({ blocks, receipts = [], tokenTransfers = [] }) {
+    if (this.subscriptions.size === 0) {
+      return;
+    }
+
+    try {
+      const receiptsByHash = new Map(
+        receipts.map(receipt => [receipt.hash.toLowerCase(), receipt])
+      );
+
+      for (const block of blocks) {
+        const transactions = (block.prefetchedTransactions || [])
+          .filter(tx => typeof tx === 'object');
+
+        this.publish('newBlocks', 'block', this.formatBlock(block, transactions.length));
+
+        for (const tx of transactions) {
+          const data = this.formatTransaction(tx, receiptsByHash.get(tx.hash.toLowerCase()));
+
+          this.publish('newTransactions', 'transaction', data);
+          this.publishToAddresses('transaction', data, [data.from, data.to]);
+        }
+      }
+
+      for (const transfer of tokenTransfers) {
+        const data = this.formatTokenTransfer(transfer);
+
+        this.publish(`token:${data.tokenAddress}`, 'tokenTransfer', data);
+        this.publishToAddresses('tokenTransfer', data, [data.from, data.to]);
+      }
+    } catch (error) {
+      // Never let a feed problem fail the indexing batch
+      logger.error('Failed to publish batch to feed', { error: error.message });
+    }
+  }
+
+  /**
+   * Push a reorg to subscribers
+   * Called after the orphaned blocks were removed from the database.
+   * @param {object} reorg
+   */
+  publishReorg(reorg) {
+    try {
+      this.publish('reorgs', 'reorg', reorg);
+    } catch (error) {
+      logger.error('Failed to publish reorg to feed', { error: error.message });
+    }
+  }
+
+  /**
+   * Publish to address:<addr> topics, once per distinct address
+   * @param {string} type
+   * @param {object} data
+   * @param {Array<string|null>} addresses
+   */
+  publishToAddresses(type, data, addresses) {
+    const unique = new Set(addresses.filter(Boolean).map(address => address.toLowerCase()));
+    for (const address of unique) {
+      this.publish(`address:${address}`, type, data);
+    }
+  }
+
+  /**
+   * Send an event to every subscriber of a topic
+   * @param {string} topic
+   * @param {string} type
+   * @param {object} data
+   */
+  publish(topic, type, data) {
+    const subscribers = this.subscriptions.get(topic);
+    if (!subscribers || subscribers.size === 0) {
+      return;
+    }
+
+    const message = JSON.stringify({ topic, type, data });
+    for (const ws of subscribers) {
+      this.send(ws, message);
+    }
+  }
+
+  /**
+   * Send a message to one client if it is still open
+   * @param {WebSocket} ws
+   * @param {object|string} message
+   */
+  send(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  formatBlock(block, transactionCount) {
+    return {
+      number: block.number,
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: block.timestamp,
+      miner: block.miner,
+      gasUsed: block.gasUsed.toString(),
+      gasLimit: block.gasLimit.toString(),
+      baseFeePerGas: block.baseFeePerGas !== null && block.baseFeePerGas !== undefined
+        ? block.baseFeePerGas.toString()
+        : null,
+      transactionCount,
+    };
+  }
+
+  formatTransaction(tx, receipt = null) {
+    return {
+      hash: tx.hash,
+      blockNumber: tx.blockNumber,
+      transactionIndex: tx.index,
+      from: tx.from.toLowerCase(),
+      to: tx.to ? tx.to.toLowerCase() : null,
+      value: tx.value.toString(),
+      status: receipt ? receipt.status : null,
+      gasUsed: receipt ? receipt.gasUsed.toString() : null,
+      contractAddress: receipt && receipt.contractAddress
+        ? receipt.contractAddress.toLowerCase()
+        : null,
+    };
+  }
+
+  formatTokenTransfer(transfer) {
+    return {
+      transactionHash: transfer.transactionHash,
+      blockNumber: transfer.blockNumber,
+      logIndex: transfer.logIndex,
+      batchIndex: transfer.batchIndex,
+      tokenAddress: transfer.tokenAddress.toLowerCase(),
+      tokenType: transfer.tokenType,
+      from: transfer.from.toLowerCase(),
+      to: transfer.to.toLowerCase(),
+      value: transfer.value !== null ? transfer.value.toString() : null,
+      tokenId: transfer.tokenId !== null ? transfer.tokenId.toString() : null,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FeedServer();
@@ -0,0 +1,375 @@
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+
+// Tables written by every batch; their secondary indexes and foreign keys are deferred
+const BULK_LOAD_TABLES = [
+  'blocks',
+  'transactions',
+  'logs',
+  'token_transfers',
+  'internal_transactions',
+  'addresses',
+  'tokens',
+  'token_balances',
+];
+
+// Indexes the indexer itself reads while syncing (finality updates, reorg rollbacks)
+const KEEP_INDEXES = [
+  'idx_blocks_not_finalized',
+  'idx_tx_block_number_desc',
+  'idx_logs_block_number_desc',
+  'idx_token_transfers_block_number_desc',
+  'idx_internal_tx_block_number_desc',
+];
+
+// pg_get_indexdef(): CREATE INDEX <name> ON [ONLY] <table> USING <method> (<columns>) [WHERE ...]
+const INDEX_DEFINITION_PATTERN = /^CREATE INDEX (\S+) ON (?:ONLY )?(\S+) (USING .+)$/;
+
+/**
+ * IndexManager - Bulk load mode for long historical backfills
+ *
+ * Responsibilities:
+ * - Drop the secondary indexes and foreign keys of the tables the indexer
+ *   writes, recording their definitions in bulk_load_deferred
+ * - Rebuild them without blocking writes: CREATE INDEX CONCURRENTLY (per
+ *   partition, then attached, for partitioned tables) and foreign keys added
+ *   NOT VALID, then validated
+ * - Resume an interrupted rebuild, and report its progress
+ *
+ * Primary keys and unique constraints are never dropped: saveBlocks() relies
+ * on them for ON CONFLICT.
+ */
+class IndexManager {
+  constructor() {
+    this.rebuild = null; // { total, done, current, startedAt } while rebuildIndexes() runs
+  }
+
+  /**
+   * Drop secondary indexes and foreign keys before a bulk load
+   * Definitions are recorded in the same transaction as the drops.
+   * @returns {Promise<{indexes: number, constraints: number}>}
+   */
+  async deferIndexes() {
+    try {
+      const deferred = await db.transaction(async (client) => {
+        const constraints = await client.query(`
+          SELECT t.relname AS table_name, c.conname AS name, pg_get_constraintdef(c.oid) AS definition
+          FROM pg_constraint c
+          JOIN pg_class t ON t.oid = c.conrelid
+          WHERE c.contype = 'f'
+            AND c.conparentid = 0
+            AND t.relnamespace = current_schema()::regnamespace
+            AND t.relname = ANY($1)
+          ORDER BY t.relname, c.conname
+        `, [BULK_LOAD_TABLES]);
+
+        const indexes = await client.query(`
+          SELECT t.relname AS table_name, i.relname AS name, pg_get_indexdef(i.oid) AS definition
+          FROM pg_index x
+          JOIN pg_class i ON i.oid = x.indexrelid
+          JOIN pg_class t ON t.oid = x.indrelid
+          WHERE NOT x.indisunique
+            AND NOT x.indisprimary
+            AND t.relnamespace = current_schema()::regnamespace
+            AND t.relname = ANY($1)
+            AND NOT (i.relname = ANY($2))
+          ORDER BY t.relname, i.relname
+        `, [BULK_LOAD_TABLES, KEEP_INDEXES]);
+
+        // Constraints first: nothing else depends on them
+        for (const row of constraints.rows) {
+          await this.recordDeferred(client, row, 'constraint');
+          await client.query(`ALTER TABLE ${row.table_name} DROP CONSTRAINT ${row.name}`);
+        }
+
+        for (const row of indexes.rows) {
+          await this.recordDeferred(client, row, 'index');
+          await client.query(`DROP INDEX ${row.name}`);
+        }
+
+        return { indexes: indexes.rows.length, constraints: constraints.rows.length };
+      });
+
+      logger.info('Deferred indexes and foreign keys for bulk load', deferred);
+
+      return deferred;
+    } catch (error) {
+      logger.error('Failed to defer indexes', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a dropped index or constraint
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {{table_name: string, name: string, definition: string}} row
+   * @param {'index'|'constraint'} kind
+   */
+  async recordDeferred(client, row, kind) {
+    await client.query(`
+      INSERT INTO bulk_load_deferred (table_name, name, kind, definition)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (table_name, name) DO NOTHING
+    `, [row.table_name, row.name, kind, row.definition]);
+  }
+
+  /**
+   * Indexes and constraints waiting to be rebuilt, indexes first
+   * @returns {Promise<Array<{tableName: string, name: string, kind: string, definition: string}>>}
+   */
+  async getDeferred() {
+    try {
+      const result = await db.query(`
+        SELECT * FROM bulk_load_deferred
+        ORDER BY kind = 'constraint', table_name, name
+      `);
+
+      return result.rows.map(row => ({
+        tableName: row.table_name,
+        name: row.name,
+        kind: row.kind,
+        definition: row.definition,
+      }));
+    } catch (error) {
+      logger.error('Failed to get deferred indexes', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild everything deferred, one index or constraint at a time
+   * @param {object} options
+   * @param {function(): boolean} options.shouldContinue - Checked before each one
+   * @returns {Promise<{rebuilt: number, remaining: number}>}
+   */
+  async rebuildIndexes({ shouldContinue = () => true } = {}) {
+    const deferred = await this.getDeferred();
+    if (deferred.length === 0) {
+      return { rebuilt: 0, remaining: 0 };
+    }
+
+    this.rebuild = { total: deferred.length, done: 0, current: null, startedAt: Date.now() };
+
+    logger.info('Rebuilding deferred indexes and foreign keys', {
+      indexes: deferred.filter(item => item.kind === 'index').length,
+      constraints: deferred.filter(item => item.kind === 'constraint').length,
+    });
+
+    try {
+      for (const item of deferred) {
+        if (!shouldContinue()) break;
+
+        this.rebuild.current = item.name;
+        const startTime = Date.now();
+
+        if (item.kind === 'index') {
+          await this.rebuildIndex(item);
+        } else {
+          await this.restoreConstraint(item);
+        }
+
+        await db.query(
+          'DELETE FROM bulk_load_deferred WHERE table_name = $1 AND name = $2',
+          [item.tableName, item.name]
+        );
+        this.rebuild.done++;
+
+        const { rebuilt, progress, elapsed } = this.getProgress();
+        logger.info('Index rebuild progress', {
+          kind: item.kind,
+          name: item.name,
+          table: item.tableName,
+          duration: `${Date.now() - startTime}ms`,
+          rebuilt,
+          progress,
+          elapsed,
+        });
+      }
+
+      const { done, total, startedAt } = this.rebuild;
+
+      logger.info(done === total ? 'Deferred indexes rebuilt' : 'Index rebuild stopped', {
+        rebuilt: done,
+        remaining: total - done,
+        duration: `${Date.now() - startedAt}ms`,
+      });
+
+      return { rebuilt: done, remaining: total - done };
+    } catch (error) {
+      logger.error('Failed to rebuild deferred index', {
+        name: this.rebuild.current,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      this.rebuild = null;
+    }
+  }
+
+  /**
+   * Recreate an index without blocking writes
+   * Indexes left invalid by an interrupted CREATE INDEX CONCURRENTLY are
+   * dropped and built again.
+   * @param {object} item - From getDeferred()
+   */
+  async rebuildIndex(item) {
+    const match = item.definition.match(INDEX_DEFINITION_PATTERN);
+    if (!match) {
+      throw new Error(`Unexpected definition for index ${item.name}: ${item.definition}`);
+    }
+    const [, name, table, method] = match;
+
+    if (await this.isPartitioned(item.tableName)) {
+      await this.rebuildPartitionedIndex(item.tableName, name, table, method);
+      return;
+    }
+
+    const valid = await this.getIndexValidity(name);
+    if (valid) {
+      return;
+    }
+    if (valid === false) {
+      await db.query(`DROP INDEX CONCURRENTLY ${name}`);
+    }
+
+    await db.query(`CREATE INDEX CONCURRENTLY ${name} ON ${table} ${method}`);
+  }
+
+  /**
+   * Recreate an index of a partitioned table
+   * A partitioned index can't be built concurrently: create it on the parent
+   * only (invalid), build each partition's index concurrently and attach it.
+   * The parent index becomes valid once every partition is attached.
+   * @param {string} tableName - Unqualified table name
+   * @param {string} name - Index name
+   * @param {string} table - Table as in the index definition (schema-qualified)
+   * @param {string} method - USING ... part of the index definition
+   */
+  async rebuildPartitionedIndex(tableName, name, table, method) {
+    await db.query(`CREATE INDEX IF NOT EXISTS ${name} ON ONLY ${table} ${method}`);
+
+    const result = await db.query(`
+      SELECT
+        c.relname AS partition,
+        EXISTS (
+          SELECT 1 FROM pg_inherits ii
+          JOIN pg_index x ON x.indexrelid = ii.inhrelid
+          WHERE ii.inhparent = $2::regclass AND x.indrelid = c.oid
+        ) AS attached
+      FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid
+      WHERE i.inhparent = $1::regclass
+      ORDER BY c.relname
+    `, [table, name]);
+
+    const partitions = result.rows;
+
+    for (const [idx, { partition, attached }] of partitions.entries()) {
+      if (attached) continue;
+
+      // blocks_p0003 -> idx_blocks_miner_p0003
+      const suffix = partition.startsWith(`${tableName}_`)
+        ? partition.slice(tableName.length + 1)
+        : partition;
+      const partitionIndex = `${name}_${suffix}`;
+
+      const valid = await this.getIndexValidity(partitionIndex);
+      if (valid === false) {
+        await db.query(`DROP INDEX CONCURRENTLY ${partitionIndex}`);
+      }
+      if (!valid) {
+        await db.query(`CREATE INDEX CONCURRENTLY ${partitionIndex} ON ${partition} ${method}`);
+      }
+      await db.query(`ALTER INDEX ${name} ATTACH PARTITION ${partitionIndex}`);
+
+      logger.info('Index partition rebuilt', {
+        index: name,
+        partition,
+        partitions: `${idx + 1}/${partitions.length}`,
+      });
+    }
+  }
+
+  /**
+   * Re-add a foreign key and check the existing rows
+   * NOT VALID + VALIDATE CONSTRAINT checks rows without blocking writes, but
+   * PostgreSQL before 18 has no NOT VALID foreign keys on partitioned tables;
+   * those are checked while being added.
+   * @param {object} item - From getDeferred()
+   */
+  async restoreConstraint(item) {
+    const { tableName, name, definition } = item;
+
+    const existing = await db.query(
+      'SELECT convalidated FROM pg_constraint WHERE conrelid = $1::regclass AND conname = $2',
+      [tableName, name]
+    );
+
+    if (existing.rows.length === 0) {
+      if (await this.isPartitioned(tableName)) {
+        await db.query(`ALTER TABLE ${tableName} ADD CONSTRAINT ${name} ${definition}`);
+        return;
+      }
+      await db.query(`ALTER TABLE ${tableName} ADD CONSTRAINT ${name} ${definition} NOT VALID`);
+    } else if (existing.rows[0].convalidated) {
+      return;
+    }
+
+    await db.query(`ALTER TABLE ${tableName} VALIDATE CONSTRAINT ${name}`);
+  }
+
+  /**
+   * Whether a table is partitioned
+   * @param {string} tableName
+   * @returns {Promise<boolean>}
+   */
+  async isPartitioned(tableName) {
+    const result = await db.query(
+      'SELECT relkind FROM pg_class WHERE oid = $1::regclass',
+      [tableName]
+    );
+    return result.rows[0].relkind === 'p';
+  }
+
+  /**
+   * Validity of an index
+   * @param {string} name
+   * @returns {Promise<boolean|null>} - null if the index doesn't exist
+   */
+  async getIndexValidity(name) {
+    const result = await db.query(`
+      SELECT x.indisvalid AS valid
+      FROM pg_index x
+      JOIN pg_class i ON i.oid = x.indexrelid
+      WHERE i.relname = $1 AND i.relnamespace = current_schema()::regnamespace
+    `, [name]);
+
+    return result.rows.length > 0 ? result.rows[0].valid : null;
+  }
+
+  /**
+   * Rebuild progress (for stats/logging)
+   * @returns {object|null} - null when no rebuild is running
+   */
+  getProgress() {
+    if (!this.rebuild) {
+      return null;
+    }
+
+    const { total, done, current, startedAt } = this.rebuild;
+
+    return {
+      rebuilt: `${done}/${total}`,
+      progress: `${((done / total) * 100).toFixed(2)}%`,
+      current,
+      elapsed: `${Date.now() - startedAt}ms`,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IndexManager();
@@ -0,0 +1,205 @@
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+// Only halve concurrency once per window; a burst of 429s is one signal
+const DECREASE_WINDOW = 1000;
+
+/**
+ * RequestThrottle - Client-side rate limiting for RPC calls
+ *
+ * Responsibilities:
+ * - Enforce a requests-per-second budget with a token bucket (config.rpc.maxRps)
+ * - Limit in-flight requests with an adaptive concurrency limit:
+ *   halve it on rate-limit errors, grow it by one after a window of successes
+ * - Pause new requests after a rate-limit error (Retry-After when given)
+ *
+ * Applies to all endpoints together; per-endpoint limits live in RpcPool.
+ */
+class RequestThrottle {
+  /**
+   * @param {object} options
+   * @param {function(Error): boolean} options.isRateLimited
+   */
+  constructor({ isRateLimited = () => false } = {}) {
+    this.isRateLimited = isRateLimited;
+
+    this.limit = config.rpc.concurrency.initial;
+    this.inFlight = 0;
+    this.queue = []; // resolvers waiting for a concurrency slot
+    this.successStreak = 0;
+    this.lastDecrease = 0;
+    this.pausedUntil = 0;
+
+    this.tokens = config.rpc.maxRps;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Run a request within the rate and concurrency limits
+   * @param {function(): Promise<any>} fn
+   * @param {number} cost - Calls in the request (JSON-RPC batches cost more)
+   * @returns {Promise<any>}
+   */
+  async run(fn, cost = 1) {
+    await this.acquireSlot();
+
+    try {
+      await this.acquireTokens(cost);
+
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isRateLimited(error)) {
+        this.onRateLimited(error);
+      }
+      throw error;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Wait for a concurrency slot
+   */
+  async acquireSlot() {
+    if (this.inFlight < this.limit) {
+      this.inFlight++;
+      return;
+    }
+
+    // releaseSlot() hands its slot over directly
+    await new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  releaseSlot() {
+    if (this.queue.length > 0 && this.inFlight <= this.limit) {
+      this.queue.shift()();
+      return;
+    }
+    this.inFlight--;
+  }
+
+  /**
+   * Wait for rate-limit tokens and for any rate-limit pause to end
+   * The bucket may go into debt for expensive requests; later requests wait it off.
+   * @param {number} cost
+   */
+  async acquireTokens(cost) {
+    for (;;) {
+      const now = Date.now();
+
+      if (this.pausedUntil > now) {
+        await this.sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      const maxRps = config.rpc.maxRps;
+      if (!maxRps) {
+        return;
+      }
+
+      this.tokens = Math.min(maxRps, this.tokens + ((now - this.lastRefill) / 1000) * maxRps);
+      this.lastRefill = now;
+
+      // Never wait for more than a full bucket
+      const needed = Math.min(cost, maxRps);
+      if (this.tokens >= needed) {
+        this.tokens -= cost;
+        return;
+      }
+
+      await this.sleep(Math.max(Math.ceil(((needed - this.tokens) / maxRps) * 1000), 1));
+    }
+  }
+
+  /**
+   * Additive increase: one more slot after `limit` successes in a row
+   */
+  onSuccess() {
+    this.successStreak++;
+
+    if (this.successStreak >= this.limit && this.limit < config.rpc.concurrency.max) {
+      this.limit++;
+      this.successStreak = 0;
+      this.drainQueue();
+    }
+  }
+
+  /**
+   * Multiplicative decrease and a pause before the next request
+   * @param {Error} error
+   */
+  onRateLimited(error) {
+    const now = Date.now();
+    this.successStreak = 0;
+
+    const retryAfter = this.getRetryAfter(error);
+    this.pausedUntil = Math.max(
+      this.pausedUntil,
+      now + (retryAfter !== null ? retryAfter : config.rpc.rateLimitBackoff)
+    );
+
+    if (now - this.lastDecrease < DECREASE_WINDOW) {
+      return;
+    }
+
+    const previous = this.limit;
+    this.limit = Math.max(config.rpc.concurrency.min, Math.floor(this.limit / 2));
+    this.lastDecrease = now;
+
+    logger.warn('RPC rate limited, reducing concurrency', {
+      from: previous,
+      to: this.limit,
+      pause: `${this.pausedUntil - now}ms`,
+      error: error.message,
+    });
+  }
+
+  /**
+   * Start queued requests that fit under a raised limit
+   */
+  drainQueue() {
+    while (this.queue.length > 0 && this.inFlight < this.limit) {
+      this.inFlight++;
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * Retry-After header (seconds) of an HTTP 429, in ms
+   * @param {Error} error
+   * @returns {number|null}
+   */
+  getRetryAfter(error) {
+    const value = error?.response?.headers?.['retry-after'];
+
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+      return parseInt(value) * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Current limits (for stats/logging)
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      concurrency: this.limit,
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      maxRps: config.rpc.maxRps,
+    };
+  }
+
+  /**
+   * Utility: Sleep for specified milliseconds
+   * @param {number} ms
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RequestThrottle;
@@ -1,32 +1,51 @@
 const { ethers } = require('ethers')
 const logger = require('../../lib/logger');
 const config = require('../../lib/config');
+const RpcPool = require('./RpcPool');
+const RequestThrottle = require('./RequestThrottle');
+
+// JSON-RPC error codes nodes use for "slow down" (EIP-1474 limit exceeded, HTTP-style 429)
+const RATE_LIMIT_CODES = [429, -32005, -32090];
 
 class RpcClient {
   constructor() {
     this.httpProvider = null;
+    this.pool = null; // HTTP endpoints (config.rpc.endpoints)
     this.wsProvider = null;
+    this.throttle = new RequestThrottle({
+      isRateLimited: (error) => this.isRateLimited(error),
+    });
     this.isConnected = false;
+    this.supportsBlockReceipts = null; // unknown until first eth_getBlockReceipts call
+    this.supportsTracing = null; // unknown until first debug_traceBlockByNumber call
+    this.supportsFinalityTags = null; // unknown until first safe/finalized block request
   }
 
   /**
    * Connect to RPC
+   * @returns {Promise<ethers.Network>} - Network the endpoints serve
    */
   async connect() {
     try {
       logger.info('Connecting to RPC', {
-        httpUrl: config.rpc.http,
+        httpUrls: config.rpc.endpoints.map(endpoint => endpoint.url),
         wsUrl: config.rpc.ws,
       });
 
-      // initialize http provider
-      this.httpProvider = new ethers.JsonRpcProvider(config.rpc.http, {
-        name: 'pulsechain',
-        chainId: 369,
+      // initialize http endpoint pool
+      this.pool = new RpcPool(config.rpc.endpoints, {
+        // Reverts and unsupported methods are not the endpoint's fault
+        isEndpointError: (error) =>
+          !this.isCallException(error) && !this.isMethodNotSupported(error),
+        // Head polling counts against maxRps and waits out rate-limit pauses
+        throttle: (fn) => this.throttle.run(fn),
       });
 
-      // verify http connection
-      const network = await this.httpProvider.getNetwork();
+      // Raw results (batches, receipts) are wrapped with the first provider
+      this.httpProvider = this.pool.endpoints[0].provider;
+
+      // verify http connection (at least one endpoint must answer)
+      const network = await this.pool.connect();
       logger.info('HTTP provider connected', {
         chainId: network.chainId.toString(),
       });
@@ -34,21 +53,7 @@ class RpcClient {
       // initialize websocket provider if configured
       if (config.rpc.ws) {
         try {
-          this.wsProvider = new ethers.WebSocketProvider(config.rpc.ws, {
-            name: 'pulsechain',
-            chainId: 369,
-          });
-
-          // handle websocket errors gracefully
-          if (this.wsProvider._websocket) {
-            this.wsProvider._websocket.on('error', (error) => {
-              logger.warn('WebSocket error, falling back to HTTP', {
-                error: error.message,
-              });
-              this.wsProvider = null;
-            });
-          }
-
+          this.wsProvider = this.createWsProvider();
           logger.info('WebSocket provider initialized');
         } catch (error) {
           logger.warn('WebSocket connection failed, will use HTTP only', {
@@ -59,7 +64,7 @@ class RpcClient {
       }
 
       this.isConnected = true;
-      return true;
+      return network;
     } catch (error) {
       logger.error('Failed to connect to RPC', {
         error: error.message,
@@ -69,13 +74,120 @@ class RpcClient {
     }
   }
 
+  /**
+   * Create a WebSocket provider for config.rpc.ws
+   * Socket errors are logged; a dropped socket is reported through
+   * subscribeNewHeads() so callers can fall back to HTTP.
+   * @returns {ethers.WebSocketProvider}
+   */
+  createWsProvider() {
+    const provider = new ethers.WebSocketProvider(config.rpc.ws, {
+      name: 'pulsechain',
+      chainId: 369,
+    });
+
+    // ws emits 'error' before 'close'; without a listener it would throw
+    provider.websocket.on('error', (error) => {
+      logger.warn('WebSocket error', { error: error.message });
+    });
+
+    return provider;
+  }
+
+  /**
+   * Subscribe to newHeads over the WebSocket provider
+   * The provider is (re)created when missing. When the socket closes after
+   * subscribing, the provider is destroyed and onClose is called once;
+   * subscribe again to resume.
+   * @param {function(number): void} onHead - Called with each new head's block number
+   * @param {function(string): void} onClose - Called with a reason when the socket drops
+   * @returns {Promise<function(): void>} - Unsubscribe function
+   */
+  async subscribeNewHeads(onHead, onClose) {
+    if (!config.rpc.ws) {
+      throw new Error('RPC_WS_URL is not configured');
+    }
+
+    if (!this.wsProvider) {
+      this.wsProvider = this.createWsProvider();
+    }
+
+    const provider = this.wsProvider;
+    const socket = provider.websocket;
+    let active = true;
+
+    const end = (reason) => {
+      if (!active) return;
+      active = false;
+
+      socket.removeListener('close', handleSocketClose);
+      if (this.wsProvider === provider) {
+        this.wsProvider = null;
+      }
+      provider.destroy().catch(() => {});
+
+      if (reason) {
+        onClose(reason);
+      }
+    };
+
+    let subscribed = false;
+    let rejectClosed;
+    const closed = new Promise((_, reject) => {
+      rejectClosed = reject;
+    });
+
+    const handleSocketClose = () => {
+      if (!subscribed) {
+        rejectClosed(new Error('WebSocket closed while subscribing'));
+      }
+      end(subscribed ? 'WebSocket closed' : null);
+    };
+    socket.on('close', handleSocketClose);
+
+    let timer;
+    try {
+      const subscriptionId = await Promise.race([
+        provider.send('eth_subscribe', ['newHeads']),
+        closed,
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error('eth_subscribe timed out')),
+            config.rpc.timeout
+          );
+        }),
+      ]);
+
+      provider._register(subscriptionId, {
+        _handleMessage: (head) => {
+          if (active) {
+            onHead(parseInt(head.number));
+          }
+        },
+      });
+    } catch (error) {
+      end(null);
+      logger.warn('Failed to subscribe to newHeads', { error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    subscribed = true;
+    logger.info('Subscribed to newHeads');
+    return () => end(null);
+  }
+
   /**
    * Get current block number from blockchain
    * @returns {Promise<number>}
    */
   async getBlockNumber() {
     try {
-      const blockNumber = await this.httpProvider.getBlockNumber();
+      // With a pool: the lowest head among endpoints that are in sync
+      const blockNumber = this.pool
+        ? await this.pool.refreshHeads()
+        : await this.request(provider => provider.getBlockNumber());
       logger.debug('Current block number', { blockNumber });
       return blockNumber;
     } catch (error) {
@@ -84,6 +196,40 @@ class RpcClient {
     }
   }
 
+  /**
+   * Get the safe and finalized block numbers (post-merge block tags)
+   * @returns {Promise<{safe: number, finalized: number}|null>} - null if the
+   *   node doesn't support the tags
+   */
+  async getFinalityHeads() {
+    if (this.supportsFinalityTags === false) {
+      return null;
+    }
+
+    try {
+      const [safe, finalized] = await Promise.all(['safe', 'finalized'].map(tag =>
+        this.request(provider => provider.getBlock(tag))
+      ));
+
+      if (!safe || !finalized) {
+        throw new Error('Node returned no block for the safe/finalized tag');
+      }
+
+      this.supportsFinalityTags = true;
+      return { safe: safe.number, finalized: finalized.number };
+    } catch (error) {
+      if (!this.isBlockTagNotSupported(error)) {
+        throw error;
+      }
+
+      logger.warn('safe/finalized block tags not supported, using confirmation depth', {
+        error: error.message,
+      });
+      this.supportsFinalityTags = false;
+      return null;
+    }
+  }
+
   /**
    * Fetch a single block from RPC
    * @param {number} blockNumber - Block number to fetch
@@ -102,7 +248,7 @@ class RpcClient {
           attempt: attempt + 1,
         });
 
-        const block = await this.httpProvider.getBlock(blockNumber, includeTransactions);
+        const block = await this.request(provider => provider.getBlock(blockNumber, includeTransactions));
 
         if (!block) {
           logger.warn('Block not found', { blockNumber });
@@ -145,32 +291,41 @@ class RpcClient {
   }
 
   /**
-   * Fetch multiple blocks sequentially
+   * Fetch a range of blocks using JSON-RPC batch requests
+   * Splits the range into batches of config.rpc.maxBatchSize.
    * @param {number} fromBlock
    * @param {number} toBlock
-   * @returns {Promise<Array>}
+   * @returns {Promise<Array>} - Blocks ordered by number; throws if any block
+   *   is still missing after retries
    */
   async getBlockRange(fromBlock, toBlock) {
     logger.info('Fetching block range', { fromBlock, toBlock });
 
     const blocks = [];
     const startTime = Date.now();
+    const maxBatchSize = config.rpc.maxBatchSize;
+
+    for (let start = fromBlock; start <= toBlock; start += maxBatchSize) {
+      const end = Math.min(start + maxBatchSize - 1, toBlock);
+      const numbers = [];
+      for (let blockNum = start; blockNum <= end; blockNum++) {
+        numbers.push(blockNum);
+      }
 
-    for (let blockNum = fromBlock; blockNum <= toBlock; blockNum++) {
       try {
-        const block = await this.getBlock(blockNum, true);
-        if (block) {
-          blocks.push(block);
-        }
+        blocks.push(...await this.getBlocksBatch(numbers));
       } catch (error) {
-        logger.error('Failed to fetch block in range', {
-          blockNumber: blockNum,
+        logger.error('Failed to fetch block batch in range', {
+          from: start,
+          to: end,
           error: error.message,
         });
         throw error;
       }
     }
 
+    blocks.sort((a, b) => a.number - b.number);
+
     const duration = Date.now() - startTime;
     logger.info('Block range fetched', {
       count: blocks.length,
@@ -181,6 +336,122 @@ class RpcClient {
     return blocks;
   }
 
+  /**
+   * Fetch blocks (with transactions) in a single JSON-RPC batch
+   * Items the node did not answer (dropped, errored or null) are retried in two
+   * smaller batches, up to config.rpc.retries attempts.
+   * @param {Array<number>} blockNumbers
+   * @param {number} attempt - Current attempt (0-based)
+   * @returns {Promise<Array>} - Every requested block (unordered)
+   */
+  async getBlocksBatch(blockNumbers, attempt = 0) {
+    const maxRetries = config.rpc.retries;
+    let responses;
+    let lastError = null;
+
+    try {
+      responses = await this.sendBatch(blockNumbers.map(blockNum => ({
+        method: 'eth_getBlockByNumber',
+        params: ['0x' + blockNum.toString(16), true],
+      })));
+    } catch (error) {
+      // The whole request failed (HTTP error, timeout, ...)
+      responses = [];
+      lastError = error;
+    }
+
+    const blocks = [];
+    const missing = [];
+
+    blockNumbers.forEach((blockNum, idx) => {
+      const response = responses[idx];
+
+      if (!response || response.error) {
+        missing.push(blockNum);
+        if (response) {
+          lastError = new Error(response.error.message || 'JSON-RPC error');
+          lastError.error = response.error;
+        }
+      } else if (response.result) {
+        blocks.push(this.httpProvider._wrapBlock(response.result));
+      } else {
+        // Requested blocks are at or below the target height; an endpoint
+        // without one (lagging, head moved since refreshHeads) is retried
+        missing.push(blockNum);
+        lastError = lastError || new Error(`Block ${blockNum} not found`);
+      }
+    });
+
+    if (missing.length === 0) {
+      return blocks;
+    }
+
+    if (attempt + 1 >= maxRetries) {
+      logger.error('Block batch failed after all retries', {
+        missing: missing.length,
+        first: missing[0],
+        attempts: attempt + 1,
+        error: lastError ? lastError.message : 'no response',
+      });
+      throw lastError || new Error(`No response for ${missing.length} blocks`);
+    }
+
+    // Per-item rate-limit errors don't reject the request; tell the throttle
+    if (lastError && this.isRateLimited(lastError)) {
+      this.throttle.onRateLimited(lastError);
+    }
+
+    const delay = Math.pow(2, attempt) * 1000;
+    logger.warn('Block batch incomplete, retrying missing blocks', {
+      requested: blockNumbers.length,
+      missing: missing.length,
+      attempt: attempt + 1,
+      retryIn: `${delay}ms`,
+      error: lastError ? lastError.message : undefined,
+    });
+
+    await this.sleep(delay);
+
+    // Smaller batches get past node limits on batch size / response size
+    const half = Math.ceil(missing.length / 2);
+    const parts = missing.length > 1
+      ? [missing.slice(0, half), missing.slice(half)]
+      : [missing];
+
+    for (const part of parts) {
+      blocks.push(...await this.getBlocksBatch(part, attempt + 1));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Send several JSON-RPC calls as one batch payload
+   * @param {Array<{method: string, params: Array}>} calls
+   * @returns {Promise<Array<object|undefined>>} - Responses ({ result } or { error })
+   *   aligned with calls; undefined where the node sent no answer
+   */
+  async sendBatch(calls) {
+    const payload = calls.map((call, idx) => ({
+      jsonrpc: '2.0',
+      id: idx,
+      method: call.method,
+      params: call.params,
+    }));
+
+    const responses = await this.request(provider => provider._send(payload), payload.length);
+
+    // Responses may come back in any order (or not at all)
+    const byId = new Map();
+    for (const response of responses || []) {
+      if (response && typeof response.id === 'number') {
+        byId.set(response.id, response);
+      }
+    }
+
+    return payload.map(request => byId.get(request.id));
+  }
+
   /**
    * Fetch multiple blocks in parallel (faster)
    * @param {Array<number>} blockNumbers
@@ -232,13 +503,482 @@ class RpcClient {
     return blocks;
   }
 
+  /**
+   * Fetch the receipts of several blocks with eth_getBlockReceipts in a single
+   * JSON-RPC batch
+   * Items the node did not answer (dropped, errored or null) are retried in two
+   * smaller batches, up to config.rpc.retries attempts. An unsupported method
+   * is thrown straight away.
+   * @param {Array<number>} blockNumbers - Blocks that have transactions
+   * @param {number} attempt - Current attempt (0-based)
+   * @returns {Promise<Map<number, Array<object>>>} - TransactionReceipt objects by block number
+   */
+  async getBlockReceiptsBatch(blockNumbers, attempt = 0) {
+    const maxRetries = config.rpc.retries;
+    let responses;
+    let lastError = null;
+
+    try {
+      responses = await this.sendBatch(blockNumbers.map(blockNum => ({
+        method: 'eth_getBlockReceipts',
+        params: ['0x' + blockNum.toString(16)],
+      })));
+    } catch (error) {
+      if (this.isMethodNotSupported(error)) {
+        throw error;
+      }
+      responses = [];
+      lastError = error;
+    }
+
+    const receipts = new Map();
+    const missing = [];
+
+    blockNumbers.forEach((blockNum, idx) => {
+      const response = responses[idx];
+
+      if (!response || response.error) {
+        missing.push(blockNum);
+        if (response) {
+          lastError = new Error(response.error.message || 'JSON-RPC error');
+          lastError.error = response.error;
+        }
+      } else if (response.result) {
+        receipts.set(blockNum, response.result.map(receipt =>
+          this.httpProvider._wrapTransactionReceipt(receipt)
+        ));
+      } else {
+        // Only blocks with transactions are requested: null means the endpoint
+        // doesn't have the block (yet, or any more), not that it has no receipts
+        missing.push(blockNum);
+        lastError = lastError || new Error(`Receipts for block ${blockNum} not found`);
+      }
+    });
+
+    if (missing.length === 0) {
+      return receipts;
+    }
+
+    if (this.isMethodNotSupported(lastError)) {
+      throw lastError;
+    }
+
+    if (attempt + 1 >= maxRetries) {
+      logger.error('Receipt batch failed after all retries', {
+        missing: missing.length,
+        first: missing[0],
+        attempts: attempt + 1,
+        error: lastError ? lastError.message : 'no response',
+      });
+      throw lastError || new Error(`No receipts for ${missing.length} blocks`);
+    }
+
+    // Per-item rate-limit errors don't reject the request; tell the throttle
+    if (lastError && this.isRateLimited(lastError)) {
+      this.throttle.onRateLimited(lastError);
+    }
+
+    const delay = Math.pow(2, attempt) * 1000;
+    logger.warn('Receipt batch incomplete, retrying missing blocks', {
+      requested: blockNumbers.length,
+      missing: missing.length,
+      attempt: attempt + 1,
+      retryIn: `${delay}ms`,
+      error: lastError ? lastError.message : undefined,
+    });
+
+    await this.sleep(delay);
+
+    const half = Math.ceil(missing.length / 2);
+    const parts = missing.length > 1
+      ? [missing.slice(0, half), missing.slice(half)]
+      : [missing];
+
+    for (const part of parts) {
+      for (const [blockNum, blockReceipts] of await this.getBlockReceiptsBatch(part, attempt + 1)) {
+        receipts.set(blockNum, blockReceipts);
+      }
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Fetch a single transaction receipt
+   * @param {string} txHash
+   * @returns {Promise<object|null>} - TransactionReceipt object
+   */
+  async getTransactionReceipt(txHash) {
+    return this.withRetry('eth_getTransactionReceipt', { txHash }, () =>
+      this.request(provider => provider.getTransactionReceipt(txHash))
+    );
+  }
+
+  /**
+   * Fetch receipts for every transaction in the given blocks
+   * Uses batched eth_getBlockReceipts calls (config.rpc.maxBatchSize blocks per
+   * request) when the node supports it, otherwise falls back to one
+   * eth_getTransactionReceipt call per transaction, run in parallel.
+   * @param {Array<object>} blocks - Blocks from getBlock/getBlockRange
+   * @param {number} concurrency - Max parallel requests for the fallback path
+   * @returns {Promise<Array<object>>} - TransactionReceipt objects, in block order
+   */
+  async getReceiptsForBlocks(blocks, concurrency = 10) {
+    const receipts = [];
+    const withTransactions = blocks.filter(block => (block.transactions || []).length > 0);
+    let next = 0; // first block whose receipts are not fetched yet
+
+    if (this.supportsBlockReceipts !== false) {
+      const maxBatchSize = config.rpc.maxBatchSize;
+
+      try {
+        for (; next < withTransactions.length; next += maxBatchSize) {
+          const numbers = withTransactions.slice(next, next + maxBatchSize).map(block => block.number);
+          const byBlock = await this.getBlockReceiptsBatch(numbers);
+          this.supportsBlockReceipts = true;
+          numbers.forEach(blockNum => receipts.push(...byBlock.get(blockNum)));
+        }
+      } catch (error) {
+        if (!this.isMethodNotSupported(error)) {
+          throw error;
+        }
+
+        logger.warn('eth_getBlockReceipts not supported, falling back to per-transaction receipts', {
+          error: error.message,
+        });
+        this.supportsBlockReceipts = false;
+      }
+    }
+
+    const txHashes = withTransactions.slice(next).flatMap(block => block.transactions);
+    for (let i = 0; i < txHashes.length; i += concurrency) {
+      const chunk = txHashes.slice(i, i + concurrency);
+      const chunkReceipts = await Promise.all(
+        chunk.map(hash => this.getTransactionReceipt(hash))
+      );
+
+      // Saving a transaction without its receipt would lose status and gas used
+      const unknown = chunk.find((hash, idx) => chunkReceipts[idx] === null);
+      if (unknown) {
+        throw new Error(`Receipt for transaction ${unknown} not found`);
+      }
+      receipts.push(...chunkReceipts);
+    }
+
+    logger.debug('Receipts fetched', {
+      blocks: blocks.length,
+      receipts: receipts.length,
+    });
+
+    return receipts;
+  }
+
+  /**
+   * Trace every transaction of a block with the callTracer
+   * @param {number} blockNumber
+   * @returns {Promise<Array<{transactionHash: string|null, trace: object}>>} - Call trees in transaction order
+   */
+  async traceBlock(blockNumber) {
+    const results = await this.withRetry('debug_traceBlockByNumber', { blockNumber }, () =>
+      this.request(provider => provider.send('debug_traceBlockByNumber', [
+        '0x' + blockNumber.toString(16),
+        { tracer: 'callTracer' },
+      ]))
+    );
+
+    return (results || []).map(item => ({
+      transactionHash: item.txHash || null,
+      trace: item.result,
+    }));
+  }
+
+  /**
+   * Fetch call traces for every transaction in the given blocks
+   * Returns an empty list (and stops trying) if the node has no debug namespace.
+   * @param {Array<object>} blocks - Blocks from getBlock/getBlockRange
+   * @returns {Promise<Array<{transactionHash: string, blockNumber: number, trace: object}>>}
+   */
+  async getTracesForBlocks(blocks) {
+    const traces = [];
+
+    if (this.supportsTracing === false) {
+      return traces;
+    }
+
+    for (const block of blocks) {
+      const txHashes = block.transactions || [];
+      if (txHashes.length === 0) continue;
+
+      let blockTraces;
+      try {
+        blockTraces = await this.traceBlock(block.number);
+        this.supportsTracing = true;
+      } catch (error) {
+        if (!this.isMethodNotSupported(error)) {
+          throw error;
+        }
+
+        logger.warn('debug_traceBlockByNumber not supported, internal transaction tracing disabled', {
+          error: error.message,
+        });
+        this.supportsTracing = false;
+        return [];
+      }
+
+      // Older nodes don't return txHash, results are in transaction order
+      blockTraces.forEach((item, i) => {
+        if (!item.trace) return;
+        traces.push({
+          transactionHash: item.transactionHash || txHashes[i],
+          blockNumber: block.number,
+          trace: item.trace,
+        });
+      });
+    }
+
+    return traces;
+  }
+
+  /**
+   * Execute a read-only contract call (eth_call)
+   * Reverts are thrown immediately (not retried) as ethers CALL_EXCEPTION errors.
+   * @param {string} to - Contract address
+   * @param {string} data - ABI-encoded calldata
+   * @returns {Promise<string>} - Raw hex return data
+   */
+  async call(to, data) {
+    return this.withRetry('eth_call', { to }, () =>
+      this.request(provider => provider.call({ to, data }))
+    );
+  }
+
+  /**
+   * Get deployed bytecode of an address (eth_getCode)
+   * @param {string} address
+   * @param {string|number} blockTag - Block number or tag (default 'latest')
+   * @returns {Promise<string>} - Hex bytecode ('0x' for EOAs and destroyed contracts)
+   */
+  async getCode(address, blockTag = 'latest') {
+    return this.withRetry('eth_getCode', { address }, () =>
+      this.request(provider => provider.getCode(address, blockTag))
+    );
+  }
+
+  /**
+   * Contracts created by the given receipts and call traces
+   * Receipts cover transactions deploying a contract; CREATE/CREATE2 frames in
+   * the traces cover contracts deployed by other contracts. A frame that failed,
+   * or sits under one that failed, was reverted and created nothing.
+   * @param {Array<object>} receipts - TransactionReceipt objects
+   * @param {Array<object>} traces - Call traces from getTracesForBlocks()
+   * @returns {Map<string, number>} - Creation block number by lowercase contract address
+   */
+  getContractCreations(receipts, traces = []) {
+    const creations = new Map();
+
+    for (const receipt of receipts) {
+      if (receipt.contractAddress && receipt.status === 1) {
+        creations.set(receipt.contractAddress.toLowerCase(), receipt.blockNumber);
+      }
+    }
+
+    const visit = (frame, blockNumber, reverted) => {
+      const failed = reverted || Boolean(frame.error);
+      const type = (frame.type || '').toUpperCase();
+
+      if ((type === 'CREATE' || type === 'CREATE2') && frame.to && !failed) {
+        creations.set(frame.to.toLowerCase(), blockNumber);
+      }
+
+      for (const child of frame.calls || []) {
+        visit(child, blockNumber, failed);
+      }
+    };
+
+    for (const { blockNumber, trace } of traces) {
+      visit(trace, blockNumber, false);
+    }
+
+    return creations;
+  }
+
+  /**
+   * Fetch deployed bytecode for contracts created by the given receipts and traces
+   * Code is read at the creation block, so later self-destructs or upgrades
+   * don't change what is stored.
+   * @param {Array<object>} receipts - TransactionReceipt objects
+   * @param {Array<object>} traces - Call traces from getTracesForBlocks()
+   * @param {number} concurrency - Max parallel requests
+   * @returns {Promise<Map<string, string>>} - Bytecode by lowercase contract address
+   */
+  async getContractCodes(receipts, traces = [], concurrency = 10) {
+    const codes = new Map();
+    const created = [...this.getContractCreations(receipts, traces)];
+
+    for (let i = 0; i < created.length; i += concurrency) {
+      const chunk = created.slice(i, i + concurrency);
+      const chunkCodes = await Promise.all(
+        chunk.map(([address, blockNumber]) => this.getCode(address, blockNumber))
+      );
+
+      chunk.forEach(([address], idx) => {
+        const code = chunkCodes[idx];
+        if (code && code !== '0x') {
+          codes.set(address, code);
+        }
+      });
+    }
+
+    return codes;
+  }
+
+  /**
+   * Check if an RPC error is a contract revert
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isCallException(error) {
+    return error?.code === 'CALL_EXCEPTION';
+  }
+
+  /**
+   * Check if an RPC error means the method is not available on the node
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isMethodNotSupported(error) {
+    const code = error?.error?.code ?? error?.info?.error?.code;
+    if (code === -32601) {
+      return true;
+    }
+
+    return /method .*(not found|not supported|does not exist|not available)/i.test(error?.message || '');
+  }
+
+  /**
+   * Check if an RPC error means the node doesn't know the safe/finalized tags
+   * (pre-merge clients answer with invalid params or an unknown block)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isBlockTagNotSupported(error) {
+    if (this.isMethodNotSupported(error)) {
+      return true;
+    }
+
+    const code = error?.error?.code ?? error?.info?.error?.code;
+    if (code === -32602) {
+      return true;
+    }
+
+    const message = `${error?.error?.message || ''} ${error?.message || ''}`;
+    return /block tag|(invalid|unknown|unsupported) block|no block for the safe\/finalized tag/i.test(message);
+  }
+
+  /**
+   * Check if an RPC error means the node is rate limiting us
+   * Covers HTTP 429 and JSON-RPC rate-limit codes/messages.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRateLimited(error) {
+    if (error?.response?.statusCode === 429) {
+      return true;
+    }
+
+    const code = error?.error?.code ?? error?.info?.error?.code;
+    if (RATE_LIMIT_CODES.includes(code)) {
+      return true;
+    }
+
+    const message = `${error?.error?.message || ''} ${error?.message || ''}`;
+    return /rate.?limit|too many requests|limit exceeded|exceeded .*(capacity|quota)/i.test(message);
+  }
+
+  /**
+   * Run an RPC call with retries and exponential backoff
+   * @param {string} method - RPC method name (for logging)
+   * @param {object} context - Extra log fields
+   * @param {Function} fn - Async function performing the call
+   * @returns {Promise<any>}
+   */
+  async withRetry(method, context, fn) {
+    const maxRetries = config.rpc.retries;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        lastError = error;
+
+        // Retrying won't make an unsupported method appear or a revert succeed
+        if (this.isMethodNotSupported(error) || this.isCallException(error)) {
+          throw error;
+        }
+
+        logger.warn('RPC call attempt failed', {
+          method,
+          ...context,
+          attempt: attempt + 1,
+          maxRetries,
+          error: error.message,
+        });
+
+        if (attempt < maxRetries - 1) {
+          await this.sleep(Math.pow(2, attempt) * 1000);
+        }
+      }
+    }
+
+    logger.error('RPC call failed after all retries', {
+      method,
+      ...context,
+      maxRetries,
+      error: lastError.message,
+    });
+    throw lastError;
+  }
+
+  /**
+   * Run a request on the HTTP provider
+   * Waits for the throttle (rps budget, adaptive concurrency), then is routed
+   * through the endpoint pool when connected, which picks a healthy endpoint
+   * and records latency / failures.
+   * @param {function(ethers.JsonRpcProvider): Promise<any>} fn
+   * @param {number} cost - Calls in the request (size of a JSON-RPC batch)
+   * @returns {Promise<any>}
+   */
+  request(fn, cost = 1) {
+    return this.throttle.run(
+      () => (this.pool ? this.pool.execute(fn) : fn(this.httpProvider)),
+      cost
+    );
+  }
+
+  /**
+   * Per-endpoint health statistics (latency, error rate, head, quarantine)
+   * @returns {Array<object>}
+   */
+  getEndpointStats() {
+    return this.pool ? this.pool.getStats() : [];
+  }
+
+  /**
+   * Current throttle state (concurrency limit, in-flight and queued requests)
+   * @returns {object}
+   */
+  getThrottleStats() {
+    return this.throttle.getStats();
+  }
+
   /**
    * Health check - verify RPC connection is working
    * @returns {Promise<boolean>}
    */
   async healthCheck() {
     try {
-      await this.httpProvider.getBlockNumber();
+      await this.request(provider => provider.getBlockNumber());
       return true;
     } catch (error) {
       logger.error('RPC health check failed', { error: error.message });
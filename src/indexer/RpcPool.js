@@ -0,0 +1,411 @@
+const { ethers } = require('ethers');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+// Smoothing factors for the moving averages
+const LATENCY_ALPHA = 0.2;
+const ERROR_ALPHA = 0.1;
+
+// Don't judge an endpoint's error rate on a handful of requests
+const MIN_SAMPLES = 10;
+
+// PulseChain mainnet
+const CHAIN_ID = 369n;
+
+/**
+ * RpcPool - Routes RPC requests over several HTTP endpoints
+ *
+ * Responsibilities:
+ * - Keep one JsonRpcProvider per configured endpoint
+ * - Track latency and error rate per endpoint
+ * - Pick endpoints by weight and health, within each endpoint's rate limit
+ * - Quarantine failing endpoints for a cooldown
+ * - Exclude endpoints whose head lags the others
+ *
+ * Does NOT retry: callers (RpcClient) retry, and the next attempt is routed
+ * away from the endpoint that just failed.
+ */
+class RpcPool {
+  /**
+   * @param {Array<{url: string, weight: number, rateLimit: number}>} endpoints
+   * @param {object} options
+   * @param {function(Error): boolean} options.isEndpointError - Whether an error
+   *   says something about the endpoint (vs. the request, e.g. a revert)
+   * @param {function(function(): Promise<any>): Promise<any>} options.throttle - Runs
+   *   a request the pool sends on its own (head polling) within the caller's
+   *   global rate limit; execute() callers are throttled already
+   */
+  constructor(endpoints, { isEndpointError = () => true, throttle = (fn) => fn() } = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('RpcPool requires at least one endpoint');
+    }
+
+    this.isEndpointError = isEndpointError;
+    this.throttle = throttle;
+    this.endpoints = endpoints.map(({ url, weight = 1, rateLimit = 0 }) => ({
+      url,
+      weight,
+      rateLimit, // requests per second, 0 = unlimited
+      // No fixed network: the chain is read from eth_chainId once and cached,
+      // so connect() sees what the endpoint is really on
+      provider: new ethers.JsonRpcProvider(this.createRequest(url), undefined, {
+        staticNetwork: true,
+      }),
+      disabled: false, // wrong chain
+      latency: null, // moving average in ms
+      errorRate: 0, // moving average of failures (0..1)
+      samples: 0,
+      consecutiveFailures: 0,
+      quarantinedUntil: 0,
+      head: null,
+      lagging: false,
+      tokens: rateLimit, // token bucket for the rate limit
+      lastRefill: Date.now(),
+      requests: 0,
+      failures: 0,
+    }));
+  }
+
+  /**
+   * Build the HTTP request template for an endpoint
+   * ethers retries HTTP 429 internally (up to 12 times); surface it instead so
+   * RequestThrottle can back off and the pool can route elsewhere.
+   * @param {string} url
+   * @returns {ethers.FetchRequest}
+   */
+  createRequest(url) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = config.rpc.timeout;
+    request.retryFunc = async () => false;
+    return request;
+  }
+
+  /**
+   * Verify every endpoint; fail only if none is reachable
+   * Unreachable endpoints start quarantined; endpoints on the wrong chain are never used.
+   * @returns {Promise<object>} - Network reported by the first working endpoint
+   */
+  async connect() {
+    const results = await Promise.allSettled(
+      this.endpoints.map(endpoint => endpoint.provider.getNetwork())
+    );
+
+    let network = null;
+    let firstError = null;
+
+    results.forEach((result, idx) => {
+      const endpoint = this.endpoints[idx];
+
+      if (result.status === 'rejected') {
+        firstError = firstError || result.reason;
+        this.quarantine(endpoint, result.reason.message);
+        return;
+      }
+
+      if (result.value.chainId !== CHAIN_ID) {
+        logger.error('RPC endpoint is on the wrong chain, ignoring it', {
+          url: endpoint.url,
+          chainId: result.value.chainId.toString(),
+        });
+        endpoint.disabled = true;
+        return;
+      }
+
+      network = network || result.value;
+    });
+
+    if (!network) {
+      throw firstError || new Error(`No RPC endpoint is on chain ${CHAIN_ID}`);
+    }
+
+    logger.info('RPC pool connected', {
+      endpoints: this.endpoints.length,
+      healthy: this.endpoints.filter(endpoint =>
+        !endpoint.disabled && endpoint.quarantinedUntil <= Date.now()
+      ).length,
+    });
+
+    return network;
+  }
+
+  /**
+   * Run a request on a healthy endpoint and record the outcome
+   * @param {function(ethers.JsonRpcProvider): Promise<any>} fn
+   * @returns {Promise<any>}
+   */
+  async execute(fn) {
+    const endpoint = await this.acquire();
+    const startTime = Date.now();
+
+    try {
+      const result = await fn(endpoint.provider);
+      this.recordSuccess(endpoint, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (this.isEndpointError(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        this.recordSuccess(endpoint, Date.now() - startTime);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pick an endpoint and take a rate-limit token from it
+   * Waits when every usable endpoint is at its rate limit.
+   * @returns {Promise<object>}
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      const usable = this.getUsableEndpoints(now);
+
+      usable.forEach(endpoint => this.refill(endpoint, now));
+      const ready = usable.filter(endpoint => !endpoint.rateLimit || endpoint.tokens >= 1);
+
+      if (ready.length > 0) {
+        const endpoint = this.pick(ready);
+        if (endpoint.rateLimit) {
+          endpoint.tokens -= 1;
+        }
+        return endpoint;
+      }
+
+      // Everyone is rate limited: wait for the earliest token
+      const wait = Math.min(...usable.map(endpoint =>
+        Math.ceil(((1 - endpoint.tokens) / endpoint.rateLimit) * 1000)
+      ));
+      await this.sleep(Math.max(wait, 1));
+    }
+  }
+
+  /**
+   * Endpoints that may receive requests right now
+   * Falls back to the endpoint whose quarantine ends first rather than
+   * stalling when none is healthy.
+   * @param {number} now
+   * @returns {Array<object>}
+   */
+  getUsableEndpoints(now) {
+    const enabled = this.endpoints.filter(endpoint => !endpoint.disabled);
+    if (enabled.length === 0) {
+      throw new Error('No usable RPC endpoint');
+    }
+
+    const healthy = enabled.filter(endpoint =>
+      endpoint.quarantinedUntil <= now && !endpoint.lagging
+    );
+
+    if (healthy.length > 0) {
+      return healthy;
+    }
+
+    const fallback = enabled.reduce((best, endpoint) =>
+      endpoint.quarantinedUntil < best.quarantinedUntil ? endpoint : best
+    );
+
+    return [fallback];
+  }
+
+  /**
+   * Weighted random choice; weight is scaled down by latency and error rate
+   * @param {Array<object>} endpoints
+   * @returns {object}
+   */
+  pick(endpoints) {
+    if (endpoints.length === 1) {
+      return endpoints[0];
+    }
+
+    const scores = endpoints.map(endpoint => this.score(endpoint));
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    let target = Math.random() * total;
+    for (let i = 0; i < endpoints.length; i++) {
+      target -= scores[i];
+      if (target < 0) {
+        return endpoints[i];
+      }
+    }
+
+    return endpoints[endpoints.length - 1];
+  }
+
+  /**
+   * Routing score of an endpoint (higher is better)
+   * @param {object} endpoint
+   * @returns {number}
+   */
+  score(endpoint) {
+    const latency = endpoint.latency === null ? 100 : endpoint.latency;
+    return (endpoint.weight * (1 - endpoint.errorRate)) / (1 + latency / 100) + 1e-6;
+  }
+
+  /**
+   * Refill an endpoint's token bucket (capacity: one second of requests)
+   * @param {object} endpoint
+   * @param {number} now
+   */
+  refill(endpoint, now) {
+    if (!endpoint.rateLimit) return;
+
+    const elapsed = (now - endpoint.lastRefill) / 1000;
+    endpoint.tokens = Math.min(endpoint.rateLimit, endpoint.tokens + elapsed * endpoint.rateLimit);
+    endpoint.lastRefill = now;
+  }
+
+  /**
+   * Take a rate-limit token from a specific endpoint, waiting for one if needed
+   * @param {object} endpoint
+   */
+  async takeToken(endpoint) {
+    if (!endpoint.rateLimit) return;
+
+    for (;;) {
+      this.refill(endpoint, Date.now());
+
+      if (endpoint.tokens >= 1) {
+        endpoint.tokens -= 1;
+        return;
+      }
+
+      const wait = Math.ceil(((1 - endpoint.tokens) / endpoint.rateLimit) * 1000);
+      await this.sleep(Math.max(wait, 1));
+    }
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.samples++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : endpoint.latency + LATENCY_ALPHA * (latency - endpoint.latency);
+    endpoint.errorRate -= ERROR_ALPHA * endpoint.errorRate;
+  }
+
+  recordFailure(endpoint, error) {
+    const { maxConsecutiveFailures, maxErrorRate } = config.rpc.pool;
+
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.samples++;
+    endpoint.consecutiveFailures++;
+    endpoint.errorRate += ERROR_ALPHA * (1 - endpoint.errorRate);
+
+    if (endpoint.consecutiveFailures >= maxConsecutiveFailures) {
+      this.quarantine(endpoint, error.message);
+    } else if (endpoint.samples >= MIN_SAMPLES && endpoint.errorRate > maxErrorRate) {
+      this.quarantine(endpoint, `error rate ${(endpoint.errorRate * 100).toFixed(0)}%`);
+    }
+  }
+
+  /**
+   * Take an endpoint out of rotation for the cooldown period
+   * Its statistics start over when it comes back.
+   * @param {object} endpoint
+   * @param {string} reason
+   */
+  quarantine(endpoint, reason) {
+    const cooldown = config.rpc.pool.quarantineCooldown;
+
+    endpoint.quarantinedUntil = Date.now() + cooldown;
+    endpoint.consecutiveFailures = 0;
+    endpoint.errorRate = 0;
+    endpoint.samples = 0;
+
+    logger.warn('RPC endpoint quarantined', {
+      url: endpoint.url,
+      reason,
+      cooldown: `${cooldown}ms`,
+    });
+  }
+
+  /**
+   * Query every endpoint's head and flag the ones lagging behind
+   * Each query goes through the global throttle and takes a token from its
+   * endpoint's rate limit, like any other request.
+   * @returns {Promise<number>} - Lowest head among in-sync endpoints, so every
+   *   endpoint used for routing has the blocks up to it
+   */
+  async refreshHeads() {
+    const now = Date.now();
+    const candidates = this.endpoints.filter(endpoint =>
+      !endpoint.disabled && endpoint.quarantinedUntil <= now
+    );
+
+    await Promise.all(candidates.map(async (endpoint) => {
+      try {
+        endpoint.head = await this.throttle(async () => {
+          await this.takeToken(endpoint);
+
+          const startTime = Date.now();
+          const head = await endpoint.provider.getBlockNumber();
+          this.recordSuccess(endpoint, Date.now() - startTime);
+          return head;
+        });
+      } catch (error) {
+        endpoint.head = null;
+        this.recordFailure(endpoint, error);
+      }
+    }));
+
+    const responding = candidates.filter(endpoint => endpoint.head !== null);
+    if (responding.length === 0) {
+      throw new Error('No RPC endpoint returned a block number');
+    }
+
+    const bestHead = Math.max(...responding.map(endpoint => endpoint.head));
+    const maxHeadLag = config.rpc.pool.maxHeadLag;
+
+    for (const endpoint of responding) {
+      const lagging = bestHead - endpoint.head > maxHeadLag;
+
+      if (lagging !== endpoint.lagging) {
+        logger.warn(lagging ? 'RPC endpoint is lagging, excluding it' : 'RPC endpoint caught up', {
+          url: endpoint.url,
+          head: endpoint.head,
+          bestHead,
+        });
+      }
+      endpoint.lagging = lagging;
+    }
+
+    return Math.min(...responding
+      .filter(endpoint => !endpoint.lagging)
+      .map(endpoint => endpoint.head));
+  }
+
+  /**
+   * Per-endpoint health statistics
+   * @returns {Array<object>}
+   */
+  getStats() {
+    const now = Date.now();
+
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      weight: endpoint.weight,
+      rateLimit: endpoint.rateLimit,
+      disabled: endpoint.disabled,
+      latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      head: endpoint.head,
+      lagging: endpoint.lagging,
+      quarantined: endpoint.quarantinedUntil > now,
+    }));
+  }
+
+  /**
+   * Utility: Sleep for specified milliseconds
+   * @param {number} ms
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RpcPool;
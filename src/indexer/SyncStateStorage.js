@@ -0,0 +1,268 @@
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+/**
+ * SyncStateStorage - Persists sync bookkeeping in PostgreSQL
+ *
+ * Responsibilities:
+ * - Record block ranges that failed after all retries (sync_failed_batches)
+ * - Schedule their next retry with exponential backoff
+ * - Hand due ranges back to BlockFetcher and forget them once indexed
+ * - Keep the sync checkpoint (indexer_state): watermark, head seen, last sync
+ *   time and config fingerprint
+ *
+ * Survives restarts, so a failed range is retried until it is indexed and
+ * the indexer resumes from its watermark.
+ */
+class SyncStateStorage {
+  /**
+   * Record a failed range, or bump its attempt count if already known
+   * The retry delay doubles with every attempt
+   * (INDEXER_FAILED_BATCH_RETRY_DELAY .. INDEXER_FAILED_BATCH_RETRY_MAX_DELAY).
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {string} errorMessage
+   * @returns {Promise<object>} - The stored failed batch
+   */
+  async recordFailedBatch(fromBlock, toBlock, errorMessage) {
+    const { failedBatchRetryDelay, failedBatchRetryMaxDelay } = config.indexer;
+
+    try {
+      const result = await db.query(`
+        INSERT INTO sync_failed_batches (from_block, to_block, attempts, last_error, next_retry_at)
+        VALUES ($1, $2, 1, $3, NOW() + $4::bigint * INTERVAL '1 millisecond')
+        ON CONFLICT (from_block, to_block) DO UPDATE SET
+          attempts = sync_failed_batches.attempts + 1,
+          last_error = EXCLUDED.last_error,
+          next_retry_at = NOW() + LEAST(
+            $4::bigint * POWER(2, sync_failed_batches.attempts),
+            $5::bigint
+          ) * INTERVAL '1 millisecond',
+          updated_at = NOW()
+        RETURNING *
+      `, [fromBlock, toBlock, errorMessage, failedBatchRetryDelay, failedBatchRetryMaxDelay]);
+
+      return this.transformFailedBatch(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to record failed batch', {
+        from: fromBlock,
+        to: toBlock,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get failed ranges whose retry time has come, lowest first
+   * @param {number} limit
+   * @returns {Promise<Array<object>>}
+   */
+  async getDueFailedBatches(limit) {
+    try {
+      const result = await db.query(`
+        SELECT * FROM sync_failed_batches
+        WHERE next_retry_at <= NOW()
+        ORDER BY from_block
+        LIMIT $1
+      `, [limit]);
+
+      return result.rows.map(row => this.transformFailedBatch(row));
+    } catch (error) {
+      logger.error('Failed to get due failed batches', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget failed ranges that lie within an indexed range
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<number>} - Number of failed batches removed
+   */
+  async resolveFailedBatches(fromBlock, toBlock) {
+    try {
+      const result = await db.query(`
+        DELETE FROM sync_failed_batches
+        WHERE from_block >= $1 AND to_block <= $2
+      `, [fromBlock, toBlock]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to resolve failed batches', {
+        from: fromBlock,
+        to: toBlock,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count failed ranges and the blocks they leave missing
+   * @returns {Promise<{failedBatches: number, missingBlocks: number, lowestMissingBlock: number|null}>}
+   */
+  async getFailedBatchStats() {
+    try {
+      const result = await db.query(`
+        SELECT
+          COUNT(*) as failed_batches,
+          SUM(to_block - from_block + 1) as missing_blocks,
+          MIN(from_block) as lowest_missing_block
+        FROM sync_failed_batches
+      `);
+
+      const stats = result.rows[0];
+
+      return {
+        failedBatches: parseInt(stats.failed_batches),
+        missingBlocks: parseInt(stats.missing_blocks || 0),
+        lowestMissingBlock: stats.lowest_missing_block !== null
+          ? parseInt(stats.lowest_missing_block)
+          : null,
+      };
+    } catch (error) {
+      logger.error('Failed to get failed batch stats', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sync checkpoint
+   * @returns {Promise<object|null>} - null before the first run
+   */
+  async getIndexerState() {
+    try {
+      const result = await db.query('SELECT * FROM indexer_state WHERE id = 1');
+
+      return result.rows.length > 0
+        ? this.transformIndexerState(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error('Failed to get indexer state', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Write the sync checkpoint as given (startup, end of a sync run)
+   * @param {object} state
+   * @param {number} state.watermark
+   * @param {number|null} state.headBlock - Kept if null
+   * @param {string|null} state.configFingerprint - Kept if null
+   * @returns {Promise<void>}
+   */
+  async saveIndexerState({ watermark, headBlock = null, configFingerprint = null }) {
+    try {
+      await db.query(`
+        INSERT INTO indexer_state (id, watermark, head_block, config_fingerprint, last_synced_at)
+        VALUES (1, $1, $2, $3, NOW())
+        ON CONFLICT (id) DO UPDATE SET
+          watermark = EXCLUDED.watermark,
+          head_block = COALESCE(EXCLUDED.head_block, indexer_state.head_block),
+          config_fingerprint = COALESCE(EXCLUDED.config_fingerprint, indexer_state.config_fingerprint),
+          last_synced_at = NOW(),
+          updated_at = NOW()
+      `, [watermark.toString(), headBlock !== null ? headBlock.toString() : null, configFingerprint]);
+    } catch (error) {
+      logger.error('Failed to save indexer state', {
+        watermark,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the id of the latest recorded reorg
+   * @returns {Promise<number>} - 0 when none was recorded
+   */
+  async getLastReorgId() {
+    try {
+      const result = await db.query('SELECT COALESCE(MAX(id), 0) AS id FROM reorgs');
+
+      return parseInt(result.rows[0].id);
+    } catch (error) {
+      logger.error('Failed to get last reorg id', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move the checkpoint forward inside a batch's DB transaction
+   * Never moves the watermark back; reorg rollbacks lower it themselves.
+   * The checkpoint was projected before the batch was saved: if a reorg newer
+   * than the one it was projected after rolled back below it, it is stale and
+   * the watermark is left alone. The row lock waits for a rollback still in
+   * progress (BlockStorage.rollbackBlocksFrom() locks the row too), so its
+   * reorg is seen here.
+   * @param {object} client - PoolClient from db.transaction()
+   * @param {object} checkpoint
+   * @param {number} checkpoint.watermark
+   * @param {number|null} checkpoint.headBlock
+   * @param {number} checkpoint.reorgId - Latest reorg known when it was projected
+   * @returns {Promise<boolean>} - false if the watermark was not advanced
+   */
+  async advanceIndexerState(client, { watermark, headBlock = null, reorgId = 0 }) {
+    await client.query('SELECT 1 FROM indexer_state WHERE id = 1 FOR UPDATE');
+
+    const result = await client.query(`
+      UPDATE indexer_state SET
+        watermark = GREATEST(watermark, $1),
+        head_block = GREATEST(head_block, $2),
+        last_synced_at = NOW(),
+        updated_at = NOW()
+      WHERE id = 1
+        AND NOT EXISTS (SELECT 1 FROM reorgs WHERE id > $3 AND common_ancestor < $1)
+    `, [watermark.toString(), headBlock !== null ? headBlock.toString() : null, reorgId.toString()]);
+
+    if (result.rowCount === 0) {
+      logger.debug('Sync checkpoint not advanced', { watermark, reorgId });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Convert an indexer_state row
+   * @param {object} row
+   * @returns {object}
+   */
+  transformIndexerState(row) {
+    return {
+      watermark: parseInt(row.watermark),
+      headBlock: row.head_block !== null ? parseInt(row.head_block) : null,
+      configFingerprint: row.config_fingerprint,
+      lastSyncedAt: row.last_synced_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Convert a sync_failed_batches row
+   * @param {object} row
+   * @returns {object}
+   */
+  transformFailedBatch(row) {
+    return {
+      fromBlock: parseInt(row.from_block),
+      toBlock: parseInt(row.to_block),
+      attempts: row.attempts,
+      lastError: row.last_error,
+      nextRetryAt: row.next_retry_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SyncStateStorage();
@@ -0,0 +1,300 @@
+const { ethers } = require('ethers');
+const rpcClient = require('./RpcClient');
+const tokenStorage = require('./TokenStorage');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+const TOKEN_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+];
+
+// ERC-165 interface ids
+const ERC165_INTERFACE_ID = '0x01ffc9a7';
+const INVALID_INTERFACE_ID = '0xffffffff';
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+// Column limits in the tokens table
+const MAX_NAME_LENGTH = 255;
+const MAX_SYMBOL_LENGTH = 50;
+
+/**
+ * TokenCataloger - Background worker that fills the tokens table
+ *
+ * Responsibilities:
+ * - Find tokens whose metadata has not been read yet
+ * - Read name(), symbol(), decimals(), totalSupply() via RpcClient
+ * - Classify tokens with ERC-165 supportsInterface (ERC-721 / ERC-1155)
+ * - Tolerate non-standard tokens (bytes32 names, reverting getters)
+ * - Retry tokens that fail with a growing delay, giving up after
+ *   TOKEN_CATALOGER_MAX_ATTEMPTS attempts (TokenStorage.recordCatalogFailure())
+ *
+ * Runs next to BlockFetcher and never blocks block indexing.
+ */
+class TokenCataloger {
+  constructor() {
+    this.isRunning = false;
+    this.iface = new ethers.Interface(TOKEN_ABI);
+  }
+
+  /**
+   * Start the cataloger loop
+   * Resolves when stop() is called.
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('TokenCataloger is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('Starting TokenCataloger', {
+      interval: `${config.cataloger.interval}ms`,
+      batchSize: config.cataloger.batchSize,
+    });
+
+    while (this.isRunning) {
+      try {
+        const cataloged = await this.catalogBatch();
+
+        // Nothing to do (or nothing succeeded) - wait before checking again
+        if (cataloged === 0) {
+          await this.sleep(config.cataloger.interval);
+        }
+      } catch (error) {
+        logger.error('Error in TokenCataloger', { error: error.message });
+        await this.sleep(config.cataloger.interval);
+      }
+    }
+  }
+
+  /**
+   * Stop the cataloger loop
+   */
+  stop() {
+    this.isRunning = false;
+    logger.info('TokenCataloger stopped');
+  }
+
+  /**
+   * Catalog one batch of uncataloged tokens
+   * @returns {Promise<number>} - Number of tokens cataloged
+   */
+  async catalogBatch() {
+    const tokens = await tokenStorage.getUncatalogedTokens(config.cataloger.batchSize);
+
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    let cataloged = 0;
+
+    for (const token of tokens) {
+      if (!this.isRunning) break;
+
+      try {
+        const metadata = await this.catalogToken(token.address, token.tokenType);
+        await tokenStorage.saveToken(metadata);
+        cataloged++;
+      } catch (error) {
+        await this.recordFailure(token, error);
+      }
+    }
+
+    logger.info('Token batch cataloged', {
+      found: tokens.length,
+      cataloged,
+    });
+
+    return cataloged;
+  }
+
+  /**
+   * Leave a token uncataloged and schedule its next attempt
+   * @param {object} token - Token from TokenStorage.getUncatalogedTokens()
+   * @param {Error} error - Why cataloging failed
+   */
+  async recordFailure(token, error) {
+    try {
+      const { attempts, nextAttemptAt } = await tokenStorage.recordCatalogFailure(token.address);
+
+      if (nextAttemptAt === null) {
+        logger.warn('Giving up on cataloging token', {
+          address: token.address,
+          attempts,
+          error: error.message,
+        });
+        return;
+      }
+
+      logger.warn('Failed to catalog token', {
+        address: token.address,
+        attempts,
+        nextAttemptAt,
+        error: error.message,
+      });
+    } catch (storageError) {
+      // Still due, so it is retried on the next pass
+      logger.warn('Failed to catalog token', {
+        address: token.address,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Read and classify metadata for a single token contract
+   * @param {string} address - Token contract address
+   * @param {string} observedType - Token type seen in token_transfers
+   * @returns {Promise<object>} - Token metadata for TokenStorage.saveToken()
+   */
+  async catalogToken(address, observedType) {
+    const [supports721, supports1155] = await this.detectNftInterfaces(address);
+
+    let tokenType = observedType;
+    if (supports1155) {
+      tokenType = 'ERC-1155';
+    } else if (supports721) {
+      tokenType = 'ERC-721';
+    }
+
+    const name = this.decodeString('name', await this.callSafe(address, 'name'), MAX_NAME_LENGTH);
+    const symbol = this.decodeString('symbol', await this.callSafe(address, 'symbol'), MAX_SYMBOL_LENGTH);
+    const totalSupply = this.decodeValue('totalSupply', await this.callSafe(address, 'totalSupply'));
+
+    // NFTs have no decimals
+    const decimals = tokenType === 'ERC-20'
+      ? this.decodeValue('decimals', await this.callSafe(address, 'decimals'))
+      : null;
+
+    return {
+      address,
+      tokenType,
+      name,
+      symbol,
+      decimals: decimals !== null ? Number(decimals) : null,
+      totalSupply,
+    };
+  }
+
+  /**
+   * Check ERC-721 and ERC-1155 support via ERC-165
+   * Contracts that don't implement ERC-165 correctly (including ones that
+   * answer true for everything) are treated as supporting neither.
+   * @param {string} address
+   * @returns {Promise<[boolean, boolean]>}
+   */
+  async detectNftInterfaces(address) {
+    const supportsErc165 = await this.supportsInterface(address, ERC165_INTERFACE_ID);
+    if (!supportsErc165) {
+      return [false, false];
+    }
+
+    const supportsInvalid = await this.supportsInterface(address, INVALID_INTERFACE_ID);
+    if (supportsInvalid) {
+      return [false, false];
+    }
+
+    return [
+      await this.supportsInterface(address, ERC721_INTERFACE_ID),
+      await this.supportsInterface(address, ERC1155_INTERFACE_ID),
+    ];
+  }
+
+  /**
+   * Call supportsInterface(bytes4) and decode the result
+   * @param {string} address
+   * @param {string} interfaceId
+   * @returns {Promise<boolean>}
+   */
+  async supportsInterface(address, interfaceId) {
+    const raw = await this.callSafe(address, 'supportsInterface', [interfaceId]);
+    return this.decodeValue('supportsInterface', raw) === true;
+  }
+
+  /**
+   * Call a token getter, returning null when it reverts or returns nothing
+   * Network errors are rethrown so the token is retried later.
+   * @param {string} address
+   * @param {string} method - Function name from TOKEN_ABI
+   * @param {Array} args
+   * @returns {Promise<string|null>} - Raw hex return data
+   */
+  async callSafe(address, method, args = []) {
+    try {
+      const raw = await rpcClient.call(address, this.iface.encodeFunctionData(method, args));
+      return raw && raw !== '0x' ? raw : null;
+    } catch (error) {
+      if (rpcClient.isCallException(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decode a single ABI value, returning null if it doesn't decode
+   * @param {string} method
+   * @param {string|null} raw
+   * @returns {any|null}
+   */
+  decodeValue(method, raw) {
+    if (raw === null) {
+      return null;
+    }
+
+    try {
+      return this.iface.decodeFunctionResult(method, raw)[0];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decode name()/symbol() results, supporting both string and bytes32 returns
+   * @param {string} method
+   * @param {string|null} raw
+   * @param {number} maxLength - Column length limit
+   * @returns {string|null}
+   */
+  decodeString(method, raw, maxLength) {
+    if (raw === null) {
+      return null;
+    }
+
+    let value = this.decodeValue(method, raw);
+
+    // Non-standard tokens (e.g. MKR) return bytes32 instead of string
+    if (value === null && ethers.dataLength(raw) === 32) {
+      const bytes = ethers.getBytes(raw);
+      const end = bytes.indexOf(0);
+      value = ethers.toUtf8String(
+        end === -1 ? bytes : bytes.slice(0, end),
+        ethers.Utf8ErrorFuncs.replace
+      );
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    // PostgreSQL text cannot hold NUL characters
+    const cleaned = value.replace(/\u0000/g, '').trim();
+    return cleaned.length > 0 ? cleaned.slice(0, maxLength) : null;
+  }
+
+  /**
+   * Utility: Sleep for specified milliseconds
+   * @param {number} ms
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenCataloger();
@@ -0,0 +1,152 @@
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+/**
+ * TokenStorage - Handles token catalog persistence in PostgreSQL
+ *
+ * Responsibilities:
+ * - Find tokens not cataloged yet (BlockStorage creates their rows with the
+ *   first transfer, see BlockStorage.applyTokenTransfers())
+ * - Schedule retries of tokens that failed, giving up after
+ *   TOKEN_CATALOGER_MAX_ATTEMPTS attempts
+ * - Save token metadata (name, symbol, decimals, total supply, type)
+ * - Ensure the referenced addresses row exists before writing a token
+ */
+class TokenStorage {
+  /**
+   * Get token contracts that are not cataloged yet and due for an attempt
+   * Longest waiting first, so tokens that keep failing (and are pushed back)
+   * never hold up the ones behind them.
+   * @param {number} limit - Max number of tokens to return
+   * @returns {Promise<Array<{address: string, tokenType: string, attempts: number}>>}
+   */
+  async getUncatalogedTokens(limit) {
+    try {
+      const result = await db.query(`
+        SELECT contract_address, token_type, catalog_attempts
+        FROM tokens
+        WHERE NOT is_cataloged AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+      `, [limit]);
+
+      return result.rows.map(row => ({
+        address: '0x' + row.contract_address.toString('hex'),
+        tokenType: row.token_type,
+        attempts: row.catalog_attempts,
+      }));
+    } catch (error) {
+      logger.error('Failed to get uncataloged tokens', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt to catalog a token
+   * The next attempt is delayed by TOKEN_CATALOGER_RETRY_DELAY, doubling per
+   * attempt up to TOKEN_CATALOGER_RETRY_MAX_DELAY; after
+   * TOKEN_CATALOGER_MAX_ATTEMPTS attempts the token is no longer scheduled.
+   * @param {string} address - Contract address
+   * @returns {Promise<{attempts: number, nextAttemptAt: Date|null}>}
+   */
+  async recordCatalogFailure(address) {
+    const { maxAttempts, retryDelay, retryMaxDelay } = config.cataloger;
+
+    try {
+      const result = await db.query(`
+        UPDATE tokens SET
+          catalog_attempts = catalog_attempts + 1,
+          next_attempt_at = CASE
+            WHEN catalog_attempts + 1 >= $2 THEN NULL
+            ELSE NOW() + LEAST($3::bigint * POWER(2, catalog_attempts), $4::bigint) * INTERVAL '1 millisecond'
+          END,
+          updated_at = NOW()
+        WHERE contract_address = $1
+        RETURNING catalog_attempts, next_attempt_at
+      `, [Buffer.from(address.slice(2), 'hex'), maxAttempts, retryDelay, retryMaxDelay]);
+
+      const row = result.rows[0];
+      return {
+        attempts: row ? row.catalog_attempts : 0,
+        nextAttemptAt: row ? row.next_attempt_at : null,
+      };
+    } catch (error) {
+      logger.error('Failed to record catalog failure', {
+        address,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save token metadata and mark it as cataloged
+   * @param {object} token
+   * @param {string} token.address - Contract address
+   * @param {string} token.tokenType - ERC-20, ERC-721 or ERC-1155
+   * @param {string|null} token.name
+   * @param {string|null} token.symbol
+   * @param {number|null} token.decimals
+   * @param {bigint|null} token.totalSupply
+   * @returns {Promise<void>}
+   */
+  async saveToken(token) {
+    const address = Buffer.from(token.address.slice(2), 'hex');
+
+    try {
+      await db.transaction(async (client) => {
+        // tokens.contract_address references addresses(address)
+        await client.query(`
+          INSERT INTO addresses (address, is_contract)
+          VALUES ($1, TRUE)
+          ON CONFLICT (address) DO UPDATE
+            SET is_contract = TRUE, updated_at = NOW()
+        `, [address]);
+
+        await client.query(`
+          INSERT INTO tokens (
+            contract_address, token_type, name, symbol, decimals, total_supply,
+            is_cataloged, cataloged_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, TRUE, NOW())
+          ON CONFLICT (contract_address) DO UPDATE SET
+            token_type = EXCLUDED.token_type,
+            name = EXCLUDED.name,
+            symbol = EXCLUDED.symbol,
+            decimals = EXCLUDED.decimals,
+            total_supply = EXCLUDED.total_supply,
+            is_cataloged = TRUE,
+            cataloged_at = NOW(),
+            updated_at = NOW()
+        `, [
+          address,
+          token.tokenType,
+          token.name,
+          token.symbol,
+          token.decimals,
+          token.totalSupply !== null && token.totalSupply !== undefined
+            ? token.totalSupply.toString()
+            : null,
+        ]);
+      });
+
+      logger.debug('Token saved', {
+        address: token.address,
+        tokenType: token.tokenType,
+        symbol: token.symbol,
+      });
+    } catch (error) {
+      logger.error('Failed to save token', {
+        address: token.address,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenStorage();
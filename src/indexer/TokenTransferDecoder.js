@@ -0,0 +1,191 @@
+const { ethers } = require('ethers');
+const logger = require('../../lib/logger');
+
+// Event signatures (topic0)
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = ethers.id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = ethers.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+/**
+ * TokenTransferDecoder - Decodes token transfer events from receipt logs
+ *
+ * Responsibilities:
+ * - Recognize ERC-20/ERC-721 Transfer events (told apart by indexed topic count)
+ * - Recognize ERC-1155 TransferSingle and TransferBatch events
+ * - Produce token transfer records ready for BlockStorage
+ *
+ * Logs that match a signature but don't have the expected shape are skipped,
+ * since any contract can emit an event with the same topic0.
+ */
+class TokenTransferDecoder {
+  constructor() {
+    this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  }
+
+  /**
+   * Decode all token transfers from a list of logs
+   * @param {Array<object>} logs - Logs from TransactionReceipts
+   * @returns {Array<object>} - Token transfer records
+   */
+  decodeLogs(logs) {
+    const transfers = [];
+
+    for (const log of logs) {
+      transfers.push(...this.decodeLog(log));
+    }
+
+    logger.debug('Token transfers decoded', {
+      logs: logs.length,
+      transfers: transfers.length,
+    });
+
+    return transfers;
+  }
+
+  /**
+   * Decode a single log into zero or more token transfers
+   * @param {object} log - Log from a TransactionReceipt
+   * @returns {Array<object>} - Token transfer records (TransferBatch yields one per id)
+   */
+  decodeLog(log) {
+    const topics = log.topics || [];
+    if (topics.length === 0 || log.removed) {
+      return [];
+    }
+
+    try {
+      switch (topics[0].toLowerCase()) {
+        case TRANSFER_TOPIC:
+          return this.decodeTransfer(log);
+        case TRANSFER_SINGLE_TOPIC:
+          return this.decodeTransferSingle(log);
+        case TRANSFER_BATCH_TOPIC:
+          return this.decodeTransferBatch(log);
+        default:
+          return [];
+      }
+    } catch (error) {
+      logger.debug('Skipping undecodable token transfer log', {
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        address: log.address,
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Transfer(address indexed from, address indexed to, uint256 value|tokenId)
+   * ERC-20 indexes 2 params (value in data), ERC-721 indexes all 3.
+   */
+  decodeTransfer(log) {
+    const { topics } = log;
+
+    if (topics.length === 3) {
+      const [value] = this.abiCoder.decode(['uint256'], log.data);
+      return [this.buildTransfer(log, {
+        from: this.topicToAddress(topics[1]),
+        to: this.topicToAddress(topics[2]),
+        value,
+        tokenId: null,
+        tokenType: 'ERC-20',
+      })];
+    }
+
+    if (topics.length === 4) {
+      return [this.buildTransfer(log, {
+        from: this.topicToAddress(topics[1]),
+        to: this.topicToAddress(topics[2]),
+        value: 1n,
+        tokenId: BigInt(topics[3]),
+        tokenType: 'ERC-721',
+      })];
+    }
+
+    return [];
+  }
+
+  /**
+   * TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)
+   */
+  decodeTransferSingle(log) {
+    const { topics } = log;
+    if (topics.length !== 4) {
+      return [];
+    }
+
+    const [id, value] = this.abiCoder.decode(['uint256', 'uint256'], log.data);
+
+    return [this.buildTransfer(log, {
+      from: this.topicToAddress(topics[2]),
+      to: this.topicToAddress(topics[3]),
+      value,
+      tokenId: id,
+      tokenType: 'ERC-1155',
+    })];
+  }
+
+  /**
+   * TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)
+   */
+  decodeTransferBatch(log) {
+    const { topics } = log;
+    if (topics.length !== 4) {
+      return [];
+    }
+
+    const [ids, values] = this.abiCoder.decode(['uint256[]', 'uint256[]'], log.data);
+    if (ids.length !== values.length) {
+      return [];
+    }
+
+    const from = this.topicToAddress(topics[2]);
+    const to = this.topicToAddress(topics[3]);
+
+    return ids.map((id, batchIndex) => this.buildTransfer(log, {
+      from,
+      to,
+      value: values[batchIndex],
+      tokenId: id,
+      tokenType: 'ERC-1155',
+      batchIndex,
+    }));
+  }
+
+  /**
+   * Build a token transfer record from a log and decoded fields
+   * @param {object} log
+   * @param {object} fields
+   * @returns {object}
+   */
+  buildTransfer(log, { from, to, value, tokenId, tokenType, batchIndex = 0 }) {
+    return {
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      batchIndex,
+      tokenAddress: log.address.toLowerCase(),
+      from,
+      to,
+      value,
+      tokenId,
+      tokenType,
+    };
+  }
+
+  /**
+   * Extract an address from a 32-byte indexed topic
+   * @param {string} topic
+   * @returns {string} - Lowercase 0x-prefixed address
+   */
+  topicToAddress(topic) {
+    return ethers.dataSlice(topic, 12).toLowerCase();
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenTransferDecoder();
+module.exports.TRANSFER_TOPIC = TRANSFER_TOPIC;
+module.exports.TRANSFER_SINGLE_TOPIC = TRANSFER_SINGLE_TOPIC;
+module.exports.TRANSFER_BATCH_TOPIC = TRANSFER_BATCH_TOPIC;
@@ -6,12 +6,17 @@
  * This script:
  * - Initializes the BlockFetcher
  * - Starts the indexing process
+ * - Runs the TokenCataloger in the background
+ * - Serves the WebSocket feed of newly indexed data
  * - Handles graceful shutdown
  * - Monitors indexing progress
  */
 
 require('dotenv').config()
 const blockFetcher = require('./BlockFetcher');
+const tokenCataloger = require('./TokenCataloger');
+const feedServer = require('./FeedServer');
+const rpcClient = require('./RpcClient');
 const db = require('../../lib/db');
 const logger = require('../../lib/logger');
 const config = require('../../lib/config');
@@ -49,15 +54,32 @@ async function main() {
     logger.info('Initial indexing state:', {
       chainHeight: initialStats.chainHeight,
       indexed: initialStats.indexed,
+      indexedUpTo: initialStats.indexedUpTo,
       behind: initialStats.behind,
       progress: initialStats.progress,
+      failedBatches: initialStats.failedBatches,
+      missingBlocks: initialStats.missingBlocks,
     });
 
+    // Start WebSocket feed before indexing so no committed batch is missed
+    if (config.feed.enabled) {
+      await feedServer.start();
+      feedServer.attach(blockFetcher);
+      logger.info('✓ FeedServer started');
+    }
+
     logger.info('='.repeat(60));
     logger.info('Starting indexer...');
     logger.info('Press Ctrl+C to stop gracefully');
     logger.info('='.repeat(60));
 
+    // Start token cataloger in the background (it shares the RPC connection)
+    if (config.cataloger.enabled) {
+      tokenCataloger.start().catch((error) => {
+        logger.error('TokenCataloger crashed', { error: error.message });
+      });
+    }
+
     // Start indexing
     await blockFetcher.start();
 
@@ -86,18 +108,32 @@ async function shutdown(signal) {
   logger.info('='.repeat(60));
 
   try {
+    // Stop TokenCataloger before the RPC connection goes away
+    tokenCataloger.stop();
+
     // Stop BlockFetcher
     logger.info('Stopping BlockFetcher...');
     await blockFetcher.stop();
     logger.info('✓ BlockFetcher stopped');
 
+    // Disconnect feed clients
+    await feedServer.stop();
+
     // Display final stats
     const finalStats = await blockFetcher.getStats();
     logger.info('Final indexing state:', {
       chainHeight: finalStats.chainHeight,
       indexed: finalStats.indexed,
+      indexedUpTo: finalStats.indexedUpTo,
       totalTransactions: finalStats.totalTransactions,
       progress: finalStats.progress,
+      caughtUp: finalStats.caughtUp,
+      failedBatches: finalStats.failedBatches,
+      missingBlocks: finalStats.missingBlocks,
+    });
+    logger.info('RPC endpoints:', {
+      endpoints: rpcClient.getEndpointStats(),
+      throttle: rpcClient.getThrottleStats(),
     });
 
     // Close database connection
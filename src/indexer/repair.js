@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Gap repair for the PulseChain blockchain indexer
+ *
+ * This script:
+ * - Finds block numbers missing from the database
+ *   (INDEXER_START_BLOCK .. last indexed block by default)
+ * - Re-fetches exactly those ranges through BlockFetcher, with the
+ *   current safe/finalized heights so blocks get their finality status
+ * - Prints a summary of what was repaired
+ *
+ * Usage: npm run indexer:repair -- [--from <block>] [--to <block>]
+ */
+
+require('dotenv').config()
+const { parseArgs } = require('util');
+const blockFetcher = require('./BlockFetcher');
+const blockStorage = require('./BlockStorage');
+const rpcClient = require('./RpcClient');
+const db = require('../../lib/db');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+
+/**
+ * Parse --from / --to
+ * @returns {{from: number|null, to: number|null}}
+ */
+function parseRange() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+    },
+  });
+
+  const parse = (name) => {
+    if (values[name] === undefined) {
+      return null;
+    }
+    if (!/^\d+$/.test(values[name])) {
+      throw new Error(`--${name} must be a block number`);
+    }
+    return parseInt(values[name]);
+  };
+
+  return { from: parse('from'), to: parse('to') };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let exitCode = 0;
+
+  try {
+    logger.info('='.repeat(60));
+    logger.info('PulseChain Explorer - Gap Repair');
+    logger.info('='.repeat(60));
+
+    const range = parseRange();
+
+    // Check database connection
+    const dbHealthy = await db.healthCheck();
+    if (!dbHealthy) {
+      throw new Error('Database connection failed');
+    }
+    logger.info('✓ Database connected');
+
+    const from = range.from !== null ? range.from : config.indexer.startBlock;
+    const to = range.to !== null ? range.to : await blockStorage.getLastBlockNumber();
+
+    if (to === null || to < from) {
+      logger.info('Nothing to repair', { from, to });
+      return;
+    }
+
+    await rpcClient.connect();
+    logger.info('✓ RPC connected');
+
+    // Without it every repaired block would be stored as 'latest'
+    await blockFetcher.refreshFinality(await rpcClient.getBlockNumber());
+
+    const summary = await blockFetcher.repairGaps(from, to);
+
+    logger.info('='.repeat(60));
+    logger.info('Repair summary:', {
+      range: `${summary.from}-${summary.to}`,
+      gaps: summary.gaps,
+      missingBlocks: summary.missingBlocks,
+      repairedBlocks: summary.repairedBlocks,
+      failedRanges: summary.failedRanges,
+    });
+    logger.info('='.repeat(60));
+
+    if (summary.failedRanges.length > 0) {
+      logger.warn('Some ranges could not be repaired; the indexer will retry them');
+      exitCode = 1;
+    }
+  } catch (error) {
+    logger.error('Fatal error in gap repair', {
+      error: error.message,
+      stack: error.stack,
+    });
+    exitCode = 1;
+  } finally {
+    await rpcClient.close();
+    await db.close();
+    process.exit(exitCode);
+  }
+}
+
+// Start the repair
+main();
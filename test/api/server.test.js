@@ -0,0 +1,381 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock ExplorerQueries
+const mockQueries = {
+  getBlock: jest.fn(),
+  getBlocks: jest.fn(),
+  getTransaction: jest.fn(),
+  getAddress: jest.fn(),
+  getAddressTransactions: jest.fn(),
+  getToken: jest.fn(),
+  getTokenHolders: jest.fn(),
+  getReorgs: jest.fn(),
+  getFailedBatches: jest.fn(),
+  getIndexerState: jest.fn(),
+};
+
+jest.mock('../../src/api/ExplorerQueries', () => mockQueries);
+
+const logger = require('../../lib/logger');
+const { createServer, serialize } = require('../../src/api/server');
+
+const HASH = '0x' + 'ab'.repeat(32);
+const ADDRESS = '0x' + 'cd'.repeat(20);
+
+describe('API Server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  async function get(path) {
+    const res = await fetch(baseUrl + path);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  describe('serialize()', () => {
+    it('should convert BYTEA buffers to 0x-hex and keep numeric strings', () => {
+      const row = {
+        hash: Buffer.from('abcd', 'hex'),
+        gas_used: '21000',
+        value: '1000000000000000000000',
+        timestamp: new Date('2025-01-01T00:00:00Z'),
+        to_address: null,
+        nested: [{ address: Buffer.from('01', 'hex') }],
+      };
+
+      expect(serialize(row)).toEqual({
+        hash: '0xabcd',
+        gas_used: '21000',
+        value: '1000000000000000000000',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        to_address: null,
+        nested: [{ address: '0x01' }],
+      });
+    });
+  });
+
+  describe('GET /blocks/:numberOrHash', () => {
+    it('should return a block by number', async () => {
+      mockQueries.getBlock.mockResolvedValue({
+        number: '100',
+        hash: Buffer.from('ab'.repeat(32), 'hex'),
+        transactions: [],
+      });
+
+      const res = await get('/blocks/100');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ number: '100', hash: HASH, transactions: [] });
+      expect(mockQueries.getBlock).toHaveBeenCalledWith('100');
+      expect(res.headers.get('access-control-allow-origin')).toBe('*');
+    });
+
+    it('should return a block by hash', async () => {
+      mockQueries.getBlock.mockResolvedValue({ number: '100' });
+
+      await get(`/blocks/${HASH.toUpperCase().replace('0X', '0x')}`);
+
+      expect(mockQueries.getBlock).toHaveBeenCalledWith(HASH);
+    });
+
+    it('should return 404 for unknown blocks', async () => {
+      mockQueries.getBlock.mockResolvedValue(null);
+
+      const res = await get('/blocks/999');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Block not found' });
+      expect(res.headers.get('cache-control')).toBeNull();
+    });
+
+    it('should return 400 for invalid identifiers', async () => {
+      const res = await get('/blocks/latest');
+
+      expect(res.status).toBe(400);
+      expect(mockQueries.getBlock).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for block numbers out of range', async () => {
+      const res = await get('/blocks/99999999999999999999');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid block number: 99999999999999999999' });
+      expect(mockQueries.getBlock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /blocks', () => {
+    it('should paginate with before and limit', async () => {
+      mockQueries.getBlocks.mockResolvedValue([{ number: '99' }]);
+
+      const res = await get('/blocks?before=100&limit=10');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([{ number: '99' }]);
+      expect(mockQueries.getBlocks).toHaveBeenCalledWith({ before: '100', limit: 10 });
+    });
+
+    it('should default and cap the limit', async () => {
+      mockQueries.getBlocks.mockResolvedValue([]);
+
+      await get('/blocks');
+      await get('/blocks?limit=5000');
+
+      expect(mockQueries.getBlocks).toHaveBeenNthCalledWith(1, { before: null, limit: 25 });
+      expect(mockQueries.getBlocks).toHaveBeenNthCalledWith(2, { before: null, limit: 100 });
+    });
+
+    it('should reject non-numeric before', async () => {
+      const res = await get('/blocks?before=abc');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject numbers above the largest safe integer', async () => {
+      const tooLarge = (BigInt(Number.MAX_SAFE_INTEGER) + 1n).toString();
+
+      for (const query of [`before=${tooLarge}`, `limit=${tooLarge}`]) {
+        const res = await get(`/blocks?${query}`);
+
+        expect(res.status).toBe(400);
+      }
+      expect(mockQueries.getBlocks).not.toHaveBeenCalled();
+
+      mockQueries.getBlocks.mockResolvedValue([]);
+      const res = await get(`/blocks?before=${Number.MAX_SAFE_INTEGER}`);
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('GET /tx/:hash', () => {
+    it('should return a transaction', async () => {
+      mockQueries.getTransaction.mockResolvedValue({
+        hash: Buffer.from('ab'.repeat(32), 'hex'),
+        value: '5',
+        logs: [],
+      });
+
+      const res = await get(`/tx/${HASH}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ hash: HASH, value: '5', logs: [] });
+    });
+
+    it('should cache finalized transactions longer than recent ones', async () => {
+      mockQueries.getTransaction.mockResolvedValueOnce({ hash: HASH, finality: 'finalized' });
+      mockQueries.getTransaction.mockResolvedValueOnce({ hash: HASH, finality: 'latest' });
+
+      const finalized = await get(`/tx/${HASH}`);
+      const latest = await get(`/tx/${HASH}`);
+
+      expect(finalized.body.finality).toBe('finalized');
+      expect(finalized.headers.get('cache-control')).toBe('public, max-age=3600');
+      expect(latest.headers.get('cache-control')).toBe('public, max-age=12');
+    });
+
+    it('should return 404 for unknown transactions', async () => {
+      mockQueries.getTransaction.mockResolvedValue(null);
+
+      const res = await get(`/tx/${HASH}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /address/:addr/transactions', () => {
+    it('should list address transactions with the next cursor', async () => {
+      mockQueries.getAddressTransactions.mockResolvedValue({
+        transactions: [{ block_number: '499', transaction_index: 7 }],
+        next_before: '499:7',
+      });
+
+      const res = await get(`/address/${ADDRESS}/transactions?before=500:3`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        transactions: [{ block_number: '499', transaction_index: 7 }],
+        next_before: '499:7',
+      });
+      expect(mockQueries.getAddressTransactions).toHaveBeenCalledWith(ADDRESS, {
+        before: { blockNumber: '500', transactionIndex: '3' },
+        limit: 25,
+      });
+    });
+
+    it('should start before the first transaction of a bare block number', async () => {
+      mockQueries.getAddressTransactions.mockResolvedValue({ transactions: [], next_before: null });
+
+      await get(`/address/${ADDRESS}/transactions?before=500`);
+
+      expect(mockQueries.getAddressTransactions).toHaveBeenCalledWith(ADDRESS, {
+        before: { blockNumber: '500', transactionIndex: '0' },
+        limit: 25,
+      });
+    });
+
+    it('should reject invalid cursors', async () => {
+      const res = await get(`/address/${ADDRESS}/transactions?before=500:x`);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid before: 500:x' });
+    });
+
+    it('should reject cursors out of range', async () => {
+      const blockOutOfRange = await get(`/address/${ADDRESS}/transactions?before=99999999999999999999:0`);
+      const indexOutOfRange = await get(`/address/${ADDRESS}/transactions?before=500:2147483648`);
+
+      expect(blockOutOfRange.status).toBe(400);
+      expect(indexOutOfRange.status).toBe(400);
+      expect(mockQueries.getAddressTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid addresses', async () => {
+      const res = await get('/address/0x1234/transactions');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /tokens/:addr and /tokens/:addr/holders', () => {
+    it('should return token metadata', async () => {
+      mockQueries.getToken.mockResolvedValue({ symbol: 'WPLS', total_supply: '1000' });
+
+      const res = await get(`/tokens/${ADDRESS}`);
+
+      expect(res.body).toEqual({ symbol: 'WPLS', total_supply: '1000' });
+    });
+
+    it('should return token holders', async () => {
+      mockQueries.getTokenHolders.mockResolvedValue([
+        { address: Buffer.from('01'.repeat(20), 'hex'), balance: '10' },
+      ]);
+
+      const res = await get(`/tokens/${ADDRESS}/holders?limit=1&offset=2`);
+
+      expect(res.body).toEqual([{ address: '0x' + '01'.repeat(20), balance: '10' }]);
+      expect(mockQueries.getTokenHolders).toHaveBeenCalledWith(ADDRESS, { limit: 1, offset: 2 });
+    });
+  });
+
+  describe('GET /reorgs', () => {
+    it('should list recorded reorgs with hashes as hex', async () => {
+      mockQueries.getReorgs.mockResolvedValue([
+        { id: '7', block_number: '100', depth: 2, old_hash: Buffer.from('ab'.repeat(32), 'hex') },
+      ]);
+
+      const res = await get('/reorgs?before=8&limit=5');
+
+      expect(res.body).toEqual([
+        { id: '7', block_number: '100', depth: 2, old_hash: HASH },
+      ]);
+      expect(mockQueries.getReorgs).toHaveBeenCalledWith({ before: '8', limit: 5 });
+    });
+  });
+
+  describe('GET /sync/failed-batches', () => {
+    it('should list block ranges waiting for a retry', async () => {
+      mockQueries.getFailedBatches.mockResolvedValue([
+        { from_block: '100', to_block: '149', attempts: 2, last_error: 'timeout' },
+      ]);
+
+      const res = await get('/sync/failed-batches');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([
+        { from_block: '100', to_block: '149', attempts: 2, last_error: 'timeout' },
+      ]);
+    });
+  });
+
+  describe('GET /sync/state', () => {
+    it('should return the sync checkpoint', async () => {
+      mockQueries.getIndexerState.mockResolvedValue({
+        watermark: '5000',
+        head_block: '5100',
+        last_synced_at: new Date('2025-01-01T00:00:00Z'),
+      });
+
+      const res = await get('/sync/state');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        watermark: '5000',
+        head_block: '5100',
+        last_synced_at: '2025-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('should return 404 before the indexer has run', async () => {
+      mockQueries.getIndexerState.mockResolvedValue(null);
+
+      const res = await get('/sync/state');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Indexer state not found' });
+    });
+  });
+
+  describe('errors', () => {
+    it('should return 404 for unknown routes', async () => {
+      const res = await get('/nope');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should hide internal errors from clients', async () => {
+      mockQueries.getBlocks.mockRejectedValue(new Error('connection refused'));
+
+      const res = await get('/blocks');
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: 'Internal server error' });
+      expect(logger.error).toHaveBeenCalledWith('API request failed', expect.any(Object));
+    });
+
+    it('should return 400 for URLs that cannot be parsed', async () => {
+      const res = await get('//');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid URL' });
+    });
+
+    it('should close the connection when the response cannot be written', async () => {
+      const res = {
+        writeHead: jest.fn(() => {
+          throw new Error('socket closed');
+        }),
+        end: jest.fn(),
+        destroy: jest.fn(),
+      };
+
+      server.emit('request', { method: 'GET', url: '/nope' }, res);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(res.destroy).toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith('API response failed', {
+        method: 'GET',
+        path: '/nope',
+        error: 'socket closed',
+      });
+    });
+  });
+});
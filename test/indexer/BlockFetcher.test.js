@@ -10,7 +10,13 @@ jest.mock('../../lib/logger', () => ({
 const mockRpcClient = {
   connect: jest.fn(),
   getBlockNumber: jest.fn(),
+  getFinalityHeads: jest.fn(),
+  getBlock: jest.fn(),
   getBlockRange: jest.fn(),
+  getReceiptsForBlocks: jest.fn(),
+  getContractCodes: jest.fn(),
+  getTracesForBlocks: jest.fn(),
+  subscribeNewHeads: jest.fn(),
   close: jest.fn(),
   healthCheck: jest.fn(),
 };
@@ -22,13 +28,39 @@ const mockBlockStorage = {
   getLastBlockNumber: jest.fn(),
   saveBlocks: jest.fn(),
   getBlock: jest.fn(),
-  deleteBlocksFrom: jest.fn(),
+  rollbackBlocksFrom: jest.fn(),
+  updateFinality: jest.fn(),
+  findGaps: jest.fn(),
   getStats: jest.fn(),
 };
 
 jest.mock('../../src/indexer/BlockStorage', () => mockBlockStorage);
 
+// Mock SyncStateStorage
+const mockSyncStateStorage = {
+  recordFailedBatch: jest.fn(),
+  getDueFailedBatches: jest.fn(),
+  resolveFailedBatches: jest.fn(),
+  getFailedBatchStats: jest.fn(),
+  getIndexerState: jest.fn(),
+  saveIndexerState: jest.fn(),
+  getLastReorgId: jest.fn(),
+};
+
+jest.mock('../../src/indexer/SyncStateStorage', () => mockSyncStateStorage);
+
+// Mock IndexManager
+const mockIndexManager = {
+  deferIndexes: jest.fn(),
+  getDeferred: jest.fn(),
+  rebuildIndexes: jest.fn(),
+  getProgress: jest.fn(),
+};
+
+jest.mock('../../src/indexer/IndexManager', () => mockIndexManager);
+
 const logger = require('../../lib/logger');
+const config = require('../../lib/config');
 
 // Require BlockFetcher after mocks are set up
 const blockFetcher = require('../../src/indexer/BlockFetcher');
@@ -42,6 +74,40 @@ describe('BlockFetcher Unit Tests', () => {
     blockFetcher.isRunning = false;
     blockFetcher.currentBlock = null;
     blockFetcher.retryCount = 0;
+    blockFetcher.unsubscribeHeads = null;
+    blockFetcher.pendingHead = false;
+    blockFetcher.wakeUp = null;
+    blockFetcher.resubscribeDelay = 0;
+    blockFetcher.nextSubscribeAt = 0;
+    blockFetcher.finality = null;
+    blockFetcher.headBlock = null;
+    blockFetcher.syncQueue = null;
+    blockFetcher.parentChecks.clear();
+    blockFetcher.lastReorgId = 0;
+    blockFetcher.chainId = 369;
+
+    mockRpcClient.getFinalityHeads.mockResolvedValue(null);
+    mockBlockStorage.updateFinality.mockResolvedValue({ safe: 0, finalized: 0 });
+    mockSyncStateStorage.recordFailedBatch.mockImplementation(async (fromBlock, toBlock) => ({
+      fromBlock,
+      toBlock,
+      attempts: 1,
+      nextRetryAt: new Date(),
+    }));
+    mockSyncStateStorage.getDueFailedBatches.mockResolvedValue([]);
+    mockSyncStateStorage.resolveFailedBatches.mockResolvedValue(1);
+    mockSyncStateStorage.getFailedBatchStats.mockResolvedValue({
+      failedBatches: 0,
+      missingBlocks: 0,
+      lowestMissingBlock: null,
+    });
+    mockSyncStateStorage.getIndexerState.mockResolvedValue(null);
+    mockSyncStateStorage.saveIndexerState.mockResolvedValue();
+    mockSyncStateStorage.getLastReorgId.mockResolvedValue(0);
+    mockIndexManager.deferIndexes.mockResolvedValue({ indexes: 0, constraints: 0 });
+    mockIndexManager.getDeferred.mockResolvedValue([]);
+    mockIndexManager.rebuildIndexes.mockResolvedValue({ rebuilt: 0, remaining: 0 });
+    mockIndexManager.getProgress.mockReturnValue(null);
   });
 
   afterEach(() => {
@@ -50,7 +116,7 @@ describe('BlockFetcher Unit Tests', () => {
 
   describe('initialize()', () => {
     it('should initialize successfully with existing indexed blocks', async () => {
-      mockRpcClient.connect.mockResolvedValue(true);
+      mockRpcClient.connect.mockResolvedValue({ chainId: 369n });
       mockRpcClient.getBlockNumber.mockResolvedValue(10000);
       mockBlockStorage.getLastBlockNumber.mockResolvedValue(5000);
 
@@ -71,8 +137,71 @@ describe('BlockFetcher Unit Tests', () => {
       );
     });
 
+    it('should resume from the indexer_state checkpoint', async () => {
+      mockRpcClient.connect.mockResolvedValue({ chainId: 369n });
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockSyncStateStorage.getIndexerState.mockResolvedValue({
+        watermark: 4000,
+        headBlock: 9000,
+        configFingerprint: blockFetcher.getConfigFingerprint(),
+      });
+      mockSyncStateStorage.getLastReorgId.mockResolvedValue(12);
+
+      await blockFetcher.initialize();
+
+      expect(blockFetcher.currentBlock).toBe(4000);
+      expect(blockFetcher.lastReorgId).toBe(12);
+      expect(mockBlockStorage.getLastBlockNumber).not.toHaveBeenCalled();
+      expect(mockSyncStateStorage.saveIndexerState).toHaveBeenCalledWith({
+        watermark: 4000,
+        headBlock: 10000,
+        configFingerprint: blockFetcher.getConfigFingerprint(),
+      });
+      expect(logger.warn).not.toHaveBeenCalledWith(
+        'Indexer configuration changed since the last run',
+        expect.anything()
+      );
+    });
+
+    it('should warn when the configuration changed since the last run', async () => {
+      mockRpcClient.connect.mockResolvedValue({ chainId: 369n });
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockSyncStateStorage.getIndexerState.mockResolvedValue({
+        watermark: 4000,
+        headBlock: 9000,
+        configFingerprint: 'f'.repeat(64),
+      });
+
+      await blockFetcher.initialize();
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Indexer configuration changed since the last run',
+        { previous: 'f'.repeat(64), current: blockFetcher.getConfigFingerprint() }
+      );
+    });
+
+    it('should fingerprint the chain served by the RPC endpoints', async () => {
+      const pulsechain = blockFetcher.getConfigFingerprint();
+      mockRpcClient.connect.mockResolvedValue({ chainId: 943n });
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockSyncStateStorage.getIndexerState.mockResolvedValue({
+        watermark: 4000,
+        headBlock: 9000,
+        configFingerprint: pulsechain,
+      });
+
+      await blockFetcher.initialize();
+
+      expect(blockFetcher.chainId).toBe(943);
+      expect(blockFetcher.getConfigFingerprint()).not.toBe(pulsechain);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Indexer configuration changed since the last run',
+        { previous: pulsechain, current: blockFetcher.getConfigFingerprint() }
+      );
+    });
+
     it('should initialize from START_BLOCK if no blocks indexed', async () => {
-      mockRpcClient.connect.mockResolvedValue(true);
+      mockRpcClient.connect.mockResolvedValue({ chainId: 369n });
       mockRpcClient.getBlockNumber.mockResolvedValue(10000);
       mockBlockStorage.getLastBlockNumber.mockResolvedValue(null);
 
@@ -93,10 +222,15 @@ describe('BlockFetcher Unit Tests', () => {
   });
 
   describe('fetchAndSaveBatch()', () => {
+    beforeEach(() => {
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue([]);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+    });
+
     it('should fetch and save blocks successfully', async () => {
       const mockBlocks = [
         { number: 100, hash: '0xaaa', transactions: [] },
-        { number: 101, hash: '0xbbb', transactions: [] },
+        { number: 101, hash: '0xbbb', parentHash: '0xaaa', transactions: [] },
       ];
 
       mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
@@ -105,7 +239,15 @@ describe('BlockFetcher Unit Tests', () => {
       await blockFetcher.fetchAndSaveBatch(100, 101);
 
       expect(mockRpcClient.getBlockRange).toHaveBeenCalledWith(100, 101);
-      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(mockBlocks);
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(mockBlocks, {
+        receipts: [],
+        tokenTransfers: [],
+        contractCodes: new Map(),
+        traces: [],
+        finality: null,
+        checkpoint: null,
+      });
+      expect(mockRpcClient.getTracesForBlocks).not.toHaveBeenCalled(); // tracing off by default
       expect(logger.info).toHaveBeenCalledWith(
         'Batch saved',
         expect.objectContaining({
@@ -117,13 +259,133 @@ describe('BlockFetcher Unit Tests', () => {
       );
     });
 
-    it('should handle empty block array', async () => {
+    it('should fetch receipts and pass them to storage', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: ['0xtx1'] },
+      ];
+      const mockReceipts = [
+        { hash: '0xtx1', status: 1, gasUsed: 21000n },
+      ];
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue(mockReceipts);
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+
+      expect(mockRpcClient.getReceiptsForBlocks).toHaveBeenCalledWith(mockBlocks);
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(
+        mockBlocks,
+        expect.objectContaining({ receipts: mockReceipts })
+      );
+    });
+
+    it('should fetch bytecode of contracts created in the batch', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: ['0xtx1'] },
+      ];
+      const mockReceipts = [
+        { hash: '0xtx1', status: 1, contractAddress: '0xnew', logs: [] },
+      ];
+      const codes = new Map([['0xnew', '0x6080']]);
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue(mockReceipts);
+      mockRpcClient.getContractCodes.mockResolvedValue(codes);
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+
+      expect(mockRpcClient.getContractCodes).toHaveBeenCalledWith(mockReceipts, []);
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(
+        mockBlocks,
+        expect.objectContaining({ contractCodes: codes })
+      );
+    });
+
+    it('should look for contract creations in traces when tracing is enabled', async () => {
+      const originalEnableTracing = config.indexer.enableTracing;
+      config.indexer.enableTracing = true;
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: ['0xtx1'] },
+      ];
+      const mockReceipts = [{ hash: '0xtx1', status: 1, contractAddress: null, logs: [] }];
+      const traces = [{
+        transactionHash: '0xtx1',
+        blockNumber: 100,
+        trace: { type: 'CALL', calls: [{ type: 'CREATE', to: '0xnew' }] },
+      }];
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue(mockReceipts);
+      mockRpcClient.getTracesForBlocks.mockResolvedValue(traces);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+
+      try {
+        await blockFetcher.fetchAndSaveBatch(100, 100);
+      } finally {
+        config.indexer.enableTracing = originalEnableTracing;
+      }
+
+      expect(mockRpcClient.getContractCodes).toHaveBeenCalledWith(mockReceipts, traces);
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(
+        mockBlocks,
+        expect.objectContaining({ traces })
+      );
+    });
+
+    it('should decode token transfers from receipt logs', async () => {
+      const transferTopic = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: ['0xtx1'] },
+      ];
+      const mockReceipts = [{
+        hash: '0xtx1',
+        logs: [{
+          transactionHash: '0xtx1',
+          blockNumber: 100,
+          index: 3,
+          address: '0x' + 'ab'.repeat(20),
+          topics: [
+            transferTopic,
+            '0x' + '00'.repeat(12) + '01'.repeat(20),
+            '0x' + '00'.repeat(12) + '02'.repeat(20),
+          ],
+          data: '0x' + '00'.repeat(31) + '64',
+        }],
+      }];
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue(mockReceipts);
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+
+      const { tokenTransfers } = mockBlockStorage.saveBlocks.mock.calls[0][1];
+      expect(tokenTransfers).toHaveLength(1);
+      expect(tokenTransfers[0]).toEqual(expect.objectContaining({
+        tokenType: 'ERC-20',
+        logIndex: 3,
+        value: 100n,
+      }));
+    });
+
+    it('should fail an empty batch', async () => {
       mockRpcClient.getBlockRange.mockResolvedValue([]);
 
-      await blockFetcher.fetchAndSaveBatch(100, 101);
+      await expect(blockFetcher.fetchAndSaveBatch(100, 101)).rejects.toThrow('Fetched 0 of 2 blocks in 100-101');
+      expect(mockBlockStorage.saveBlocks).not.toHaveBeenCalled();
+    });
 
+    it('should fail a batch with missing blocks', async () => {
+      mockRpcClient.getBlockRange.mockResolvedValue([
+        { number: 100, hash: '0xaaa', transactions: [] },
+        { number: 102, hash: '0xccc', transactions: [] },
+      ]);
+
+      await expect(blockFetcher.fetchAndSaveBatch(100, 102)).rejects.toThrow('Fetched 2 of 3 blocks in 100-102');
       expect(mockBlockStorage.saveBlocks).not.toHaveBeenCalled();
-      expect(logger.warn).toHaveBeenCalledWith('No blocks fetched', expect.any(Object));
     });
 
     it('should check for reorgs when enabled', async () => {
@@ -141,6 +403,107 @@ describe('BlockFetcher Unit Tests', () => {
 
       expect(blockFetcher.checkForReorgs).toHaveBeenCalledWith(mockBlocks);
     });
+
+    it('should not save a batch after rolling back a reorg', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0x0100', parentHash: '0x99bb', transactions: [] },
+      ];
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockBlockStorage.getBlock.mockImplementation(async (number) =>
+        number === 99 ? { hash: Buffer.from('99aa', 'hex') } : null
+      );
+      mockRpcClient.getBlock.mockResolvedValue(null);
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ blocks: 1 });
+
+      await expect(blockFetcher.fetchAndSaveBatch(100, 100))
+        .rejects.toThrow('Reorg at block 99 rolled back, batch from 100 must be fetched again');
+
+      expect(mockBlockStorage.rollbackBlocksFrom).toHaveBeenCalledWith(99, expect.any(Object));
+      expect(mockBlockStorage.saveBlocks).not.toHaveBeenCalled();
+    });
+
+    it('should check the parent hash expected by a batch saved above it', async () => {
+      const lower = [
+        { number: 99, hash: '0x99aa', parentHash: '0x98aa', transactions: [] },
+      ];
+
+      // Batch 100.. was saved while 99 wasn't stored yet
+      blockFetcher.parentChecks.set(99, { hash: '0x99bb', child: 100 });
+      mockRpcClient.getBlockRange.mockResolvedValue(lower);
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+      mockBlockStorage.getBlock.mockImplementation(async (number) => ({
+        98: { hash: Buffer.from('98aa', 'hex') },
+        99: { hash: Buffer.from('99aa', 'hex') },
+        100: { hash: Buffer.from('0100', 'hex') },
+      })[number] || null);
+      mockRpcClient.getBlock.mockImplementation(async (number) =>
+        ({ 98: { hash: '0x98aa' }, 99: { hash: '0x99aa' }, 100: { hash: '0x01cc' } })[number]
+      );
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ blocks: 1 });
+
+      await expect(blockFetcher.fetchAndSaveBatch(99, 99))
+        .rejects.toThrow('Reorg at block 100 rolled back');
+
+      expect(logger.warn).toHaveBeenCalledWith('Reorg detected!', {
+        blockNumber: 99,
+        existingHash: '0x99aa',
+        newHash: '0x99bb',
+        reason: 'parent hash mismatch at batch boundary',
+      });
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalled();
+      expect(mockBlockStorage.rollbackBlocksFrom).toHaveBeenCalledWith(100, {
+        commonAncestor: 99,
+        depth: 1,
+        oldHash: '0x0100',
+        newHash: '0x01cc',
+      });
+      expect(blockFetcher.parentChecks.size).toBe(0);
+    });
+
+    it('should emit batchIndexed after blocks are saved', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: [] },
+      ];
+      const listener = jest.fn(() => {
+        // Storage has committed by the time listeners run
+        expect(mockBlockStorage.saveBlocks).toHaveBeenCalled();
+      });
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+      mockBlockStorage.getBlock.mockResolvedValue(null);
+      blockFetcher.on('batchIndexed', listener);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+      blockFetcher.off('batchIndexed', listener);
+
+      expect(listener).toHaveBeenCalledWith({
+        blocks: mockBlocks,
+        receipts: [],
+        tokenTransfers: [],
+      });
+    });
+
+    it('should not emit batchIndexed when saving fails or saves nothing', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0xaaa', transactions: [] },
+      ];
+      const listener = jest.fn();
+
+      mockRpcClient.getBlockRange.mockResolvedValue(mockBlocks);
+      mockBlockStorage.getBlock.mockResolvedValue(null);
+      blockFetcher.on('batchIndexed', listener);
+
+      mockBlockStorage.saveBlocks.mockRejectedValueOnce(new Error('DB error'));
+      await expect(blockFetcher.fetchAndSaveBatch(100, 100)).rejects.toThrow('DB error');
+
+      mockBlockStorage.saveBlocks.mockResolvedValueOnce(0); // already indexed
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+      blockFetcher.off('batchIndexed', listener);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
   });
 
   describe('fetchAndSaveBatchWithRetry()', () => {
@@ -211,7 +574,7 @@ describe('BlockFetcher Unit Tests', () => {
       blockFetcher.isRunning = true;
     });
 
-    it('should process batches in parallel chunks', async () => {
+    it('should process batches with parallel workers', async () => {
       // Blocks 0-99 with default config (check actual batch size from env)
       await blockFetcher.syncHistoricalBlocks(0, 99);
 
@@ -322,39 +685,341 @@ describe('BlockFetcher Unit Tests', () => {
       ];
       expect(lastCall[1]).toBe(62);
     });
+
+    it('should hand the next batch to a free worker without waiting for slow ones', async () => {
+      const { batchSize, parallelBatches } = config.indexer;
+      const totalBatches = parallelBatches + 3;
+      let releaseSlow;
+
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === 0) {
+          await new Promise(resolve => { releaseSlow = resolve; });
+        }
+      });
+
+      const sync = blockFetcher.syncHistoricalBlocks(0, totalBatches * batchSize - 1);
+
+      // Let the fast workers drain the queue while batch 0 is still running
+      await new Promise(resolve => setImmediate(resolve));
+      expect(blockFetcher.fetchAndSaveBatchWithRetry).toHaveBeenCalledTimes(totalBatches);
+
+      releaseSlow();
+      await sync;
+    });
+
+    it('should only advance currentBlock over contiguous completed batches', async () => {
+      const { batchSize, parallelBatches } = config.indexer;
+      const totalBatches = parallelBatches + 3;
+      let releaseSlow;
+
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === batchSize) {
+          await new Promise(resolve => { releaseSlow = resolve; });
+        }
+      });
+
+      const sync = blockFetcher.syncHistoricalBlocks(0, totalBatches * batchSize - 1);
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Batch 1 is still running: only batch 0 counts as indexed
+      expect(blockFetcher.currentBlock).toBe(batchSize - 1);
+
+      releaseSlow();
+      await sync;
+
+      expect(blockFetcher.currentBlock).toBe(totalBatches * batchSize - 1);
+    });
+
+    it('should queue failed batches for retry and advance past them', async () => {
+      const batchSize = config.indexer.batchSize;
+
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === batchSize) {
+          throw new Error('Failed batch');
+        }
+      });
+
+      await blockFetcher.syncHistoricalBlocks(0, 4 * batchSize - 1);
+
+      expect(mockSyncStateStorage.recordFailedBatch).toHaveBeenCalledWith(
+        batchSize, 2 * batchSize - 1, 'Failed batch'
+      );
+      expect(blockFetcher.currentBlock).toBe(4 * batchSize - 1);
+    });
+
+    it('should not advance currentBlock past a failed batch that could not be queued', async () => {
+      const batchSize = config.indexer.batchSize;
+
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === batchSize) {
+          throw new Error('Failed batch');
+        }
+      });
+      mockSyncStateStorage.recordFailedBatch.mockRejectedValue(new Error('DB down'));
+
+      await blockFetcher.syncHistoricalBlocks(0, 4 * batchSize - 1);
+
+      expect(blockFetcher.fetchAndSaveBatchWithRetry).toHaveBeenCalledTimes(4);
+      expect(blockFetcher.currentBlock).toBe(batchSize - 1);
+      expect(logger.error).toHaveBeenCalledWith(
+        'Could not queue failed batch, it will be synced again',
+        expect.objectContaining({ from: batchSize, error: 'DB down' })
+      );
+    });
+
+    it('should not move the watermark over a batch with a missing block', async () => {
+      const batchSize = config.indexer.batchSize;
+      const missingBlock = batchSize + 1;
+
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockRestore();
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue([]);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+      mockBlockStorage.saveBlocks.mockImplementation(async (blocks) => blocks.length);
+      // The endpoint answered null for one block; RpcClient left it out
+      mockRpcClient.getBlockRange.mockImplementation(async (from, to) => {
+        const blocks = [];
+        for (let number = from; number <= to; number++) {
+          if (number !== missingBlock) {
+            blocks.push({
+              number,
+              hash: `0x${number.toString(16)}`,
+              parentHash: `0x${(number - 1).toString(16)}`,
+              transactions: [],
+            });
+          }
+        }
+        return blocks;
+      });
+      mockSyncStateStorage.recordFailedBatch.mockRejectedValue(new Error('DB down'));
+
+      await blockFetcher.syncHistoricalBlocks(0, 3 * batchSize - 1);
+
+      expect(mockSyncStateStorage.recordFailedBatch).toHaveBeenCalledWith(
+        batchSize, 2 * batchSize - 1, expect.stringContaining(`of ${batchSize} blocks`)
+      );
+      expect(blockFetcher.currentBlock).toBe(batchSize - 1);
+      for (const [blocks, { checkpoint }] of mockBlockStorage.saveBlocks.mock.calls) {
+        expect(blocks.some(block => block.number === missingBlock)).toBe(false);
+        expect(checkpoint === null || checkpoint.watermark < missingBlock).toBe(true);
+      }
+    });
+
+    it('should checkpoint with each batch the watermark it will reach', async () => {
+      const batchSize = config.indexer.batchSize;
+      const originalParallel = config.indexer.parallelBatches;
+      const projected = [];
+
+      config.indexer.parallelBatches = 1;
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        projected.push(blockFetcher.projectWatermark(from));
+      });
+
+      try {
+        await blockFetcher.syncHistoricalBlocks(0, 2 * batchSize - 1);
+      } finally {
+        config.indexer.parallelBatches = originalParallel;
+      }
+
+      expect(projected).toEqual([batchSize - 1, 2 * batchSize - 1]);
+      expect(blockFetcher.syncQueue).toBeNull();
+    });
+
+    it('should not project the watermark past a batch still in flight', async () => {
+      const batchSize = config.indexer.batchSize;
+      let releaseFirst;
+      const projected = {};
+
+      blockFetcher.currentBlock = -1;
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === 0) {
+          await new Promise((resolve) => { releaseFirst = resolve; });
+        }
+        projected[from] = blockFetcher.projectWatermark(from);
+        if (from === batchSize) {
+          // Let the second batch complete before the first one saves
+          setTimeout(releaseFirst, 0);
+        }
+      });
+
+      await blockFetcher.syncHistoricalBlocks(0, 2 * batchSize - 1);
+
+      // Second batch saved first: the first one is still missing
+      expect(projected[batchSize]).toBe(-1);
+      // First batch saved last: covers both
+      expect(projected[0]).toBe(2 * batchSize - 1);
+    });
+
+    it('should save the checkpoint after the sync run', async () => {
+      blockFetcher.currentBlock = -1;
+      blockFetcher.headBlock = 150;
+
+      await blockFetcher.syncHistoricalBlocks(0, 99);
+
+      expect(mockSyncStateStorage.saveIndexerState).toHaveBeenCalledWith({
+        watermark: 99,
+        headBlock: 150,
+      });
+    });
+
+    it('should keep syncing if the checkpoint cannot be saved', async () => {
+      blockFetcher.currentBlock = -1;
+      mockSyncStateStorage.saveIndexerState.mockRejectedValue(new Error('DB down'));
+
+      await blockFetcher.syncHistoricalBlocks(0, 99);
+
+      expect(logger.warn).toHaveBeenCalledWith('Failed to save sync checkpoint', { error: 'DB down' });
+      expect(blockFetcher.currentBlock).toBe(99);
+    });
+  });
+
+  describe('repairGaps()', () => {
+    beforeEach(() => {
+      jest.spyOn(blockFetcher, 'fetchAndSaveBatchWithRetry').mockResolvedValue();
+    });
+
+    it('should re-fetch exactly the missing ranges in batches', async () => {
+      const batchSize = config.indexer.batchSize;
+      mockBlockStorage.findGaps.mockResolvedValue([
+        { from: 5, to: 5 },
+        { from: 1000, to: 1000 + batchSize },
+      ]);
+
+      const summary = await blockFetcher.repairGaps(0, 5000);
+
+      expect(mockBlockStorage.findGaps).toHaveBeenCalledWith(0, 5000);
+      expect(blockFetcher.fetchAndSaveBatchWithRetry.mock.calls).toEqual([
+        [5, 5],
+        [1000, 1000 + batchSize - 1],
+        [1000 + batchSize, 1000 + batchSize],
+      ]);
+      expect(summary).toEqual({
+        from: 0,
+        to: 5000,
+        gaps: 2,
+        missingBlocks: batchSize + 2,
+        repairedBlocks: batchSize + 2,
+        failedRanges: [],
+      });
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledWith(5, 5);
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledWith(1000, 1000 + batchSize);
+    });
+
+    it('should report and queue ranges that cannot be repaired', async () => {
+      mockBlockStorage.findGaps.mockResolvedValue([
+        { from: 5, to: 5 },
+        { from: 20, to: 21 },
+      ]);
+      blockFetcher.fetchAndSaveBatchWithRetry.mockImplementation(async (from) => {
+        if (from === 20) {
+          throw new Error('still failing');
+        }
+      });
+
+      const summary = await blockFetcher.repairGaps(0, 100);
+
+      expect(summary.repairedBlocks).toBe(1);
+      expect(summary.failedRanges).toEqual(['20-21']);
+      expect(mockSyncStateStorage.recordFailedBatch).toHaveBeenCalledWith(20, 21, 'still failing');
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledTimes(1);
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledWith(5, 5);
+    });
+
+    it('should do nothing without gaps', async () => {
+      mockBlockStorage.findGaps.mockResolvedValue([]);
+
+      const summary = await blockFetcher.repairGaps(0, 100);
+
+      expect(summary.gaps).toBe(0);
+      expect(blockFetcher.fetchAndSaveBatchWithRetry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryFailedBatches()', () => {
+    beforeEach(() => {
+      jest.spyOn(blockFetcher, 'fetchAndSaveBatchWithRetry').mockResolvedValue();
+      blockFetcher.isRunning = true;
+    });
+
+    it('should re-index due batches and forget them', async () => {
+      mockSyncStateStorage.getDueFailedBatches.mockResolvedValue([
+        { fromBlock: 100, toBlock: 149, attempts: 1 },
+        { fromBlock: 300, toBlock: 349, attempts: 2 },
+      ]);
+
+      const recovered = await blockFetcher.retryFailedBatches();
+
+      expect(recovered).toBe(2);
+      expect(mockSyncStateStorage.getDueFailedBatches).toHaveBeenCalledWith(
+        config.indexer.parallelBatches
+      );
+      expect(blockFetcher.fetchAndSaveBatchWithRetry).toHaveBeenCalledWith(100, 149);
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledWith(100, 149);
+      expect(mockSyncStateStorage.resolveFailedBatches).toHaveBeenCalledWith(300, 349);
+    });
+
+    it('should reschedule batches that fail again', async () => {
+      mockSyncStateStorage.getDueFailedBatches.mockResolvedValue([
+        { fromBlock: 100, toBlock: 149, attempts: 1 },
+      ]);
+      blockFetcher.fetchAndSaveBatchWithRetry.mockRejectedValue(new Error('still failing'));
+
+      const recovered = await blockFetcher.retryFailedBatches();
+
+      expect(recovered).toBe(0);
+      expect(mockSyncStateStorage.resolveFailedBatches).not.toHaveBeenCalled();
+      expect(mockSyncStateStorage.recordFailedBatch).toHaveBeenCalledWith(100, 149, 'still failing');
+    });
+
+    it('should stop when the fetcher is stopped', async () => {
+      mockSyncStateStorage.getDueFailedBatches.mockResolvedValue([
+        { fromBlock: 100, toBlock: 149, attempts: 1 },
+      ]);
+      blockFetcher.isRunning = false;
+
+      await blockFetcher.retryFailedBatches();
+
+      expect(blockFetcher.fetchAndSaveBatchWithRetry).not.toHaveBeenCalled();
+    });
   });
 
   describe('checkForReorgs()', () => {
+    // stored/canonical: block number -> hash
+    function mockChains(stored, canonical = {}) {
+      mockBlockStorage.getBlock.mockImplementation(async (number) =>
+        stored[number] ? { hash: Buffer.from(stored[number].slice(2), 'hex') } : null
+      );
+      mockRpcClient.getBlock.mockImplementation(async (number) =>
+        canonical[number] ? { number, hash: canonical[number] } : null
+      );
+    }
+
     it('should not detect reorg when hashes match', async () => {
       const mockBlocks = [
-        { number: 100, hash: '0xabc123', transactions: [] },
+        { number: 100, hash: '0xabc123', parentHash: '0x0099', transactions: [] },
       ];
 
-      const existingBlock = {
-        hash: Buffer.from('abc123', 'hex'),
-      };
-
-      mockBlockStorage.getBlock.mockResolvedValue(existingBlock);
+      mockChains({ 99: '0x0099', 100: '0xabc123' });
 
       await blockFetcher.checkForReorgs(mockBlocks);
 
-      expect(mockBlockStorage.deleteBlocksFrom).not.toHaveBeenCalled();
+      expect(mockBlockStorage.rollbackBlocksFrom).not.toHaveBeenCalled();
     });
 
     it('should detect and handle reorg when hashes differ', async () => {
       const mockBlocks = [
-        { number: 100, hash: '0xabc123', transactions: [] },
+        { number: 100, hash: '0xabc123', parentHash: '0x0099', transactions: [] },
       ];
 
-      const existingBlock = {
-        hash: Buffer.from('def456', 'hex'), // Different hash
-      };
-
-      mockBlockStorage.getBlock.mockResolvedValue(existingBlock);
-      mockBlockStorage.deleteBlocksFrom.mockResolvedValue(10);
+      mockChains({ 99: '0x0099', 100: '0xdef456' }, { 99: '0x0099' });
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ blocks: 10 });
       blockFetcher.currentBlock = 150;
 
-      await blockFetcher.checkForReorgs(mockBlocks);
+      await expect(blockFetcher.checkForReorgs(mockBlocks)).rejects.toThrow('must be fetched again');
 
       expect(logger.warn).toHaveBeenCalledWith(
         'Reorg detected!',
@@ -364,10 +1029,122 @@ describe('BlockFetcher Unit Tests', () => {
           newHash: '0xabc123',
         })
       );
-      expect(mockBlockStorage.deleteBlocksFrom).toHaveBeenCalledWith(100);
+      expect(mockBlockStorage.rollbackBlocksFrom).toHaveBeenCalledWith(100, {
+        commonAncestor: 99,
+        depth: 1,
+        oldHash: '0xdef456',
+        newHash: '0xabc123',
+      });
       expect(blockFetcher.currentBlock).toBe(99);
     });
 
+    it('should emit reorg after orphaned blocks are removed', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0xabc123', parentHash: '0x0099', transactions: [] },
+      ];
+      const listener = jest.fn();
+
+      mockChains({ 99: '0x0099', 100: '0xdef456' }, { 99: '0x0099' });
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ blocks: 10 });
+      blockFetcher.on('reorg', listener);
+
+      await expect(blockFetcher.checkForReorgs(mockBlocks)).rejects.toThrow('must be fetched again');
+      blockFetcher.off('reorg', listener);
+
+      expect(listener).toHaveBeenCalledWith({
+        blockNumber: 100,
+        oldHash: '0xdef456',
+        newHash: '0xabc123',
+        commonAncestor: 99,
+        depth: 1,
+        deletedCount: 10,
+      });
+    });
+
+    it('should detect a fork from the parent hash and walk back to the common ancestor', async () => {
+      // Stored tip 98-99 is orphaned; the new batch starts at 100
+      const mockBlocks = [
+        { number: 100, hash: '0x0100', parentHash: '0x99bb', transactions: [] },
+      ];
+      const listener = jest.fn();
+
+      mockChains(
+        { 97: '0x97', 98: '0x98aa', 99: '0x99aa' },
+        { 97: '0x97', 98: '0x98bb', 99: '0x99bb' }
+      );
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ blocks: 2 });
+      blockFetcher.currentBlock = 99;
+      blockFetcher.on('reorg', listener);
+
+      await expect(blockFetcher.checkForReorgs(mockBlocks)).rejects.toThrow('must be fetched again');
+      blockFetcher.off('reorg', listener);
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Reorg detected!',
+        expect.objectContaining({ blockNumber: 99, reason: 'parent hash mismatch' })
+      );
+      expect(mockBlockStorage.rollbackBlocksFrom).toHaveBeenCalledWith(98, {
+        commonAncestor: 97,
+        depth: 2,
+        oldHash: '0x98aa',
+        newHash: '0x98bb',
+      });
+      expect(listener).toHaveBeenCalledWith({
+        blockNumber: 98,
+        oldHash: '0x98aa',
+        newHash: '0x98bb',
+        commonAncestor: 97,
+        depth: 2,
+        deletedCount: 2,
+      });
+      expect(blockFetcher.currentBlock).toBe(97);
+    });
+
+    it('should refuse to roll back deeper than the max reorg depth', async () => {
+      const originalDepth = config.indexer.maxReorgDepth;
+      config.indexer.maxReorgDepth = 2;
+
+      mockChains(
+        { 96: '0x96aa', 97: '0x97aa', 98: '0x98aa', 99: '0x99aa' },
+        { 96: '0x96bb', 97: '0x97bb', 98: '0x98bb', 99: '0x99bb' }
+      );
+
+      try {
+        await expect(blockFetcher.checkForReorgs([
+          { number: 100, hash: '0x0100', parentHash: '0x99bb', transactions: [] },
+        ])).rejects.toThrow('deeper than 2 blocks');
+      } finally {
+        config.indexer.maxReorgDepth = originalDepth;
+      }
+
+      expect(mockBlockStorage.rollbackBlocksFrom).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to roll back finalized blocks', async () => {
+      mockChains(
+        { 98: '0x98aa', 99: '0x99aa' },
+        { 98: '0x98aa', 99: '0x99bb' }
+      );
+      blockFetcher.finality = { safe: 100, finalized: 99 };
+
+      await expect(blockFetcher.checkForReorgs([
+        { number: 100, hash: '0x0100', parentHash: '0x99bb', transactions: [] },
+      ])).rejects.toThrow('reaches finalized block 99');
+
+      expect(mockBlockStorage.rollbackBlocksFrom).not.toHaveBeenCalled();
+    });
+
+    it('should reject a batch whose blocks do not link up', async () => {
+      const mockBlocks = [
+        { number: 100, hash: '0x0100', parentHash: '0x0099', transactions: [] },
+        { number: 101, hash: '0x0101', parentHash: '0xbeef', transactions: [] },
+      ];
+
+      await expect(blockFetcher.checkForReorgs(mockBlocks))
+        .rejects.toThrow('Block 101 does not extend block 100');
+      expect(mockBlockStorage.rollbackBlocksFrom).not.toHaveBeenCalled();
+    });
+
     it('should skip genesis block in reorg check', async () => {
       const mockBlocks = [
         { number: 0, hash: '0xgenesis', transactions: [] },
@@ -380,14 +1157,421 @@ describe('BlockFetcher Unit Tests', () => {
 
     it('should handle block not existing in database', async () => {
       const mockBlocks = [
-        { number: 100, hash: '0xabc123', transactions: [] },
+        { number: 100, hash: '0xabc123', parentHash: '0x0099', transactions: [] },
       ];
 
       mockBlockStorage.getBlock.mockResolvedValue(null);
 
       await blockFetcher.checkForReorgs(mockBlocks);
 
-      expect(mockBlockStorage.deleteBlocksFrom).not.toHaveBeenCalled();
+      expect(mockBlockStorage.rollbackBlocksFrom).not.toHaveBeenCalled();
+      expect(blockFetcher.parentChecks.get(99)).toEqual({ hash: '0x0099', child: 100 });
+    });
+
+    it('should drop a deferred parent check once the parent matches', async () => {
+      blockFetcher.parentChecks.set(99, { hash: '0x0099', child: 100 });
+
+      await blockFetcher.checkDeferredParent({ number: 99, hash: '0x0099' });
+
+      expect(blockFetcher.parentChecks.size).toBe(0);
+      expect(mockBlockStorage.getBlock).not.toHaveBeenCalled();
+    });
+
+    it('should stop the watermark at saved batches a reorg rolled back', async () => {
+      const batches = [
+        { from: 90, to: 99, status: 'pending' },
+        { from: 100, to: 109, status: 'done' },
+      ];
+      const progress = { watermark: 0 };
+
+      mockChains({ 100: '0x0100' }, {});
+      mockBlockStorage.rollbackBlocksFrom.mockResolvedValue({ reorgId: 5, blocks: 10 });
+      blockFetcher.currentBlock = 89;
+      blockFetcher.syncQueue = { batches, progress };
+      blockFetcher.parentChecks.set(99, { hash: '0x99aa', child: 100 });
+
+      await blockFetcher.handleReorg(100, '0x0100', '0x01cc');
+      batches[0].status = 'done';
+      blockFetcher.advanceWatermark(batches, progress);
+
+      expect(blockFetcher.lastReorgId).toBe(5); // later checkpoints are projected after it
+      expect(batches[1].status).toBe('rolledBack');
+      expect(blockFetcher.parentChecks.size).toBe(0);
+      expect(blockFetcher.currentBlock).toBe(99);
+    });
+  });
+
+  describe('getTargetHeight()', () => {
+    const originalIndexerConfig = { ...config.indexer };
+
+    afterEach(() => {
+      Object.assign(config.indexer, originalIndexerConfig);
+    });
+
+    it('should stay the confirmation depth behind the head', async () => {
+      config.indexer.confirmations = 12;
+      mockRpcClient.getBlockNumber.mockResolvedValue(1000);
+
+      expect(await blockFetcher.getTargetHeight()).toBe(988);
+    });
+
+    it('should use the node\'s safe and finalized tags when available', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(1000);
+      mockRpcClient.getFinalityHeads.mockResolvedValue({ safe: 990, finalized: 960 });
+
+      await blockFetcher.getTargetHeight();
+
+      expect(blockFetcher.finality).toEqual({ safe: 990, finalized: 960 });
+      expect(mockBlockStorage.updateFinality).toHaveBeenCalledWith({ safe: 990, finalized: 960 });
+    });
+
+    it('should fall back to the reorg and confirmation depths without tags', async () => {
+      config.indexer.confirmations = 12;
+      config.indexer.maxReorgDepth = 64;
+      mockRpcClient.getBlockNumber.mockResolvedValue(1000);
+
+      await blockFetcher.getTargetHeight();
+
+      expect(blockFetcher.finality).toEqual({ safe: 988, finalized: 936 });
+    });
+
+    it('should only promote blocks when finality moves forward', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(1000);
+      mockRpcClient.getFinalityHeads
+        .mockResolvedValueOnce({ safe: 990, finalized: 960 })
+        .mockResolvedValueOnce({ safe: 990, finalized: 960 })
+        .mockResolvedValueOnce({ safe: 985, finalized: 950 });
+
+      await blockFetcher.getTargetHeight();
+      await blockFetcher.getTargetHeight();
+      await blockFetcher.getTargetHeight();
+
+      expect(mockBlockStorage.updateFinality).toHaveBeenCalledTimes(1);
+      expect(blockFetcher.finality).toEqual({ safe: 990, finalized: 960 });
+    });
+
+    it('should keep indexing when finality cannot be refreshed', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(1000);
+      mockRpcClient.getFinalityHeads.mockRejectedValue(new Error('timeout'));
+
+      expect(await blockFetcher.getTargetHeight()).toBe(1000);
+      expect(blockFetcher.finality).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Failed to refresh block finality',
+        { error: 'timeout' }
+      );
+    });
+
+    it('should pass the checkpoint to saveBlocks', async () => {
+      blockFetcher.currentBlock = 99;
+      blockFetcher.headBlock = 120;
+      blockFetcher.lastReorgId = 3;
+      mockRpcClient.getBlockRange.mockResolvedValue([
+        { number: 100, hash: '0xaaa', transactions: [] },
+      ]);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue([]);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+      mockBlockStorage.getBlock.mockResolvedValue(null);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+
+      // Outside a sync run the watermark stays where it is
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ checkpoint: { watermark: 99, headBlock: 120, reorgId: 3 } })
+      );
+    });
+
+    it('should pass the current finality to saveBlocks', async () => {
+      blockFetcher.finality = { safe: 100, finalized: 90 };
+      mockRpcClient.getBlockRange.mockResolvedValue([
+        { number: 100, hash: '0xaaa', transactions: [] },
+      ]);
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue([]);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+      mockBlockStorage.saveBlocks.mockResolvedValue(1);
+      mockBlockStorage.getBlock.mockResolvedValue(null);
+
+      await blockFetcher.fetchAndSaveBatch(100, 100);
+
+      expect(mockBlockStorage.saveBlocks).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ finality: { safe: 100, finalized: 90 } })
+      );
+    });
+  });
+
+  describe('startRealTimeSync()', () => {
+    const originalIndexerConfig = { ...config.indexer };
+
+    beforeEach(() => {
+      blockFetcher.isRunning = true;
+      blockFetcher.currentBlock = 100;
+      jest.spyOn(blockFetcher, 'syncHistoricalBlocks').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      Object.assign(config.indexer, originalIndexerConfig);
+      blockFetcher.syncHistoricalBlocks.mockRestore();
+    });
+
+    it('should sync when a new head arrives', async () => {
+      const unsubscribe = jest.fn();
+      let onHead;
+
+      mockRpcClient.subscribeNewHeads.mockImplementation(async (headCallback) => {
+        onHead = headCallback;
+        return unsubscribe;
+      });
+      mockRpcClient.getBlockNumber
+        .mockImplementationOnce(async () => {
+          onHead(101); // head arrives while the loop is busy
+          return 100;
+        })
+        .mockResolvedValue(101);
+      blockFetcher.syncHistoricalBlocks.mockImplementation(async () => {
+        blockFetcher.isRunning = false;
+      });
+
+      await blockFetcher.startRealTimeSync();
+
+      expect(mockRpcClient.subscribeNewHeads).toHaveBeenCalledTimes(1);
+      expect(blockFetcher.syncHistoricalBlocks).toHaveBeenCalledWith(101, 101);
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('should poll and back off when subscribing fails', async () => {
+      config.indexer.pollInterval = 1;
+      config.indexer.resubscribeDelay = 60000;
+
+      mockRpcClient.subscribeNewHeads.mockRejectedValue(new Error('WebSocket unavailable'));
+      mockRpcClient.getBlockNumber
+        .mockResolvedValueOnce(100)
+        .mockResolvedValueOnce(100)
+        .mockImplementationOnce(async () => {
+          blockFetcher.isRunning = false;
+          return 100;
+        });
+
+      await blockFetcher.startRealTimeSync();
+
+      // Polled three times, but only one subscribe attempt within the backoff
+      expect(mockRpcClient.getBlockNumber).toHaveBeenCalledTimes(3);
+      expect(mockRpcClient.subscribeNewHeads).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'newHeads subscription unavailable, polling',
+        expect.objectContaining({ error: 'WebSocket unavailable' })
+      );
+    });
+
+    it('should fall back to polling when the socket drops and resubscribe', async () => {
+      config.indexer.pollInterval = 1;
+      config.indexer.resubscribeDelay = 1;
+      let onClose;
+
+      mockRpcClient.subscribeNewHeads
+        .mockImplementationOnce(async (headCallback, closeCallback) => {
+          onClose = closeCallback;
+          return jest.fn();
+        })
+        .mockImplementationOnce(async () => {
+          blockFetcher.isRunning = false;
+          return jest.fn();
+        });
+      mockRpcClient.getBlockNumber
+        .mockImplementationOnce(async () => {
+          onClose('WebSocket closed');
+          return 100;
+        })
+        .mockResolvedValue(100);
+
+      await blockFetcher.startRealTimeSync();
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'newHeads subscription lost, falling back to polling',
+        expect.objectContaining({ reason: 'WebSocket closed' })
+      );
+      expect(mockRpcClient.subscribeNewHeads).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop a subscription that stops delivering heads', async () => {
+      config.indexer.headTimeout = 1;
+      config.indexer.resubscribeDelay = 60000;
+      const unsubscribe = jest.fn();
+
+      mockRpcClient.subscribeNewHeads.mockResolvedValue(unsubscribe);
+      mockRpcClient.getBlockNumber
+        .mockResolvedValueOnce(100)
+        .mockImplementationOnce(async () => {
+          blockFetcher.isRunning = false;
+          return 100;
+        });
+
+      await blockFetcher.startRealTimeSync();
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'No newHeads received, falling back to polling',
+        expect.any(Object)
+      );
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(blockFetcher.unsubscribeHeads).toBe(null);
+    });
+
+    it('should only poll when newHeads is disabled', async () => {
+      config.indexer.subscribeNewHeads = false;
+      config.indexer.pollInterval = 1;
+
+      mockRpcClient.getBlockNumber
+        .mockResolvedValueOnce(100)
+        .mockImplementationOnce(async () => {
+          blockFetcher.isRunning = false;
+          return 100;
+        });
+
+      await blockFetcher.startRealTimeSync();
+
+      expect(mockRpcClient.subscribeNewHeads).not.toHaveBeenCalled();
+    });
+
+    it('should retry failed batches on every loop', async () => {
+      config.indexer.subscribeNewHeads = false;
+      config.indexer.pollInterval = 1;
+
+      mockRpcClient.getBlockNumber.mockResolvedValue(100);
+      mockSyncStateStorage.getDueFailedBatches
+        .mockResolvedValueOnce([])
+        .mockImplementationOnce(async () => {
+          blockFetcher.isRunning = false;
+          return [];
+        });
+
+      await blockFetcher.startRealTimeSync();
+
+      expect(mockSyncStateStorage.getDueFailedBatches).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wake up and exit when stopped', async () => {
+      config.indexer.subscribeNewHeads = false;
+      config.indexer.pollInterval = 60000;
+
+      mockRpcClient.getBlockNumber.mockResolvedValue(100);
+      mockRpcClient.close.mockResolvedValue();
+
+      const syncing = blockFetcher.startRealTimeSync();
+      await new Promise((resolve) => setImmediate(resolve));
+      await blockFetcher.stop();
+
+      await expect(syncing).resolves.toBeUndefined();
+    });
+  });
+
+  describe('scheduleResubscribe()', () => {
+    it('should double the delay up to the maximum and reset on a new head', () => {
+      const originalIndexerConfig = { ...config.indexer };
+      config.indexer.resubscribeDelay = 1000;
+      config.indexer.resubscribeMaxDelay = 4000;
+
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        blockFetcher.scheduleResubscribe();
+        delays.push(blockFetcher.resubscribeDelay);
+      }
+
+      expect(delays).toEqual([1000, 2000, 4000, 4000]);
+
+      blockFetcher.handleNewHead(101);
+      expect(blockFetcher.resubscribeDelay).toBe(0);
+
+      Object.assign(config.indexer, originalIndexerConfig);
+    });
+  });
+
+  describe('start()', () => {
+    const originalIndexerConfig = { ...config.indexer };
+    let steps;
+
+    beforeEach(() => {
+      steps = [];
+      blockFetcher.currentBlock = 0;
+      jest.spyOn(blockFetcher, 'getTargetHeight').mockResolvedValue(2000000);
+      jest.spyOn(blockFetcher, 'syncHistoricalBlocks').mockImplementation(async () => {
+        steps.push('sync');
+      });
+      jest.spyOn(blockFetcher, 'startRealTimeSync').mockImplementation(async () => {
+        steps.push('realtime');
+      });
+      mockIndexManager.deferIndexes.mockImplementation(async () => {
+        steps.push('defer');
+        return { indexes: 30, constraints: 3 };
+      });
+      mockIndexManager.rebuildIndexes.mockImplementation(async () => {
+        steps.push('rebuild');
+        return { rebuilt: 33, remaining: 0 };
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      Object.assign(config.indexer, originalIndexerConfig);
+    });
+
+    it('should defer indexes for a long historical sync and rebuild them before real-time sync', async () => {
+      Object.assign(config.indexer, { bulkLoad: true, bulkLoadMinBlocks: 1000000 });
+      mockIndexManager.getDeferred.mockResolvedValue([{ name: 'idx_blocks_miner' }]);
+
+      await blockFetcher.start();
+
+      expect(steps).toEqual(['defer', 'sync', 'rebuild', 'realtime']);
+      expect(logger.info).toHaveBeenCalledWith('Starting historical sync', expect.objectContaining({
+        blocks: 2000000,
+        bulkLoad: true,
+      }));
+
+      // The rebuild stops with the fetcher
+      const { shouldContinue } = mockIndexManager.rebuildIndexes.mock.calls[0][0];
+      expect(shouldContinue()).toBe(true);
+      blockFetcher.isRunning = false;
+      expect(shouldContinue()).toBe(false);
+    });
+
+    it('should keep indexes for a short historical sync', async () => {
+      Object.assign(config.indexer, { bulkLoad: true, bulkLoadMinBlocks: 5000000 });
+
+      await blockFetcher.start();
+
+      expect(mockIndexManager.deferIndexes).not.toHaveBeenCalled();
+      expect(mockIndexManager.rebuildIndexes).not.toHaveBeenCalled();
+      expect(steps).toEqual(['sync', 'realtime']);
+    });
+
+    it('should keep indexes when bulk load mode is off', async () => {
+      Object.assign(config.indexer, { bulkLoad: false });
+
+      await blockFetcher.start();
+
+      expect(mockIndexManager.deferIndexes).not.toHaveBeenCalled();
+      expect(steps).toEqual(['sync', 'realtime']);
+    });
+
+    it('should finish an interrupted rebuild even when already caught up', async () => {
+      Object.assign(config.indexer, { bulkLoad: true, bulkLoadMinBlocks: 1000000 });
+      blockFetcher.currentBlock = 2000000;
+      mockIndexManager.getDeferred.mockResolvedValue([{ name: 'idx_logs_topic0' }]);
+
+      await blockFetcher.start();
+
+      expect(steps).toEqual(['rebuild', 'realtime']);
+    });
+
+    it('should stop when deferring indexes fails', async () => {
+      Object.assign(config.indexer, { bulkLoad: true, bulkLoadMinBlocks: 1000000 });
+      mockIndexManager.deferIndexes.mockRejectedValue(new Error('lock timeout'));
+
+      await expect(blockFetcher.start()).rejects.toThrow('lock timeout');
+
+      expect(steps).toEqual([]);
+      expect(blockFetcher.isRunning).toBe(false);
     });
   });
 
@@ -421,13 +1605,141 @@ describe('BlockFetcher Unit Tests', () => {
         indexed: 5000,
         behind: 5000,
         progress: '50.00%',
+        caughtUp: false,
         totalBlocks: 5000,
         lastBlock: 5000,
         firstBlock: 0,
         totalTransactions: 50000,
+        failedBatches: 0,
+        missingBlocks: 0,
+        lowestMissingBlock: null,
+        safeBlock: null,
+        finalizedBlock: null,
+        indexRebuild: null,
+        indexedUpTo: 5000,
+        lastSyncedAt: null,
       });
     });
 
+    it('should not report caught up while failed batches remain', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockBlockStorage.getStats.mockResolvedValue({
+        totalBlocks: 9950,
+        lastBlock: 10000,
+        firstBlock: 0,
+        totalTransactions: 0,
+      });
+      mockSyncStateStorage.getFailedBatchStats.mockResolvedValue({
+        failedBatches: 1,
+        missingBlocks: 50,
+        lowestMissingBlock: 100,
+      });
+
+      const stats = await blockFetcher.getStats();
+
+      expect(stats.behind).toBe(0);
+      expect(stats.caughtUp).toBe(false);
+      expect(stats.progress).toBe('99.50%');
+    });
+
+    it('should not report caught up after a batch came back with a missing block', async () => {
+      const batchSize = config.indexer.batchSize;
+      const toBlock = 3 * batchSize - 1;
+      const failed = [];
+
+      blockFetcher.isRunning = true;
+      blockFetcher.currentBlock = -1;
+      jest.spyOn(blockFetcher, 'sleep').mockResolvedValue();
+      mockRpcClient.getReceiptsForBlocks.mockResolvedValue([]);
+      mockRpcClient.getContractCodes.mockResolvedValue(new Map());
+      mockBlockStorage.saveBlocks.mockImplementation(async (blocks) => blocks.length);
+      // Block batchSize + 1 was null on the endpoint and left out
+      mockRpcClient.getBlockRange.mockImplementation(async (from, to) => {
+        const blocks = [];
+        for (let number = from; number <= to; number++) {
+          if (number !== batchSize + 1) {
+            blocks.push({
+              number,
+              hash: `0x${number.toString(16)}`,
+              parentHash: `0x${(number - 1).toString(16)}`,
+              transactions: [],
+            });
+          }
+        }
+        return blocks;
+      });
+      mockSyncStateStorage.recordFailedBatch.mockImplementation(async (from, to) => {
+        failed.push({ from, to });
+        return { attempts: 1, nextRetryAt: null };
+      });
+
+      await blockFetcher.syncHistoricalBlocks(0, toBlock);
+
+      mockRpcClient.getBlockNumber.mockResolvedValue(toBlock + config.indexer.confirmations);
+      mockBlockStorage.getStats.mockResolvedValue({
+        totalBlocks: toBlock + 1 - batchSize,
+        lastBlock: toBlock,
+        firstBlock: 0,
+        totalTransactions: 0,
+      });
+      mockSyncStateStorage.getIndexerState.mockResolvedValue({
+        watermark: blockFetcher.currentBlock,
+        lastSyncedAt: null,
+      });
+      mockSyncStateStorage.getFailedBatchStats.mockImplementation(async () => ({
+        failedBatches: failed.length,
+        missingBlocks: failed.reduce((sum, batch) => sum + batch.to - batch.from + 1, 0),
+        lowestMissingBlock: failed.length > 0 ? failed[0].from : null,
+      }));
+
+      const stats = await blockFetcher.getStats();
+
+      expect(failed).toEqual([{ from: batchSize, to: 2 * batchSize - 1 }]);
+      expect(stats.behind).toBe(0);
+      expect(stats.missingBlocks).toBe(batchSize);
+      expect(stats.caughtUp).toBe(false);
+    });
+
+    it('should measure progress from the checkpoint, not the highest stored block', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockBlockStorage.getStats.mockResolvedValue({
+        totalBlocks: 9000,
+        lastBlock: 10000,
+        firstBlock: 0,
+        totalTransactions: 0,
+      });
+      mockSyncStateStorage.getIndexerState.mockResolvedValue({
+        watermark: 8000,
+        headBlock: 10000,
+        lastSyncedAt: new Date('2025-01-01T00:00:00Z'),
+      });
+
+      const stats = await blockFetcher.getStats();
+
+      expect(stats.indexedUpTo).toBe(8000);
+      expect(stats.behind).toBe(2000);
+      expect(stats.caughtUp).toBe(false);
+      expect(stats.lastSyncedAt).toEqual(new Date('2025-01-01T00:00:00Z'));
+    });
+
+    it('should report index rebuild progress and not count as caught up', async () => {
+      mockRpcClient.getBlockNumber.mockResolvedValue(10000);
+      mockBlockStorage.getStats.mockResolvedValue({
+        totalBlocks: 10000,
+        lastBlock: 10000,
+        firstBlock: 0,
+        totalTransactions: 0,
+      });
+      const progress = { rebuilt: '3/12', progress: '25.00%', current: 'idx_logs_topic0', elapsed: '5000ms' };
+      mockIndexManager.getProgress.mockReturnValue(progress);
+
+      const stats = await blockFetcher.getStats();
+
+      expect(stats.behind).toBe(0);
+      expect(stats.indexRebuild).toEqual(progress);
+      expect(stats.caughtUp).toBe(false);
+    });
+
     it('should handle no blocks indexed yet', async () => {
       mockRpcClient.getBlockNumber.mockResolvedValue(10000);
       mockBlockStorage.getStats.mockResolvedValue({
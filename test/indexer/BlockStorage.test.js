@@ -0,0 +1,1073 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock database client used inside db.transaction()
+const mockClient = {
+  query: jest.fn(),
+};
+
+const mockDb = {
+  query: jest.fn(),
+  insert: jest.fn(),
+  transaction: jest.fn(async (callback) => callback(mockClient)),
+};
+
+jest.mock('../../lib/db', () => mockDb);
+
+const logger = require('../../lib/logger');
+const blockStorage = require('../../src/indexer/BlockStorage');
+
+const HASH_A = '0x' + 'aa'.repeat(32);
+const HASH_B = '0x' + 'bb'.repeat(32);
+const TX_HASH_1 = '0x' + '11'.repeat(32);
+const TX_HASH_2 = '0x' + '22'.repeat(32);
+const ADDR_FROM = '0x' + '01'.repeat(20);
+const ADDR_TO = '0x' + '02'.repeat(20);
+const MINER = '0x' + '0f'.repeat(20);
+
+function makeTx(overrides = {}) {
+  return {
+    hash: TX_HASH_1,
+    index: 0,
+    type: 2,
+    from: ADDR_FROM,
+    to: ADDR_TO,
+    value: 1000000000000000000n,
+    data: '0xa9059cbb',
+    nonce: 7,
+    gasLimit: 21000n,
+    gasPrice: 5000000000n,
+    maxFeePerGas: 6000000000n,
+    maxPriorityFeePerGas: 1000000000n,
+    signature: {
+      r: '0x' + '0a'.repeat(32),
+      s: '0x' + '0b'.repeat(32),
+      v: 28,
+      yParity: 1,
+      networkV: null,
+    },
+    ...overrides,
+  };
+}
+
+function makeBlock(overrides = {}) {
+  const transactions = overrides.prefetchedTransactions || [];
+  return {
+    number: 100,
+    hash: HASH_A,
+    parentHash: HASH_B,
+    miner: MINER,
+    timestamp: 1700000000,
+    gasLimit: 30000000n,
+    gasUsed: 21000n,
+    baseFeePerGas: 1000n,
+    extraData: '0x',
+    transactions: transactions.map(tx => tx.hash),
+    prefetchedTransactions: transactions,
+    ...overrides,
+  };
+}
+
+/**
+ * Queries issued inside the transaction, optionally filtered by table
+ */
+function queriesFor(table) {
+  return mockClient.query.mock.calls.filter(
+    ([query]) => !table || query.includes(`INSERT INTO ${table} `)
+  );
+}
+
+/**
+ * Split a multi-row INSERT back into one value array per row
+ */
+function rowsOf([query, values]) {
+  const columns = query.match(/\(([^)]+)\)/)[1].split(', ');
+  const rows = [];
+  for (let i = 0; i < values.length; i += columns.length) {
+    rows.push(values.slice(i, i + columns.length));
+  }
+  return { columns, rows };
+}
+
+/**
+ * Every row inserted into a table, across statements
+ */
+function insertedRows(table) {
+  return queriesFor(table).flatMap(call => rowsOf(call).rows);
+}
+
+/**
+ * Default client.query: every row is inserted; RETURNING echoes the inserted values
+ */
+async function insertAll(query, values = []) {
+  const returning = query.match(/RETURNING (.+)/);
+  if (!returning) {
+    return { rowCount: 1, rows: [] };
+  }
+  const { columns, rows } = rowsOf([query, values]);
+  const returned = returning[1].trim().split(', ');
+  return {
+    rowCount: rows.length,
+    rows: rows.map(row => Object.fromEntries(
+      returned.map(column => [column, row[columns.indexOf(column)]])
+    )),
+  };
+}
+
+/**
+ * client.query for a rollback: token_balances and tokens UPDATEs only touch
+ * the stored rows given (balances by address hex, counters by token hex)
+ */
+function storedTokenRows({ balances = {}, tokens = {} }, fallback = insertAll) {
+  return async (query, values) => {
+    if (query.includes('UPDATE token_balances')) {
+      const [tokenAddresses, addresses, deltas] = values;
+      const rows = addresses.flatMap((address, i) => {
+        const previous = balances[address.toString('hex')];
+        if (previous === undefined) return [];
+        const balance = BigInt(previous) + BigInt(deltas[i]);
+        return [{
+          token_address: tokenAddresses[i],
+          address,
+          balance: (balance < 0n ? 0n : balance).toString(),
+          previous,
+        }];
+      });
+      return { rowCount: rows.length, rows };
+    }
+    if (query.includes('UPDATE tokens')) {
+      const [tokenAddresses, holders, transfers] = values;
+      const rows = tokenAddresses.flatMap((token, i) => {
+        const stored = tokens[token.toString('hex')];
+        if (!stored) return [];
+        return [{ clamped: stored.holders + holders[i] < 0 || stored.transfers + transfers[i] < 0 }];
+      });
+      return { rowCount: rows.length, rows };
+    }
+    return fallback(query, values);
+  };
+}
+
+/**
+ * Default db.query: partitions of 1M blocks, all of them already there
+ */
+async function partitionQueries(query) {
+  if (query.includes('block_partition_size()')) {
+    return { rows: [{ size: '1000000' }] };
+  }
+  if (query.includes('ensure_block_partitions')) {
+    return { rows: [{ created: 0 }] };
+  }
+  return { rowCount: 0, rows: [] };
+}
+
+describe('BlockStorage Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockImplementation(insertAll);
+    mockDb.query.mockImplementation(partitionQueries);
+    blockStorage.partitionSize = null;
+    blockStorage.partitions.clear();
+  });
+
+  describe('transformTransaction()', () => {
+    it('should convert an EIP-1559 transaction to database format', () => {
+      const block = makeBlock();
+      const row = blockStorage.transformTransaction(makeTx(), block);
+
+      expect(row.hash).toEqual(Buffer.from('11'.repeat(32), 'hex'));
+      expect(row.block_hash).toEqual(Buffer.from('aa'.repeat(32), 'hex'));
+      expect(row.block_number).toBe('100');
+      expect(row.transaction_index).toBe(0);
+      expect(row.from_address).toEqual(Buffer.from('01'.repeat(20), 'hex'));
+      expect(row.to_address).toEqual(Buffer.from('02'.repeat(20), 'hex'));
+      expect(row.value).toBe('1000000000000000000');
+      expect(row.input).toEqual(Buffer.from('a9059cbb', 'hex'));
+      expect(row.nonce).toBe(7);
+      expect(row.gas_limit).toBe('21000');
+      expect(row.max_fee_per_gas).toBe('6000000000');
+      expect(row.max_priority_fee_per_gas).toBe('1000000000');
+      expect(row.type).toBe(2);
+      expect(row.v).toBe('1');
+      expect(row.r).toBe(BigInt('0x' + '0a'.repeat(32)).toString());
+      expect(row.s).toBe(BigInt('0x' + '0b'.repeat(32)).toString());
+    });
+
+    it('should keep EIP-155 v for legacy transactions', () => {
+      const tx = makeTx({
+        type: 0,
+        maxFeePerGas: null,
+        maxPriorityFeePerGas: null,
+        signature: { r: '0x01', s: '0x02', v: 27, yParity: 0, networkV: 773n },
+      });
+
+      const row = blockStorage.transformTransaction(tx, makeBlock());
+
+      expect(row.v).toBe('773');
+      expect(row.max_fee_per_gas).toBe(null);
+      expect(row.max_priority_fee_per_gas).toBe(null);
+    });
+
+    it('should include receipt data when a receipt is given', () => {
+      const receipt = {
+        hash: TX_HASH_1,
+        status: 0,
+        gasUsed: 20000n,
+        cumulativeGasUsed: 50000n,
+        contractAddress: null,
+      };
+
+      const row = blockStorage.transformTransaction(makeTx(), makeBlock(), receipt);
+
+      expect(row.status).toBe(0);
+      expect(row.gas_used).toBe('20000');
+      expect(row.cumulative_gas_used).toBe('50000');
+      expect(row.contract_address).toBe(null);
+    });
+
+    it('should leave receipt columns null without a receipt', () => {
+      const row = blockStorage.transformTransaction(makeTx(), makeBlock());
+
+      expect(row.status).toBe(null);
+      expect(row.gas_used).toBe(null);
+    });
+
+    it('should store null to_address for contract creation', () => {
+      const row = blockStorage.transformTransaction(makeTx({ to: null }), makeBlock());
+
+      expect(row.to_address).toBe(null);
+    });
+  });
+
+  describe('transformLog()', () => {
+    it('should split topics into topic0..topic3 columns', () => {
+      const log = {
+        transactionHash: TX_HASH_1,
+        blockHash: HASH_A,
+        blockNumber: 100,
+        transactionIndex: 2,
+        index: 5,
+        address: ADDR_TO,
+        topics: ['0x' + 'd1'.repeat(32), '0x' + 'd2'.repeat(32)],
+        data: '0x1234',
+      };
+
+      const row = blockStorage.transformLog(log);
+
+      expect(row.transaction_hash).toEqual(Buffer.from('11'.repeat(32), 'hex'));
+      expect(row.block_number).toBe('100');
+      expect(row.transaction_index).toBe(2);
+      expect(row.log_index).toBe(5);
+      expect(row.address).toEqual(Buffer.from('02'.repeat(20), 'hex'));
+      expect(row.topic0).toEqual(Buffer.from('d1'.repeat(32), 'hex'));
+      expect(row.topic1).toEqual(Buffer.from('d2'.repeat(32), 'hex'));
+      expect(row.topic2).toBe(null);
+      expect(row.topic3).toBe(null);
+      expect(row.data).toEqual(Buffer.from('1234', 'hex'));
+    });
+  });
+
+  describe('flattenTrace()', () => {
+    const trace = {
+      type: 'CALL',
+      from: ADDR_FROM,
+      to: ADDR_TO,
+      value: '0x0',
+      calls: [
+        {
+          type: 'CALL',
+          from: ADDR_TO,
+          to: MINER,
+          value: '0xde0b6b3a7640000',
+          gas: '0x5208',
+          gasUsed: '0x5208',
+          input: '0x',
+          calls: [
+            { type: 'STATICCALL', from: MINER, to: ADDR_FROM, gas: '0x100', gasUsed: '0x10', input: '0x01', output: '0x02' },
+          ],
+        },
+        {
+          type: 'CREATE2',
+          from: ADDR_TO,
+          to: '0x' + 'cc'.repeat(20),
+          value: '0x0',
+          input: '0x6080',
+        },
+        {
+          type: 'CALL',
+          from: ADDR_TO,
+          to: MINER,
+          error: 'execution reverted',
+        },
+      ],
+    };
+
+    it('should number frames depth-first and skip the top-level call', () => {
+      const rows = blockStorage.flattenTrace(TX_HASH_1, 100, trace);
+
+      expect(rows.map(r => r.trace_index)).toEqual([0, 1, 2, 3]);
+      expect(rows.map(r => r.call_type)).toEqual(['call', 'staticcall', 'create2', 'call']);
+      expect(rows[0].value).toBe('1000000000000000000');
+      expect(rows[0].gas).toBe('21000');
+      expect(rows[1].value).toBe('0');
+      expect(rows[1].output).toEqual(Buffer.from('02', 'hex'));
+      expect(rows.every(r => r.block_number === '100')).toBe(true);
+    });
+
+    it('should store created contracts separately from to_address', () => {
+      const rows = blockStorage.flattenTrace(TX_HASH_1, 100, trace);
+
+      expect(rows[2].to_address).toBe(null);
+      expect(rows[2].created_contract_address).toEqual(Buffer.from('cc'.repeat(20), 'hex'));
+    });
+
+    it('should keep call errors', () => {
+      const rows = blockStorage.flattenTrace(TX_HASH_1, 100, trace);
+
+      expect(rows[3].error).toBe('execution reverted');
+    });
+
+    it('should not record contracts created under a failed frame', () => {
+      const rows = blockStorage.flattenTrace(TX_HASH_1, 100, {
+        type: 'CALL',
+        calls: [{
+          type: 'CALL',
+          from: ADDR_FROM,
+          to: ADDR_TO,
+          error: 'execution reverted',
+          calls: [{ type: 'CREATE', from: ADDR_TO, to: '0x' + 'cc'.repeat(20) }],
+        }],
+      });
+
+      expect(rows[1].call_type).toBe('create');
+      expect(rows[1].created_contract_address).toBe(null);
+    });
+
+    it('should return nothing for transactions without internal calls', () => {
+      expect(blockStorage.flattenTrace(TX_HASH_1, 100, { type: 'CALL' })).toEqual([]);
+    });
+  });
+
+  describe('saveBlocks()', () => {
+    it('should save blocks and their transactions in one transaction', async () => {
+      const block = makeBlock({
+        prefetchedTransactions: [
+          makeTx(),
+          makeTx({ hash: TX_HASH_2, index: 1, nonce: 8 }),
+        ],
+      });
+
+      const saved = await blockStorage.saveBlocks([block]);
+
+      expect(saved).toBe(1);
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(queries[0]).toContain('INSERT INTO blocks');
+      expect(queries[1]).toContain('INSERT INTO transactions');
+      expect(queries[0]).toContain('ON CONFLICT (hash, number) DO NOTHING');
+      expect(queries[1]).toContain('ON CONFLICT (hash, block_number) DO NOTHING');
+      expect(queriesFor('blocks')).toHaveLength(1);
+      expect(queriesFor('transactions')).toHaveLength(1);
+      expect(insertedRows('transactions')).toHaveLength(2);
+    });
+
+    it('should write each table with one statement per chunk', async () => {
+      const blocks = Array.from({ length: 3 }, (_, i) => makeBlock({
+        number: 100 + i,
+        hash: '0x' + (i + 1).toString(16).padStart(64, '0'),
+      }));
+
+      await blockStorage.saveBlocks(blocks);
+
+      const [blockInsert] = queriesFor('blocks');
+      const { columns, rows } = rowsOf(blockInsert);
+      expect(queriesFor('blocks')).toHaveLength(1);
+      expect(rows.map(row => row[columns.indexOf('number')])).toEqual(['100', '101', '102']);
+      expect(blockInsert[0]).toContain(`($${columns.length + 1}, `);
+    });
+
+    it('should split inserts that exceed the bind parameter limit', async () => {
+      const transactions = Array.from({ length: 4000 }, (_, i) => makeTx({
+        hash: '0x' + i.toString(16).padStart(64, '0'),
+        index: i,
+      }));
+
+      await blockStorage.saveBlocks([makeBlock({ prefetchedTransactions: transactions })]);
+
+      const statements = queriesFor('transactions');
+      expect(statements.length).toBeGreaterThan(1);
+      statements.forEach(([, values]) => expect(values.length).toBeLessThanOrEqual(65535));
+      expect(insertedRows('transactions')).toHaveLength(4000);
+    });
+
+    it('should match receipts to transactions by hash', async () => {
+      const created = '0x' + 'cc'.repeat(20);
+      const block = makeBlock({
+        prefetchedTransactions: [makeTx({ to: null })],
+      });
+      const receipts = [{
+        hash: TX_HASH_1.toUpperCase().replace('0X', '0x'),
+        status: 1,
+        gasUsed: 100000n,
+        cumulativeGasUsed: 100000n,
+        contractAddress: created,
+      }];
+
+      await blockStorage.saveBlocks([block], { receipts });
+
+      const [txQuery, txValues] = queriesFor('transactions')[0];
+      const columns = txQuery.match(/\(([^)]+)\)/)[1].split(', ');
+      expect(txValues[columns.indexOf('status')]).toBe(1);
+      expect(txValues[columns.indexOf('contract_address')]).toEqual(Buffer.from('cc'.repeat(20), 'hex'));
+    });
+
+    it('should save receipt logs after their transaction', async () => {
+      const block = makeBlock({ prefetchedTransactions: [makeTx()] });
+      const logTemplate = {
+        transactionHash: TX_HASH_1,
+        blockHash: HASH_A,
+        blockNumber: 100,
+        transactionIndex: 0,
+        address: ADDR_TO,
+        topics: ['0x' + 'd1'.repeat(32)],
+        data: '0x',
+      };
+      const receipts = [{
+        hash: TX_HASH_1,
+        status: 1,
+        gasUsed: 21000n,
+        cumulativeGasUsed: 21000n,
+        contractAddress: null,
+        logs: [{ ...logTemplate, index: 0 }, { ...logTemplate, index: 1 }],
+      }];
+
+      await blockStorage.saveBlocks([block], { receipts });
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(queries[1]).toContain('INSERT INTO transactions');
+      expect(queries[2]).toContain('INSERT INTO logs');
+      expect(queries[2]).toContain('ON CONFLICT (transaction_hash, log_index, block_number) DO NOTHING');
+      expect(queriesFor('logs')).toHaveLength(1);
+      expect(insertedRows('logs')).toHaveLength(2);
+    });
+
+    it('should save decoded token transfers in the same transaction', async () => {
+      const tokenTransfers = [{
+        transactionHash: TX_HASH_1,
+        blockNumber: 100,
+        logIndex: 4,
+        batchIndex: 1,
+        tokenAddress: ADDR_TO,
+        from: ADDR_FROM,
+        to: MINER,
+        value: 5n,
+        tokenId: 42n,
+        tokenType: 'ERC-1155',
+      }];
+
+      await blockStorage.saveBlocks([makeBlock()], { tokenTransfers });
+
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+      const [query, values] = queriesFor('token_transfers')[0];
+      expect(query).toContain('ON CONFLICT (transaction_hash, log_index, batch_index) DO NOTHING');
+      expect(values).toEqual(expect.arrayContaining(['100', 4, 1, '5', '42', 'ERC-1155']));
+
+      // Balances and counters in the same transaction, after the token's address row
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      const order = ['addresses', 'token_balances', 'tokens']
+        .map(table => statements.findIndex(sql => sql.includes(`INSERT INTO ${table} `)));
+      expect(order).not.toContain(-1);
+      expect([...order].sort((a, b) => a - b)).toEqual(order);
+      expect(insertedRows('token_balances')).toHaveLength(2);
+      expect(insertedRows('addresses').map(row => row[0])).toContainEqual(Buffer.from('02'.repeat(20), 'hex'));
+    });
+
+    it('should only count token transfers that were not saved before', async () => {
+      const tokenTransfers = [{
+        transactionHash: TX_HASH_1,
+        blockNumber: 100,
+        logIndex: 4,
+        tokenAddress: ADDR_TO,
+        from: ADDR_FROM,
+        to: MINER,
+        value: 5n,
+        tokenId: null,
+        tokenType: 'ERC-20',
+      }];
+      mockClient.query.mockImplementation(async (query, values) => (
+        query.includes('INSERT INTO token_transfers ')
+          ? { rowCount: 0, rows: [] }
+          : insertAll(query, values)
+      ));
+
+      await blockStorage.saveBlocks([makeBlock()], { tokenTransfers });
+
+      expect(queriesFor('token_transfers')).toHaveLength(1);
+      expect(queriesFor('token_balances')).toHaveLength(0);
+      expect(queriesFor('tokens')).toHaveLength(0);
+    });
+
+    it('should skip transactions when block only has hashes', async () => {
+      const block = makeBlock({
+        transactions: [TX_HASH_1],
+        prefetchedTransactions: undefined,
+      });
+
+      await blockStorage.saveBlocks([block]);
+
+      expect(queriesFor('blocks')).toHaveLength(1);
+      expect(queriesFor('transactions')).toHaveLength(0);
+    });
+
+    it('should upsert miner, senders, recipients and log emitters', async () => {
+      const block = makeBlock({ prefetchedTransactions: [makeTx()] });
+      const receipts = [{
+        hash: TX_HASH_1,
+        status: 1,
+        gasUsed: 21000n,
+        cumulativeGasUsed: 21000n,
+        contractAddress: null,
+        logs: [{
+          transactionHash: TX_HASH_1,
+          blockHash: HASH_A,
+          blockNumber: 100,
+          transactionIndex: 0,
+          index: 0,
+          address: ADDR_TO,
+          topics: [],
+          data: '0x',
+        }],
+      }];
+
+      await blockStorage.saveBlocks([block], { receipts });
+
+      const upserts = queriesFor('addresses');
+      expect(upserts).toHaveLength(1);
+      expect(upserts[0][0]).toContain('transaction_count = addresses.transaction_count + EXCLUDED.transaction_count');
+
+      // Sorted by address: 0x0101.. (from), 0x0202.. (to + log emitter), 0x0f0f.. (miner)
+      const rows = insertedRows('addresses');
+      expect(rows).toHaveLength(3);
+      expect(rows[0].slice(0, 3)).toEqual([Buffer.from('01'.repeat(20), 'hex'), 1, false]);
+      expect(rows[1].slice(0, 3)).toEqual([Buffer.from('02'.repeat(20), 'hex'), 1, true]);
+      expect(rows[2].slice(0, 3)).toEqual([Buffer.from('0f'.repeat(20), 'hex'), 0, false]);
+    });
+
+    it('should record contract creation data with deployed bytecode', async () => {
+      const created = '0x' + 'cc'.repeat(20);
+      const block = makeBlock({ prefetchedTransactions: [makeTx({ to: null })] });
+      const receipts = [{
+        hash: TX_HASH_1,
+        status: 1,
+        gasUsed: 100000n,
+        cumulativeGasUsed: 100000n,
+        contractAddress: created,
+        logs: [],
+      }];
+      const contractCodes = new Map([[created, '0x6080']]);
+
+      await blockStorage.saveBlocks([block], { receipts, contractCodes });
+
+      const contractRow = insertedRows('addresses')
+        .find(values => values[0].equals(Buffer.from('cc'.repeat(20), 'hex')));
+
+      expect(contractRow).toEqual([
+        Buffer.from('cc'.repeat(20), 'hex'),
+        0,
+        true,
+        Buffer.from('6080', 'hex'),
+        Buffer.from('01'.repeat(20), 'hex'),
+        Buffer.from('11'.repeat(32), 'hex'),
+        '100',
+      ]);
+    });
+
+    it('should record contract creation data for contracts created in traces', async () => {
+      const created = '0x' + 'cc'.repeat(20);
+      const traces = [{
+        transactionHash: TX_HASH_1,
+        blockNumber: 100,
+        trace: {
+          type: 'CALL',
+          calls: [{ type: 'CREATE2', from: ADDR_TO, to: created, input: '0x6080' }],
+        },
+      }];
+      const contractCodes = new Map([[created, '0x6080']]);
+
+      await blockStorage.saveBlocks([makeBlock({ prefetchedTransactions: [makeTx()] })], {
+        traces,
+        contractCodes,
+      });
+
+      const contractRow = insertedRows('addresses')
+        .find(values => values[0].equals(Buffer.from('cc'.repeat(20), 'hex')));
+
+      expect(contractRow).toEqual([
+        Buffer.from('cc'.repeat(20), 'hex'),
+        0,
+        true,
+        Buffer.from('6080', 'hex'),
+        Buffer.from('02'.repeat(20), 'hex'),
+        Buffer.from('11'.repeat(32), 'hex'),
+        '100',
+      ]);
+    });
+
+    it('should not count transactions that already existed', async () => {
+      const block = makeBlock({ prefetchedTransactions: [makeTx()] });
+      mockClient.query.mockImplementation(async (query) => ({
+        rowCount: query.includes('INSERT INTO transactions ') ? 0 : 1,
+        rows: [],
+      }));
+
+      await blockStorage.saveBlocks([block]);
+
+      const counts = insertedRows('addresses').map(values => values[1]);
+      expect(counts).toEqual([0, 0, 0]);
+    });
+
+    it('should save internal transactions from traces', async () => {
+      const traces = [{
+        transactionHash: TX_HASH_1,
+        blockNumber: 100,
+        trace: {
+          type: 'CALL',
+          calls: [{ type: 'CALL', from: ADDR_TO, to: MINER, value: '0x1' }],
+        },
+      }];
+
+      await blockStorage.saveBlocks([makeBlock({ prefetchedTransactions: [makeTx()] })], { traces });
+
+      const inserts = queriesFor('internal_transactions');
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][0]).toContain('ON CONFLICT (transaction_hash, trace_index) DO NOTHING');
+    });
+
+    it('should not count blocks skipped by conflict', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      const saved = await blockStorage.saveBlocks([makeBlock()]);
+
+      expect(saved).toBe(0);
+    });
+
+    it('should return 0 for empty input', async () => {
+      const saved = await blockStorage.saveBlocks([]);
+
+      expect(saved).toBe(0);
+      expect(mockDb.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow database errors', async () => {
+      mockClient.query.mockRejectedValue(new Error('insert failed'));
+
+      await expect(blockStorage.saveBlocks([makeBlock()])).rejects.toThrow('insert failed');
+    });
+
+    it('should store each block\'s finality status', async () => {
+      const finality = { safe: 101, finalized: 100 };
+      const blocks = [
+        makeBlock({ number: 100 }),
+        makeBlock({ number: 101, hash: HASH_B }),
+        makeBlock({ number: 102, hash: '0x' + 'ab'.repeat(32) }),
+      ];
+
+      await blockStorage.saveBlocks(blocks, { finality });
+
+      const { columns, rows } = rowsOf(queriesFor('blocks')[0]);
+      const statuses = rows.map(values => values[columns.indexOf('finality')]);
+      expect(statuses).toEqual(['finalized', 'safe', 'latest']);
+    });
+  });
+
+  describe('applyTokenTransfers()', () => {
+    const TOKEN = Buffer.from('aa'.repeat(20), 'hex');
+    const ZERO = Buffer.alloc(20);
+    const ALICE = Buffer.from('01'.repeat(20), 'hex');
+    const BOB = Buffer.from('02'.repeat(20), 'hex');
+
+    function transfer(from, to, value, tokenType = 'ERC-20') {
+      return { token_address: TOKEN, from_address: from, to_address: to, value, token_type: tokenType };
+    }
+
+    /**
+     * client.query returning the given balances after the upsert
+     */
+    function balancesAfter(balances) {
+      mockClient.query.mockImplementation(async (query, values) => {
+        if (!query.includes('INSERT INTO token_balances ')) {
+          return insertAll(query, values);
+        }
+        const { rows } = rowsOf([query, values]);
+        return {
+          rowCount: rows.length,
+          rows: rows.map(([token_address, address]) => ({
+            token_address,
+            address,
+            balance: balances[address.toString('hex')],
+          })),
+        };
+      });
+    }
+
+    it('should net transfers per holder and skip the zero address', async () => {
+      const result = await blockStorage.applyTokenTransfers(mockClient, [
+        transfer(ZERO, ALICE, '100'), // mint
+        transfer(ALICE, BOB, '30'),
+        transfer(BOB, ZERO, '10'), // burn
+      ], 1);
+
+      const [query] = queriesFor('token_balances')[0];
+      expect(query).toContain('balance = token_balances.balance + EXCLUDED.balance');
+      expect(insertedRows('token_balances')).toEqual([
+        [TOKEN, ALICE, '70'],
+        [TOKEN, BOB, '20'],
+      ]);
+      // Two new holders, three transfers
+      expect(insertedRows('tokens')).toEqual([[TOKEN, 'ERC-20', 2, 3]]);
+      expect(queriesFor('tokens')[0][0]).toContain('holder_count = tokens.holder_count + EXCLUDED.holder_count');
+      expect(result).toEqual({ balances: 2, tokens: 1 });
+    });
+
+    it('should count holders whose balance crosses zero', async () => {
+      // Alice had 30 and sends all of it to Bob, who had 0
+      balancesAfter({ ['01'.repeat(20)]: '0', ['02'.repeat(20)]: '30' });
+
+      await blockStorage.applyTokenTransfers(mockClient, [transfer(ALICE, BOB, '30')], 1);
+
+      expect(insertedRows('tokens')).toEqual([[TOKEN, 'ERC-20', 0, 1]]);
+    });
+
+    it('should drop a holder when a revert empties their balance', async () => {
+      mockClient.query.mockImplementation(storedTokenRows({
+        balances: { ['01'.repeat(20)]: '30' },
+        tokens: { ['aa'.repeat(20)]: { holders: 1, transfers: 1 } },
+      }));
+
+      const result = await blockStorage.applyTokenTransfers(mockClient, [transfer(ZERO, ALICE, '30')], -1);
+
+      const [[balanceQuery, balanceParams]] = mockClient.query.mock.calls
+        .filter(([query]) => query.includes('UPDATE token_balances'));
+      expect(balanceQuery).toContain('GREATEST(old.balance + v.delta, 0)');
+      expect(balanceParams).toEqual([[TOKEN], [ALICE], ['-30']]);
+
+      const [[tokenQuery, tokenParams]] = mockClient.query.mock.calls
+        .filter(([query]) => query.includes('UPDATE tokens'));
+      expect(tokenQuery).toContain('GREATEST(old.holder_count + v.holders, 0)');
+      expect(tokenParams).toEqual([[TOKEN], [-1], [-1]]);
+
+      expect(queriesFor('token_balances')).toHaveLength(0);
+      expect(queriesFor('tokens')).toHaveLength(0);
+      expect(logger.warn).not.toHaveBeenCalled();
+      expect(result).toEqual({ balances: 1, tokens: 1 });
+    });
+
+    it('should not create rows when reverting transfers without stored balances', async () => {
+      // Bob's balance row and the token's counters are missing (partial backfill)
+      mockClient.query.mockImplementation(storedTokenRows({
+        balances: { ['01'.repeat(20)]: '0' },
+      }));
+
+      const result = await blockStorage.applyTokenTransfers(mockClient, [transfer(ALICE, BOB, '30')], -1);
+
+      expect(queriesFor('token_balances')).toHaveLength(0);
+      expect(queriesFor('tokens')).toHaveLength(0);
+      expect(logger.warn).toHaveBeenCalledWith('Token balances did not match the rolled back transfers', {
+        missingBalances: 1,
+        clampedBalances: 0,
+        missingTokens: 1,
+        clampedTokens: 0,
+      });
+      expect(result).toEqual({ balances: 1, tokens: 0 });
+    });
+
+    it('should report balances and counters that would go negative', async () => {
+      mockClient.query.mockImplementation(storedTokenRows({
+        balances: { ['01'.repeat(20)]: '10' },
+        tokens: { ['aa'.repeat(20)]: { holders: 0, transfers: 0 } },
+      }));
+
+      await blockStorage.applyTokenTransfers(mockClient, [transfer(ZERO, ALICE, '30')], -1);
+
+      expect(logger.warn).toHaveBeenCalledWith('Token balances did not match the rolled back transfers', {
+        missingBalances: 0,
+        clampedBalances: 1,
+        missingTokens: 0,
+        clampedTokens: 1,
+      });
+    });
+
+    it('should skip balances that net to zero', async () => {
+      await blockStorage.applyTokenTransfers(mockClient, [
+        transfer(ALICE, BOB, '5'),
+        transfer(BOB, ALICE, '5'),
+        transfer(ALICE, ALICE, '7'),
+      ], 1);
+
+      expect(queriesFor('token_balances')).toHaveLength(0);
+      expect(insertedRows('tokens')).toEqual([[TOKEN, 'ERC-20', 0, 3]]);
+    });
+
+    it('should do nothing without transfers', async () => {
+      const result = await blockStorage.applyTokenTransfers(mockClient, [], 1);
+
+      expect(result).toEqual({ balances: 0, tokens: 0 });
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensurePartitions()', () => {
+    const ensureCalls = () => mockDb.query.mock.calls.filter(([sql]) =>
+      sql.includes('ensure_block_partitions'));
+
+    it('should create the partitions for a range and cache them', async () => {
+      await blockStorage.ensurePartitions(999000, 1000500);
+
+      expect(mockDb.query).toHaveBeenCalledWith('SELECT block_partition_size() AS size');
+      expect(ensureCalls()).toEqual([
+        ['SELECT ensure_block_partitions($1, $2) AS created', ['999000', '1000500']],
+      ]);
+
+      // Partitions 0 and 1 plus the one ahead (2) are now known
+      await blockStorage.ensurePartitions(1000501, 1999999);
+      expect(ensureCalls()).toHaveLength(1);
+      expect(mockDb.query.mock.calls.filter(([sql]) =>
+        sql.includes('block_partition_size()'))).toHaveLength(1);
+    });
+
+    it('should ask the database again when a range reaches a new partition', async () => {
+      await blockStorage.ensurePartitions(100, 200);
+      await blockStorage.ensurePartitions(1999900, 2000100);
+
+      expect(ensureCalls()).toHaveLength(2);
+      expect(ensureCalls()[1][1]).toEqual(['1999900', '2000100']);
+    });
+
+    it('should log created partitions', async () => {
+      mockDb.query.mockImplementation(async (sql) => sql.includes('ensure_block_partitions')
+        ? { rows: [{ created: 3 }] }
+        : partitionQueries(sql));
+
+      const created = await blockStorage.ensurePartitions(2500000, 2500000);
+
+      expect(created).toBe(3);
+      expect(logger.info).toHaveBeenCalledWith('Created block partitions', {
+        from: 2000000,
+        to: 3999999,
+        partitions: 3,
+      });
+    });
+
+    it('should be called before the batch transaction with the batch range', async () => {
+      const order = [];
+      jest.spyOn(blockStorage, 'ensurePartitions').mockImplementation(async () => {
+        order.push('partitions');
+        return 0;
+      });
+      mockDb.transaction.mockImplementationOnce(async (callback) => {
+        order.push('transaction');
+        return callback(mockClient);
+      });
+
+      await blockStorage.saveBlocks([
+        makeBlock({ number: 1000001, hash: HASH_B }),
+        makeBlock({ number: 999999 }),
+      ]);
+
+      expect(blockStorage.ensurePartitions).toHaveBeenCalledWith(999999, 1000001);
+      expect(order).toEqual(['partitions', 'transaction']);
+      blockStorage.ensurePartitions.mockRestore();
+    });
+
+    it('should not write the batch when partitions cannot be created', async () => {
+      mockDb.query.mockRejectedValue(new Error('permission denied'));
+
+      await expect(blockStorage.saveBlocks([makeBlock()])).rejects.toThrow('permission denied');
+      expect(mockDb.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveBlocks() checkpoint', () => {
+    it('should advance indexer_state in the same transaction', async () => {
+      await blockStorage.saveBlocks([makeBlock()], {
+        checkpoint: { watermark: 100, headBlock: 120, reorgId: 4 },
+      });
+
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+      const statements = mockClient.query.mock.calls;
+      const [lockSql] = statements[statements.length - 2];
+      const [sql, params] = statements[statements.length - 1];
+      expect(lockSql).toContain('FROM indexer_state WHERE id = 1 FOR UPDATE');
+      expect(sql).toContain('UPDATE indexer_state');
+      expect(sql).toContain('watermark = GREATEST(watermark, $1)');
+      expect(sql).toContain('NOT EXISTS (SELECT 1 FROM reorgs WHERE id > $3 AND common_ancestor < $1)');
+      expect(params).toEqual(['100', '120', '4']);
+    });
+
+    it('should leave indexer_state alone without a checkpoint', async () => {
+      await blockStorage.saveBlocks([makeBlock()]);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements.some(sql => sql.includes('indexer_state'))).toBe(false);
+    });
+  });
+
+  describe('updateFinality()', () => {
+    it('should promote blocks to finalized and safe in one transaction', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rowCount: 5, rows: [] })
+        .mockResolvedValueOnce({ rowCount: 2, rows: [] });
+
+      const promoted = await blockStorage.updateFinality({ safe: 120, finalized: 110 });
+
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+      const [[finalizedSql, finalizedParams], [safeSql, safeParams]] = mockClient.query.mock.calls;
+      expect(finalizedSql).toContain("SET finality = 'finalized'");
+      expect(finalizedParams).toEqual(['110']);
+      expect(safeSql).toContain("WHERE number <= $1 AND finality = 'latest'");
+      expect(safeParams).toEqual(['120']);
+      expect(promoted).toEqual({ safe: 2, finalized: 5 });
+    });
+
+    it('should rethrow database errors', async () => {
+      mockClient.query.mockRejectedValue(new Error('update failed'));
+
+      await expect(blockStorage.updateFinality({ safe: 1, finalized: 0 })).rejects.toThrow('update failed');
+    });
+  });
+
+  describe('rollbackBlocksFrom()', () => {
+    const reorg = {
+      commonAncestor: 99,
+      depth: 1,
+      oldHash: HASH_A,
+      newHash: HASH_B,
+    };
+
+    function statementsMatching(pattern) {
+      return mockClient.query.mock.calls.filter(([sql]) => pattern.test(sql));
+    }
+
+    it('should revert and delete derived rows and record the reorg in one transaction', async () => {
+      mockClient.query.mockImplementation(async (query) =>
+        query.includes('INSERT INTO reorgs')
+          ? { rowCount: 1, rows: [{ id: '7' }] }
+          : { rowCount: 3, rows: [] }
+      );
+
+      const counts = await blockStorage.rollbackBlocksFrom(100, reorg);
+
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      const order = [
+        /UPDATE addresses a\s+SET transaction_count/,
+        /contract_created_block = NULL/,
+        /DELETE FROM token_transfers/,
+        /DELETE FROM internal_transactions/,
+        /DELETE FROM logs/,
+        /DELETE FROM transactions/,
+        /DELETE FROM blocks/,
+        /INSERT INTO reorgs/,
+        /UPDATE indexer_state SET watermark = LEAST\(watermark, \$1\)/,
+      ].map(pattern => statements.findIndex(sql => pattern.test(sql)));
+
+      expect(order).not.toContain(-1);
+      expect([...order].sort((a, b) => a - b)).toEqual(order);
+
+      const [[, params]] = statementsMatching(/INSERT INTO reorgs/);
+      expect(params).toEqual([
+        '100', '99', 1,
+        Buffer.from(HASH_A.slice(2), 'hex'),
+        Buffer.from(HASH_B.slice(2), 'hex'),
+        3,
+      ]);
+      expect(statementsMatching(/UPDATE indexer_state/)[0][0]).not.toContain('AND watermark >');
+      expect(counts).toEqual(expect.objectContaining({ reorgId: 7, blocks: 3, tokenTransfers: 3 }));
+    });
+
+    it('should revert the balances and counters of removed token transfers', async () => {
+      const token = Buffer.from('02'.repeat(20), 'hex');
+      mockClient.query.mockImplementation(async (query, values) => {
+        if (query.includes('DELETE FROM token_transfers')) {
+          return {
+            rowCount: 1,
+            rows: [{
+              token_address: token,
+              from_address: Buffer.from('01'.repeat(20), 'hex'),
+              to_address: Buffer.from('0f'.repeat(20), 'hex'),
+              value: '5',
+              token_type: 'ERC-20',
+            }],
+          };
+        }
+        // The sender gets their 5 back, the recipient is down to 0
+        return storedTokenRows({
+          balances: { ['01'.repeat(20)]: '0', ['0f'.repeat(20)]: '5' },
+          tokens: { ['02'.repeat(20)]: { holders: 1, transfers: 1 } },
+        })(query, values);
+      });
+
+      const counts = await blockStorage.rollbackBlocksFrom(100, reorg);
+
+      expect(statementsMatching(/DELETE FROM token_transfers[\s\S]*RETURNING/)).toHaveLength(1);
+      expect(statementsMatching(/UPDATE token_balances/)[0][1]).toEqual([
+        [token, token],
+        [Buffer.from('01'.repeat(20), 'hex'), Buffer.from('0f'.repeat(20), 'hex')],
+        ['5', '-5'],
+      ]);
+      // One holder swapped for another, one transfer less
+      expect(statementsMatching(/UPDATE tokens/)[0][1]).toEqual([[token], [0], [-1]]);
+      expect(queriesFor('token_balances')).toHaveLength(0);
+      expect(counts).toEqual(expect.objectContaining({ tokenTransfers: 1, tokenBalances: 2 }));
+    });
+
+    it('should not touch balances when no token transfers were removed', async () => {
+      mockClient.query.mockImplementation(async (query) =>
+        query.includes('INSERT INTO reorgs')
+          ? { rowCount: 1, rows: [{ id: '1' }] }
+          : { rowCount: 0, rows: [] }
+      );
+
+      await blockStorage.rollbackBlocksFrom(100, reorg);
+
+      expect(statementsMatching(/token_balances|INSERT INTO tokens /)).toHaveLength(0);
+      expect(statementsMatching(/INSERT INTO reorgs/)).toHaveLength(1);
+    });
+
+    it('should rethrow database errors', async () => {
+      mockClient.query.mockRejectedValue(new Error('delete failed'));
+
+      await expect(blockStorage.rollbackBlocksFrom(100, reorg)).rejects.toThrow('delete failed');
+    });
+  });
+
+  describe('findGaps()', () => {
+    it('should return missing ranges as numbers', async () => {
+      mockDb.query.mockResolvedValue({
+        rows: [
+          { gap_from: '0', gap_to: '0' },
+          { gap_from: '4', gap_to: '5' },
+        ],
+      });
+
+      const gaps = await blockStorage.findGaps(0, 10);
+
+      expect(gaps).toEqual([{ from: 0, to: 0 }, { from: 4, to: 5 }]);
+      expect(mockDb.query.mock.calls[0][0]).toContain('LAG(number) OVER (ORDER BY number)');
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['0', '10']);
+    });
+
+    it('should rethrow database errors', async () => {
+      mockDb.query.mockRejectedValue(new Error('query failed'));
+
+      await expect(blockStorage.findGaps(0, 10)).rejects.toThrow('query failed');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const feedServer = require('../../src/indexer/FeedServer');
+
+const FROM = '0x' + '11'.repeat(20);
+const TO = '0x' + '22'.repeat(20);
+const TOKEN = '0x' + '33'.repeat(20);
+
+function makeTx(overrides = {}) {
+  return {
+    hash: '0x' + 'aa'.repeat(32),
+    blockNumber: 100,
+    index: 0,
+    from: FROM,
+    to: TO,
+    value: 5n,
+    ...overrides,
+  };
+}
+
+function makeBlock(transactions = []) {
+  return {
+    number: 100,
+    hash: '0x' + 'bb'.repeat(32),
+    parentHash: '0x' + 'cc'.repeat(32),
+    timestamp: 1700000000,
+    miner: FROM,
+    gasUsed: 21000n,
+    gasLimit: 30000000n,
+    baseFeePerGas: 7n,
+    prefetchedTransactions: transactions,
+  };
+}
+
+describe('FeedServer', () => {
+  let fetcher;
+  let clients;
+
+  beforeAll(async () => {
+    await feedServer.start({ port: 0, host: '127.0.0.1' });
+    fetcher = new EventEmitter();
+    feedServer.attach(fetcher);
+  });
+
+  afterAll(async () => {
+    await feedServer.stop();
+  });
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(ws => new Promise((resolve) => {
+      if (ws.readyState === WebSocket.CLOSED) return resolve();
+      ws.once('close', resolve);
+      ws.close();
+    })));
+  });
+
+  async function connect() {
+    const ws = new WebSocket(`ws://127.0.0.1:${feedServer.address().port}`);
+    ws.messages = [];
+    ws.on('message', (raw) => ws.messages.push(JSON.parse(raw.toString())));
+    clients.push(ws);
+    await new Promise((resolve) => ws.once('open', resolve));
+    return ws;
+  }
+
+  function nextMessage(ws) {
+    return new Promise((resolve) => ws.once('message', (raw) => resolve(JSON.parse(raw.toString()))));
+  }
+
+  // Send a message and return the reply (kept out of ws.messages)
+  async function request(ws, message) {
+    const reply = new Promise((resolve) => {
+      const onMessage = () => {
+        const index = ws.messages.findIndex(m => m.topic === undefined);
+        if (index === -1) return;
+        ws.off('message', onMessage);
+        resolve(ws.messages.splice(index, 1)[0]);
+      };
+      ws.on('message', onMessage);
+    });
+    ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return reply;
+  }
+
+  // Round-trip a message so everything published before it has arrived
+  async function flush(ws) {
+    await request(ws, { action: 'unsubscribe', topics: ['reorgs'] });
+  }
+
+  describe('subscriptions', () => {
+    it('should confirm subscriptions with normalized topics', async () => {
+      const ws = await connect();
+
+      const reply = await request(ws, {
+        action: 'subscribe',
+        topics: ['newBlocks', `address:${FROM.toUpperCase().replace('0X', '0x')}`],
+      });
+
+      expect(reply).toEqual({ type: 'subscribed', topics: ['newBlocks', `address:${FROM}`] });
+    });
+
+    it('should reject invalid topics and messages', async () => {
+      const ws = await connect();
+
+      expect(await request(ws, { action: 'subscribe', topics: ['address:0x12'] }))
+        .toEqual({ type: 'error', error: 'Invalid topic: address:0x12' });
+      expect(await request(ws, 'not json'))
+        .toEqual({ type: 'error', error: 'Invalid JSON' });
+      expect(await request(ws, { action: 'subscribe', topics: [] }))
+        .toEqual({ type: 'error', error: 'topics must be a non-empty array' });
+      expect(await request(ws, { action: 'listen', topics: ['newBlocks'] }))
+        .toEqual({ type: 'error', error: 'Unknown action: listen' });
+    });
+
+    it('should enforce the subscription limit', async () => {
+      const ws = await connect();
+      const topics = Array.from({ length: 101 }, (_, i) =>
+        `address:0x${i.toString(16).padStart(40, '0')}`
+      );
+
+      const reply = await request(ws, { action: 'subscribe', topics });
+
+      expect(reply.type).toBe('error');
+    });
+
+    it('should clean up subscriptions when a client disconnects', async () => {
+      const ws = await connect();
+      await request(ws, { action: 'subscribe', topics: [`token:${TOKEN}`] });
+      expect(feedServer.subscriptions.has(`token:${TOKEN}`)).toBe(true);
+
+      await new Promise((resolve) => {
+        ws.once('close', resolve);
+        ws.close();
+      });
+      // Give the server a tick to process the close frame
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(feedServer.subscriptions.has(`token:${TOKEN}`)).toBe(false);
+    });
+  });
+
+  describe('publishing', () => {
+    it('should push blocks and transactions to their topics', async () => {
+      const ws = await connect();
+      await request(ws, { action: 'subscribe', topics: ['newBlocks', 'newTransactions'] });
+
+      const tx = makeTx();
+      fetcher.emit('batchIndexed', {
+        blocks: [makeBlock([tx])],
+        receipts: [{ hash: tx.hash, status: 1, gasUsed: 21000n, contractAddress: null }],
+        tokenTransfers: [],
+      });
+      await flush(ws);
+
+      expect(ws.messages).toEqual([
+        {
+          topic: 'newBlocks',
+          type: 'block',
+          data: expect.objectContaining({
+            number: 100,
+            gasUsed: '21000',
+            baseFeePerGas: '7',
+            transactionCount: 1,
+          }),
+        },
+        {
+          topic: 'newTransactions',
+          type: 'transaction',
+          data: expect.objectContaining({
+            hash: tx.hash,
+            from: FROM,
+            to: TO,
+            value: '5',
+            status: 1,
+            gasUsed: '21000',
+          }),
+        },
+      ]);
+    });
+
+    it('should push address and token topics only to their subscribers', async () => {
+      const addressClient = await connect();
+      const tokenClient = await connect();
+      const otherClient = await connect();
+      await request(addressClient, { action: 'subscribe', topics: [`address:${TO}`] });
+      await request(tokenClient, { action: 'subscribe', topics: [`token:${TOKEN}`] });
+      await request(otherClient, { action: 'subscribe', topics: [`address:0x${'99'.repeat(20)}`] });
+
+      fetcher.emit('batchIndexed', {
+        blocks: [makeBlock([makeTx()])],
+        receipts: [],
+        tokenTransfers: [{
+          transactionHash: '0x' + 'aa'.repeat(32),
+          blockNumber: 100,
+          logIndex: 0,
+          batchIndex: 0,
+          tokenAddress: TOKEN,
+          from: FROM,
+          to: TO,
+          value: 10n ** 18n,
+          tokenId: null,
+          tokenType: 'ERC-20',
+        }],
+      });
+      await Promise.all([flush(addressClient), flush(tokenClient), flush(otherClient)]);
+
+      expect(addressClient.messages.map(m => m.type)).toEqual(['transaction', 'tokenTransfer']);
+      expect(tokenClient.messages).toEqual([{
+        topic: `token:${TOKEN}`,
+        type: 'tokenTransfer',
+        data: expect.objectContaining({ value: '1000000000000000000', tokenId: null }),
+      }]);
+      expect(otherClient.messages).toEqual([]);
+    });
+
+    it('should push reorgs', async () => {
+      const ws = await connect();
+      await request(ws, { action: 'subscribe', topics: ['reorgs'] });
+
+      const reorg = { blockNumber: 100, oldHash: '0x01', newHash: '0x02', deletedCount: 3 };
+      const message = nextMessage(ws);
+      fetcher.emit('reorg', reorg);
+
+      expect(await message).toEqual({ topic: 'reorgs', type: 'reorg', data: reorg });
+    });
+
+    it('should not throw into the emitter when a batch cannot be formatted', async () => {
+      const ws = await connect();
+      await request(ws, { action: 'subscribe', topics: ['newBlocks'] });
+
+      expect(() => fetcher.emit('batchIndexed', { blocks: [{}] })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,340 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock database client used inside db.transaction()
+const mockClient = {
+  query: jest.fn(),
+};
+
+const mockDb = {
+  query: jest.fn(),
+  transaction: jest.fn(async (callback) => callback(mockClient)),
+};
+
+jest.mock('../../lib/db', () => mockDb);
+
+const logger = require('../../lib/logger');
+const indexManager = require('../../src/indexer/IndexManager');
+
+/**
+ * Stand-in for the catalog queries IndexManager runs through db.query();
+ * DDL statements are collected in `ddl`
+ */
+function mockCatalog({
+  deferred = [],
+  partitioned = [],
+  indexes = {},
+  constraints = {},
+  partitions = {},
+} = {}) {
+  const catalog = { deferred: [...deferred], ddl: [] };
+
+  mockDb.query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM bulk_load_deferred')) {
+      if (sql.includes('DELETE')) {
+        catalog.deferred = catalog.deferred.filter(row =>
+          !(row.table_name === params[0] && row.name === params[1])
+        );
+        return { rowCount: 1 };
+      }
+      return { rows: catalog.deferred };
+    }
+    if (sql.includes('SELECT relkind')) {
+      return { rows: [{ relkind: partitioned.includes(params[0]) ? 'p' : 'r' }] };
+    }
+    if (sql.includes('indisvalid')) {
+      return { rows: params[0] in indexes ? [{ valid: indexes[params[0]] }] : [] };
+    }
+    if (sql.includes('convalidated')) {
+      return { rows: params[1] in constraints ? [{ convalidated: constraints[params[1]] }] : [] };
+    }
+    if (sql.includes('FROM pg_inherits')) {
+      return { rows: partitions[params[0]] || [] };
+    }
+
+    catalog.ddl.push(sql);
+    return { rows: [] };
+  });
+
+  return catalog;
+}
+
+function deferredRow(table_name, name, kind, definition) {
+  return { table_name, name, kind, definition };
+}
+
+describe('IndexManager Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    indexManager.rebuild = null;
+  });
+
+  describe('deferIndexes()', () => {
+    it('should record and drop foreign keys, then secondary indexes', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM pg_constraint')) {
+          return {
+            rows: [{
+              table_name: 'logs',
+              name: 'logs_transaction_hash_block_number_fkey',
+              definition: 'FOREIGN KEY (transaction_hash, block_number) REFERENCES transactions(hash, block_number) ON DELETE CASCADE',
+            }],
+          };
+        }
+        if (sql.includes('FROM pg_index')) {
+          return {
+            rows: [
+              { table_name: 'blocks', name: 'idx_blocks_miner', definition: 'CREATE INDEX idx_blocks_miner ON ONLY public.blocks USING btree (miner)' },
+              { table_name: 'addresses', name: 'idx_addresses_balance', definition: 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)' },
+            ],
+          };
+        }
+        return { rows: [] };
+      });
+
+      const result = await indexManager.deferIndexes();
+
+      expect(result).toEqual({ indexes: 2, constraints: 1 });
+      expect(mockDb.transaction).toHaveBeenCalledTimes(1);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+      expect(statements.filter(sql => /^(ALTER|DROP)/.test(sql))).toEqual([
+        'ALTER TABLE logs DROP CONSTRAINT logs_transaction_hash_block_number_fkey',
+        'DROP INDEX idx_blocks_miner',
+        'DROP INDEX idx_addresses_balance',
+      ]);
+
+      const recorded = mockClient.query.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO bulk_load_deferred'))
+        .map(([, params]) => params.slice(0, 3));
+      expect(recorded).toEqual([
+        ['logs', 'logs_transaction_hash_block_number_fkey', 'constraint'],
+        ['blocks', 'idx_blocks_miner', 'index'],
+        ['addresses', 'idx_addresses_balance', 'index'],
+      ]);
+    });
+
+    it('should keep unique keys and the indexes the indexer reads while syncing', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await indexManager.deferIndexes();
+
+      const [sql, params] = mockClient.query.mock.calls.find(([query]) => query.includes('FROM pg_index'));
+      expect(sql).toContain('NOT x.indisunique');
+      expect(sql).toContain('NOT x.indisprimary');
+      expect(params[0]).toEqual(expect.arrayContaining(['blocks', 'transactions', 'logs']));
+      expect(params[1]).toEqual(expect.arrayContaining([
+        'idx_blocks_not_finalized',
+        'idx_logs_block_number_desc',
+      ]));
+    });
+
+    it('should log and rethrow errors', async () => {
+      mockClient.query.mockRejectedValue(new Error('lock timeout'));
+
+      await expect(indexManager.deferIndexes()).rejects.toThrow('lock timeout');
+      expect(logger.error).toHaveBeenCalledWith('Failed to defer indexes', { error: 'lock timeout' });
+    });
+  });
+
+  describe('rebuildIndexes()', () => {
+    it('should do nothing when nothing is deferred', async () => {
+      const catalog = mockCatalog();
+
+      expect(await indexManager.rebuildIndexes()).toEqual({ rebuilt: 0, remaining: 0 });
+      expect(catalog.ddl).toEqual([]);
+    });
+
+    it('should build indexes concurrently, then restore foreign keys', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_balance', 'index', 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)'),
+          deferredRow('token_transfers', 'token_transfers_transaction_hash_fkey', 'constraint', 'FOREIGN KEY (transaction_hash) REFERENCES transactions(hash)'),
+        ],
+      });
+
+      const result = await indexManager.rebuildIndexes();
+
+      expect(result).toEqual({ rebuilt: 2, remaining: 0 });
+      expect(catalog.ddl).toEqual([
+        'CREATE INDEX CONCURRENTLY idx_addresses_balance ON public.addresses USING btree (balance DESC)',
+        'ALTER TABLE token_transfers ADD CONSTRAINT token_transfers_transaction_hash_fkey FOREIGN KEY (transaction_hash) REFERENCES transactions(hash) NOT VALID',
+        'ALTER TABLE token_transfers VALIDATE CONSTRAINT token_transfers_transaction_hash_fkey',
+      ]);
+      expect(catalog.deferred).toEqual([]);
+      expect(logger.info).toHaveBeenCalledWith('Deferred indexes rebuilt', expect.objectContaining({
+        rebuilt: 2,
+        remaining: 0,
+      }));
+      expect(indexManager.getProgress()).toBeNull();
+    });
+
+    it('should build partitioned indexes per partition and attach them', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('logs', 'idx_logs_topic0', 'index', 'CREATE INDEX idx_logs_topic0 ON ONLY public.logs USING btree (topic0)'),
+        ],
+        partitioned: ['logs'],
+        indexes: { idx_logs_topic0_p0001: false },
+        partitions: {
+          'public.logs': [
+            { partition: 'logs_p0000', attached: true },
+            { partition: 'logs_p0001', attached: false },
+            { partition: 'logs_p0002', attached: false },
+          ],
+        },
+      });
+
+      await indexManager.rebuildIndexes();
+
+      expect(catalog.ddl).toEqual([
+        'CREATE INDEX IF NOT EXISTS idx_logs_topic0 ON ONLY public.logs USING btree (topic0)',
+        // Left invalid by an interrupted build
+        'DROP INDEX CONCURRENTLY idx_logs_topic0_p0001',
+        'CREATE INDEX CONCURRENTLY idx_logs_topic0_p0001 ON logs_p0001 USING btree (topic0)',
+        'ALTER INDEX idx_logs_topic0 ATTACH PARTITION idx_logs_topic0_p0001',
+        'CREATE INDEX CONCURRENTLY idx_logs_topic0_p0002 ON logs_p0002 USING btree (topic0)',
+        'ALTER INDEX idx_logs_topic0 ATTACH PARTITION idx_logs_topic0_p0002',
+      ]);
+      expect(logger.info).toHaveBeenCalledWith('Index partition rebuilt', {
+        index: 'idx_logs_topic0',
+        partition: 'logs_p0002',
+        partitions: '3/3',
+      });
+    });
+
+    it('should skip valid indexes and rebuild invalid ones', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_balance', 'index', 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)'),
+          deferredRow('addresses', 'idx_addresses_last_seen', 'index', 'CREATE INDEX idx_addresses_last_seen ON public.addresses USING btree (last_seen_block DESC)'),
+        ],
+        indexes: { idx_addresses_balance: true, idx_addresses_last_seen: false },
+      });
+
+      await indexManager.rebuildIndexes();
+
+      expect(catalog.ddl).toEqual([
+        'DROP INDEX CONCURRENTLY idx_addresses_last_seen',
+        'CREATE INDEX CONCURRENTLY idx_addresses_last_seen ON public.addresses USING btree (last_seen_block DESC)',
+      ]);
+      expect(catalog.deferred).toEqual([]);
+    });
+
+    it('should add partitioned foreign keys validated and finish half-restored ones', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('internal_transactions', 'internal_transactions_transaction_hash_block_number_fkey', 'constraint', 'FOREIGN KEY (transaction_hash, block_number) REFERENCES transactions(hash, block_number) ON DELETE CASCADE'),
+          deferredRow('logs', 'logs_transaction_hash_block_number_fkey', 'constraint', 'FOREIGN KEY (transaction_hash, block_number) REFERENCES transactions(hash, block_number) ON DELETE CASCADE'),
+        ],
+        partitioned: ['logs'],
+        constraints: { internal_transactions_transaction_hash_block_number_fkey: false },
+      });
+
+      await indexManager.rebuildIndexes();
+
+      expect(catalog.ddl).toEqual([
+        'ALTER TABLE internal_transactions VALIDATE CONSTRAINT internal_transactions_transaction_hash_block_number_fkey',
+        'ALTER TABLE logs ADD CONSTRAINT logs_transaction_hash_block_number_fkey FOREIGN KEY (transaction_hash, block_number) REFERENCES transactions(hash, block_number) ON DELETE CASCADE',
+      ]);
+    });
+
+    it('should stop between items when asked and keep the rest deferred', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_balance', 'index', 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)'),
+          deferredRow('addresses', 'idx_addresses_last_seen', 'index', 'CREATE INDEX idx_addresses_last_seen ON public.addresses USING btree (last_seen_block DESC)'),
+        ],
+      });
+      // Stopped while the first index was being built
+      const shouldContinue = jest.fn()
+        .mockReturnValueOnce(true)
+        .mockReturnValue(false);
+
+      const result = await indexManager.rebuildIndexes({ shouldContinue });
+
+      expect(result).toEqual({ rebuilt: 1, remaining: 1 });
+      expect(catalog.ddl).toEqual([
+        'CREATE INDEX CONCURRENTLY idx_addresses_balance ON public.addresses USING btree (balance DESC)',
+      ]);
+      expect(catalog.deferred.map(row => row.name)).toEqual(['idx_addresses_last_seen']);
+      expect(logger.info).toHaveBeenCalledWith('Index rebuild stopped', expect.objectContaining({
+        rebuilt: 1,
+        remaining: 1,
+      }));
+    });
+
+    it('should report progress while rebuilding', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_balance', 'index', 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)'),
+          deferredRow('addresses', 'idx_addresses_last_seen', 'index', 'CREATE INDEX idx_addresses_last_seen ON public.addresses USING btree (last_seen_block DESC)'),
+        ],
+      });
+      const seen = [];
+      jest.spyOn(indexManager, 'rebuildIndex').mockImplementation(async () => {
+        seen.push(indexManager.getProgress());
+      });
+
+      await indexManager.rebuildIndexes();
+
+      expect(seen.map(({ rebuilt, progress, current }) => ({ rebuilt, progress, current }))).toEqual([
+        { rebuilt: '0/2', progress: '0.00%', current: 'idx_addresses_balance' },
+        { rebuilt: '1/2', progress: '50.00%', current: 'idx_addresses_last_seen' },
+      ]);
+      expect(logger.info).toHaveBeenCalledWith('Index rebuild progress', expect.objectContaining({
+        name: 'idx_addresses_last_seen',
+        rebuilt: '2/2',
+        progress: '100.00%',
+      }));
+      expect(catalog.deferred).toEqual([]);
+
+      indexManager.rebuildIndex.mockRestore();
+    });
+
+    it('should keep a failed item deferred, log and rethrow', async () => {
+      const catalog = mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_balance', 'index', 'CREATE INDEX idx_addresses_balance ON public.addresses USING btree (balance DESC)'),
+        ],
+      });
+      const query = mockDb.query.getMockImplementation();
+      mockDb.query.mockImplementation(async (sql, params) => {
+        if (sql.startsWith('CREATE INDEX CONCURRENTLY')) {
+          throw new Error('could not extend file');
+        }
+        return query(sql, params);
+      });
+
+      await expect(indexManager.rebuildIndexes()).rejects.toThrow('could not extend file');
+
+      expect(catalog.deferred).toHaveLength(1);
+      expect(logger.error).toHaveBeenCalledWith('Failed to rebuild deferred index', {
+        name: 'idx_addresses_balance',
+        error: 'could not extend file',
+      });
+      expect(indexManager.getProgress()).toBeNull();
+    });
+
+    it('should reject definitions it cannot parse', async () => {
+      mockCatalog({
+        deferred: [
+          deferredRow('addresses', 'idx_addresses_code', 'index', 'CREATE UNIQUE INDEX idx_addresses_code ON public.addresses USING btree (code)'),
+        ],
+      });
+
+      await expect(indexManager.rebuildIndexes()).rejects.toThrow('Unexpected definition for index idx_addresses_code');
+    });
+  });
+
+  describe('getProgress()', () => {
+    it('should return null when no rebuild is running', () => {
+      expect(indexManager.getProgress()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+const RequestThrottle = require('../../src/indexer/RequestThrottle');
+
+function rateLimitError(retryAfter) {
+  const error = new Error('server response 429 Too Many Requests');
+  error.response = { statusCode: 429, headers: retryAfter ? { 'retry-after': retryAfter } : {} };
+  return error;
+}
+
+describe('RequestThrottle', () => {
+  const originalRpcConfig = { ...config.rpc, concurrency: { ...config.rpc.concurrency } };
+  let now;
+  let throttle;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    config.rpc.maxRps = 0;
+    config.rpc.rateLimitBackoff = 1000;
+    config.rpc.concurrency = { initial: 4, min: 1, max: 6 };
+
+    throttle = new RequestThrottle({
+      isRateLimited: (error) => error.response?.statusCode === 429,
+    });
+    jest.spyOn(throttle, 'sleep').mockImplementation(async (ms) => {
+      now += ms;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.rpc, originalRpcConfig);
+  });
+
+  // A request that stays in flight until resolved
+  function deferred() {
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+    return { promise, resolve };
+  }
+
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  describe('concurrency', () => {
+    it('should limit in-flight requests and queue the rest', async () => {
+      const pending = Array.from({ length: 6 }, deferred);
+      const started = [];
+
+      const runs = pending.map((item, idx) => throttle.run(() => {
+        started.push(idx);
+        return item.promise;
+      }));
+      await tick();
+
+      expect(started).toEqual([0, 1, 2, 3]);
+      expect(throttle.getStats()).toEqual(expect.objectContaining({ inFlight: 4, queued: 2 }));
+
+      pending[0].resolve();
+      await tick();
+      expect(started).toEqual([0, 1, 2, 3, 4]);
+
+      pending.forEach(item => item.resolve());
+      await Promise.all(runs);
+      expect(throttle.getStats()).toEqual(expect.objectContaining({ inFlight: 0, queued: 0 }));
+    });
+
+    it('should grow the limit after a window of successes, up to the max', async () => {
+      for (let i = 0; i < 4; i++) {
+        await throttle.run(async () => 'ok');
+      }
+      expect(throttle.limit).toBe(5);
+
+      for (let i = 0; i < 50; i++) {
+        await throttle.run(async () => 'ok');
+      }
+      expect(throttle.limit).toBe(6);
+    });
+
+    it('should halve the limit and pause on rate-limit errors', async () => {
+      await expect(throttle.run(() => Promise.reject(rateLimitError()))).rejects.toThrow('429');
+
+      expect(throttle.limit).toBe(2);
+      expect(throttle.pausedUntil).toBe(now + 1000);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'RPC rate limited, reducing concurrency',
+        expect.objectContaining({ from: 4, to: 2 })
+      );
+
+      // The next request waits out the pause
+      await throttle.run(async () => 'ok');
+      expect(throttle.sleep).toHaveBeenCalledWith(1000);
+    });
+
+    it('should treat a burst of rate-limit errors as one signal', async () => {
+      const failures = Array.from({ length: 4 }, () =>
+        throttle.run(() => Promise.reject(rateLimitError()))
+      );
+      await Promise.allSettled(failures);
+
+      expect(throttle.limit).toBe(2);
+
+      // Next window: halves again, but never below the minimum
+      now += 1000;
+      throttle.onRateLimited(rateLimitError());
+      now += 1000;
+      throttle.onRateLimited(rateLimitError());
+      expect(throttle.limit).toBe(1);
+    });
+
+    it('should honour Retry-After', async () => {
+      throttle.onRateLimited(rateLimitError('5'));
+
+      expect(throttle.pausedUntil).toBe(now + 5000);
+    });
+
+    it('should not back off on other errors', async () => {
+      await expect(throttle.run(() => Promise.reject(new Error('execution reverted'))))
+        .rejects.toThrow('reverted');
+
+      expect(throttle.limit).toBe(4);
+      expect(throttle.pausedUntil).toBe(0);
+    });
+  });
+
+  describe('rate limit', () => {
+    it('should enforce the requests-per-second budget', async () => {
+      config.rpc.maxRps = 2;
+      throttle = new RequestThrottle();
+      jest.spyOn(throttle, 'sleep').mockImplementation(async (ms) => {
+        now += ms;
+      });
+
+      const start = now;
+      for (let i = 0; i < 6; i++) {
+        await throttle.run(async () => 'ok');
+      }
+
+      // 2 up front, then one every 500ms
+      expect(now - start).toBe(2000);
+    });
+
+    it('should charge batches by their number of calls', async () => {
+      config.rpc.maxRps = 10;
+      throttle = new RequestThrottle();
+      jest.spyOn(throttle, 'sleep').mockImplementation(async (ms) => {
+        now += ms;
+      });
+
+      await throttle.run(async () => 'batch', 30);
+      const start = now;
+      await throttle.run(async () => 'ok');
+
+      // 20 tokens of debt plus the request's own token, at 10 rps
+      expect(now - start).toBe(2100);
+    });
+  });
+});
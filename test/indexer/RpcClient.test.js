@@ -11,24 +11,38 @@ const mockHttpProvider = {
   getNetwork: jest.fn(),
   getBlockNumber: jest.fn(),
   getBlock: jest.fn(),
+  getTransactionReceipt: jest.fn(),
+  call: jest.fn(),
+  getCode: jest.fn(),
+  send: jest.fn(),
+  _send: jest.fn(),
+  _wrapBlock: jest.fn((raw) => ({ ...raw, number: parseInt(raw.number), wrapped: true })),
+  _wrapTransactionReceipt: jest.fn((raw) => ({ ...raw, wrapped: true })),
 };
 
 const mockWsProvider = {
-  _websocket: {
+  websocket: {
     on: jest.fn(),
+    removeListener: jest.fn(),
   },
-  destroy: jest.fn(),
+  send: jest.fn(),
+  _register: jest.fn(),
+  destroy: jest.fn(() => Promise.resolve()),
 };
 
 jest.mock('ethers', () => ({
   ethers: {
     JsonRpcProvider: jest.fn(() => mockHttpProvider),
     WebSocketProvider: jest.fn(() => mockWsProvider),
+    FetchRequest: jest.fn(function (url) {
+      this.url = url;
+    }),
   },
 }));
 
 const { ethers } = require('ethers');
 const RpcClient = require('../../src/indexer/RpcClient');
+const config = require('../../lib/config');
 
 describe('RpcClient Unit Tests', () => {
   beforeEach(() => {
@@ -38,6 +52,7 @@ describe('RpcClient Unit Tests', () => {
     // Reset RpcClient state
     RpcClient.isConnected = false;
     RpcClient.httpProvider = null;
+    RpcClient.pool = null;
     RpcClient.wsProvider = null;
   });
 
@@ -47,11 +62,12 @@ describe('RpcClient Unit Tests', () => {
 
       const result = await RpcClient.connect();
 
-      expect(result).toBe(true);
+      expect(result).toEqual({ chainId: 369n });
       expect(RpcClient.isConnected).toBe(true);
       expect(ethers.JsonRpcProvider).toHaveBeenCalledWith(
-        expect.any(String),
-        { name: 'pulsechain', chainId: 369 }
+        expect.objectContaining({ url: expect.any(String) }),
+        undefined,
+        { staticNetwork: true }
       );
       expect(mockHttpProvider.getNetwork).toHaveBeenCalled();
     });
@@ -104,6 +120,30 @@ describe('RpcClient Unit Tests', () => {
 
       await expect(RpcClient.getBlockNumber()).rejects.toThrow('RPC error');
     });
+
+    it('should wait out a rate-limit pause before polling endpoint heads', async () => {
+      mockHttpProvider.getNetwork.mockResolvedValue({ chainId: 369n });
+      await RpcClient.connect();
+
+      const calls = [];
+      mockHttpProvider.getBlockNumber.mockImplementation(async () => {
+        calls.push('getBlockNumber');
+        return 12345678;
+      });
+      RpcClient.throttle.pausedUntil = Date.now() + 5000;
+      jest.spyOn(RpcClient.throttle, 'sleep').mockImplementation(async () => {
+        calls.push('paused');
+        RpcClient.throttle.pausedUntil = 0;
+      });
+      jest.spyOn(RpcClient.throttle, 'run');
+
+      const result = await RpcClient.getBlockNumber();
+
+      expect(result).toBe(12345678);
+      expect(RpcClient.throttle.run).toHaveBeenCalledTimes(config.rpc.endpoints.length);
+      expect(calls[0]).toBe('paused');
+      expect(calls).toContain('getBlockNumber');
+    });
   });
 
   describe('getBlock()', () => {
@@ -174,36 +214,114 @@ describe('RpcClient Unit Tests', () => {
   });
 
   describe('getBlockRange()', () => {
+    const originalRpcConfig = { ...config.rpc };
+
+    // Answer eth_getBlockByNumber batches; `drop` lists block numbers to leave out
+    function answerBatch({ drop = [], errors = [] } = {}) {
+      return (payload) => Promise.resolve(payload
+        .map((request) => {
+          const blockNum = parseInt(request.params[0]);
+          if (drop.includes(blockNum)) return null;
+          if (errors.includes(blockNum)) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: 'busy' } };
+          }
+          return { jsonrpc: '2.0', id: request.id, result: { number: request.params[0] } };
+        })
+        .filter(Boolean)
+        .reverse()); // order is not guaranteed
+    }
+
     beforeEach(() => {
       RpcClient.httpProvider = mockHttpProvider;
-      jest.spyOn(RpcClient, 'getBlock');
+      jest.spyOn(RpcClient, 'sleep').mockResolvedValue();
     });
 
-    it('should fetch sequential block range', async () => {
-      const mockBlocks = [
-        { number: 100, hash: '0xaaa', transactions: [], gasUsed: 21000n },
-        { number: 101, hash: '0xbbb', transactions: [], gasUsed: 22000n },
-        { number: 102, hash: '0xccc', transactions: [], gasUsed: 23000n },
-      ];
+    afterEach(() => {
+      Object.assign(config.rpc, originalRpcConfig);
+    });
 
-      RpcClient.getBlock.mockImplementation((blockNum) =>
-        Promise.resolve(mockBlocks[blockNum - 100])
-      );
+    it('should fetch the range in one batch request', async () => {
+      mockHttpProvider._send.mockImplementation(answerBatch());
 
       const result = await RpcClient.getBlockRange(100, 102);
 
-      expect(result).toHaveLength(3);
-      expect(result[0].number).toBe(100);
-      expect(result[2].number).toBe(102);
-      expect(RpcClient.getBlock).toHaveBeenCalledTimes(3);
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(1);
+      expect(mockHttpProvider._send).toHaveBeenCalledWith([
+        { jsonrpc: '2.0', id: 0, method: 'eth_getBlockByNumber', params: ['0x64', true] },
+        { jsonrpc: '2.0', id: 1, method: 'eth_getBlockByNumber', params: ['0x65', true] },
+        { jsonrpc: '2.0', id: 2, method: 'eth_getBlockByNumber', params: ['0x66', true] },
+      ]);
+      expect(result.map(block => block.number)).toEqual([100, 101, 102]);
+      expect(result[0].wrapped).toBe(true);
     });
 
-    it('should throw error if any block fetch fails', async () => {
-      RpcClient.getBlock
-        .mockResolvedValueOnce({ number: 100 })
-        .mockRejectedValueOnce(new Error('Block fetch failed'));
+    it('should respect the max batch size', async () => {
+      config.rpc.maxBatchSize = 2;
+      mockHttpProvider._send.mockImplementation(answerBatch());
+
+      const result = await RpcClient.getBlockRange(100, 104);
+
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(3);
+      expect(mockHttpProvider._send.mock.calls.map(([payload]) => payload.length)).toEqual([2, 2, 1]);
+      expect(result).toHaveLength(5);
+    });
+
+    it('should retry only missing and errored items in smaller batches', async () => {
+      mockHttpProvider._send
+        .mockImplementationOnce(answerBatch({ drop: [101, 103], errors: [102] }))
+        .mockImplementation(answerBatch());
 
-      await expect(RpcClient.getBlockRange(100, 102)).rejects.toThrow('Block fetch failed');
+      const result = await RpcClient.getBlockRange(100, 104);
+
+      const payloads = mockHttpProvider._send.mock.calls.map(([payload]) =>
+        payload.map(request => parseInt(request.params[0]))
+      );
+      expect(payloads).toEqual([[100, 101, 102, 103, 104], [101, 102], [103]]);
+      expect(result.map(block => block.number)).toEqual([100, 101, 102, 103, 104]);
+    });
+
+    it('should retry blocks the endpoint answered with null', async () => {
+      mockHttpProvider._send
+        .mockResolvedValueOnce([
+          { jsonrpc: '2.0', id: 0, result: { number: '0x64' } },
+          { jsonrpc: '2.0', id: 1, result: null },
+        ])
+        .mockImplementation(answerBatch());
+
+      const result = await RpcClient.getBlockRange(100, 101);
+
+      expect(result.map(block => block.number)).toEqual([100, 101]);
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(2);
+      expect(mockHttpProvider._send.mock.calls[1][0].map(request => request.params[0])).toEqual(['0x65']);
+    });
+
+    it('should throw when a block stays null after all retries', async () => {
+      mockHttpProvider._send.mockImplementation(async (payload) => payload.map(request => ({
+        jsonrpc: '2.0',
+        id: request.id,
+        result: parseInt(request.params[0]) === 101 ? null : { number: request.params[0] },
+      })));
+
+      await expect(RpcClient.getBlockRange(100, 102)).rejects.toThrow('Block 101 not found');
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(config.rpc.retries);
+    });
+
+    it('should retry when the whole batch request fails', async () => {
+      mockHttpProvider._send
+        .mockRejectedValueOnce(new Error('HTTP 503'))
+        .mockImplementation(answerBatch());
+
+      const result = await RpcClient.getBlockRange(100, 103);
+
+      expect(result).toHaveLength(4);
+      expect(RpcClient.sleep).toHaveBeenCalledWith(1000);
+    });
+
+    it('should throw after all retries', async () => {
+      mockHttpProvider._send.mockImplementation(answerBatch({ errors: [101] }));
+
+      await expect(RpcClient.getBlockRange(100, 102)).rejects.toThrow('busy');
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(config.rpc.retries);
     });
   });
 
@@ -250,6 +368,385 @@ describe('RpcClient Unit Tests', () => {
     });
   });
 
+  describe('getReceiptsForBlocks()', () => {
+    const originalRpcConfig = { ...config.rpc };
+
+    // Answer eth_getBlockReceipts batches with one receipt per block
+    function answerReceipts({ drop = [], errors = [] } = {}) {
+      return (payload) => Promise.resolve(payload
+        .map((request) => {
+          const blockNum = parseInt(request.params[0]);
+          if (drop.includes(blockNum)) return null;
+          if (errors.includes(blockNum)) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: 'busy' } };
+          }
+          return { jsonrpc: '2.0', id: request.id, result: [{ blockNumber: blockNum }] };
+        })
+        .filter(Boolean)
+        .reverse());
+    }
+
+    beforeEach(() => {
+      RpcClient.httpProvider = mockHttpProvider;
+      RpcClient.supportsBlockReceipts = null;
+      jest.spyOn(RpcClient, 'sleep').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      Object.assign(config.rpc, originalRpcConfig);
+    });
+
+    it('should batch eth_getBlockReceipts calls when supported', async () => {
+      mockHttpProvider._send.mockResolvedValue([
+        { jsonrpc: '2.0', id: 1, result: [{ hash: '0xtx3' }] },
+        { jsonrpc: '2.0', id: 0, result: [{ hash: '0xtx1' }, { hash: '0xtx2' }] },
+      ]);
+
+      const blocks = [
+        { number: 255, transactions: ['0xtx1', '0xtx2'] },
+        { number: 256, transactions: ['0xtx3'] },
+      ];
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(1);
+      expect(mockHttpProvider._send).toHaveBeenCalledWith([
+        { jsonrpc: '2.0', id: 0, method: 'eth_getBlockReceipts', params: ['0xff'] },
+        { jsonrpc: '2.0', id: 1, method: 'eth_getBlockReceipts', params: ['0x100'] },
+      ]);
+      expect(mockHttpProvider.getTransactionReceipt).not.toHaveBeenCalled();
+      expect(result).toEqual([
+        { hash: '0xtx1', wrapped: true },
+        { hash: '0xtx2', wrapped: true },
+        { hash: '0xtx3', wrapped: true },
+      ]);
+      expect(RpcClient.supportsBlockReceipts).toBe(true);
+    });
+
+    it('should respect the max batch size', async () => {
+      config.rpc.maxBatchSize = 2;
+      mockHttpProvider._send.mockImplementation(answerReceipts());
+
+      const blocks = [100, 101, 102].map(number => ({ number, transactions: ['0xtx'] }));
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      expect(mockHttpProvider._send.mock.calls.map(([payload]) => payload.length)).toEqual([2, 1]);
+      expect(result.map(receipt => receipt.blockNumber)).toEqual([100, 101, 102]);
+    });
+
+    it('should retry only missing and errored blocks', async () => {
+      mockHttpProvider._send
+        .mockImplementationOnce(answerReceipts({ drop: [101], errors: [102] }))
+        .mockImplementation(answerReceipts());
+
+      const blocks = [100, 101, 102].map(number => ({ number, transactions: ['0xtx'] }));
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      const payloads = mockHttpProvider._send.mock.calls.map(([payload]) =>
+        payload.map(request => parseInt(request.params[0]))
+      );
+      expect(payloads).toEqual([[100, 101, 102], [101], [102]]);
+      expect(result.map(receipt => receipt.blockNumber)).toEqual([100, 101, 102]);
+      expect(RpcClient.sleep).toHaveBeenCalledWith(1000);
+    });
+
+    it('should retry blocks whose receipts came back null', async () => {
+      mockHttpProvider._send
+        .mockImplementationOnce(async (payload) => payload.map(request => ({
+          jsonrpc: '2.0',
+          id: request.id,
+          result: request.params[0] === '0x65' ? null : [{ blockNumber: parseInt(request.params[0]) }],
+        })))
+        .mockImplementation(answerReceipts());
+
+      const blocks = [100, 101].map(number => ({ number, transactions: ['0xtx'] }));
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      const payloads = mockHttpProvider._send.mock.calls.map(([payload]) =>
+        payload.map(request => parseInt(request.params[0]))
+      );
+      expect(payloads).toEqual([[100, 101], [101]]);
+      expect(result.map(receipt => receipt.blockNumber)).toEqual([100, 101]);
+    });
+
+    it('should throw when receipts stay null after all retries', async () => {
+      mockHttpProvider._send.mockImplementation(async (payload) => payload.map(request => ({
+        jsonrpc: '2.0',
+        id: request.id,
+        result: null,
+      })));
+
+      await expect(
+        RpcClient.getReceiptsForBlocks([{ number: 100, transactions: ['0xtx1'] }])
+      ).rejects.toThrow('Receipts for block 100 not found');
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(config.rpc.retries);
+      expect(RpcClient.supportsBlockReceipts).not.toBe(false);
+    });
+
+    it('should throw when a per-transaction receipt is missing', async () => {
+      RpcClient.supportsBlockReceipts = false;
+      mockHttpProvider.getTransactionReceipt.mockImplementation(async (hash) =>
+        (hash === '0xtx2' ? null : { hash })
+      );
+
+      await expect(
+        RpcClient.getReceiptsForBlocks([{ number: 100, transactions: ['0xtx1', '0xtx2'] }])
+      ).rejects.toThrow('Receipt for transaction 0xtx2 not found');
+    });
+
+    it('should skip blocks without transactions', async () => {
+      const result = await RpcClient.getReceiptsForBlocks([{ number: 1, transactions: [] }]);
+
+      expect(result).toEqual([]);
+      expect(mockHttpProvider._send).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to per-transaction receipts when method is unsupported', async () => {
+      mockHttpProvider._send.mockImplementation(async (payload) => payload.map(request => ({
+        jsonrpc: '2.0',
+        id: request.id,
+        error: { code: -32601, message: 'the method eth_getBlockReceipts does not exist/is not available' },
+      })));
+      mockHttpProvider.getTransactionReceipt.mockImplementation(async (hash) => ({ hash }));
+
+      const blocks = [
+        { number: 100, transactions: ['0xtx1', '0xtx2'] },
+        { number: 101, transactions: ['0xtx3'] },
+      ];
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      expect(result.map(r => r.hash)).toEqual(['0xtx1', '0xtx2', '0xtx3']);
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(1); // not retried once known unsupported
+      expect(mockHttpProvider.getTransactionReceipt).toHaveBeenCalledTimes(3);
+      expect(RpcClient.supportsBlockReceipts).toBe(false);
+
+      await RpcClient.getReceiptsForBlocks(blocks);
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only fall back for blocks not fetched yet', async () => {
+      config.rpc.maxBatchSize = 1;
+      const unsupported = new Error('the method eth_getBlockReceipts does not exist/is not available');
+      unsupported.error = { code: -32601 };
+      mockHttpProvider._send
+        .mockImplementationOnce(answerReceipts())
+        .mockRejectedValue(unsupported);
+      mockHttpProvider.getTransactionReceipt.mockImplementation(async (hash) => ({ hash }));
+
+      const blocks = [
+        { number: 100, transactions: ['0xtx1'] },
+        { number: 101, transactions: ['0xtx2', '0xtx3'] },
+      ];
+      const result = await RpcClient.getReceiptsForBlocks(blocks);
+
+      expect(result).toEqual([
+        { blockNumber: 100, wrapped: true },
+        { hash: '0xtx2' },
+        { hash: '0xtx3' },
+      ]);
+      expect(mockHttpProvider.getTransactionReceipt).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry and rethrow other errors', async () => {
+      mockHttpProvider._send.mockRejectedValue(new Error('Timeout'));
+
+      await expect(
+        RpcClient.getReceiptsForBlocks([{ number: 100, transactions: ['0xtx1'] }])
+      ).rejects.toThrow('Timeout');
+      expect(mockHttpProvider._send).toHaveBeenCalledTimes(config.rpc.retries);
+      expect(mockHttpProvider.getTransactionReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTracesForBlocks()', () => {
+    beforeEach(() => {
+      RpcClient.httpProvider = mockHttpProvider;
+      RpcClient.supportsTracing = null;
+      jest.spyOn(RpcClient, 'sleep').mockResolvedValue();
+    });
+
+    it('should trace blocks with the callTracer', async () => {
+      mockHttpProvider.send.mockResolvedValue([
+        { txHash: '0xtx1', result: { type: 'CALL' } },
+      ]);
+
+      const traces = await RpcClient.getTracesForBlocks([{ number: 16, transactions: ['0xtx1'] }]);
+
+      expect(mockHttpProvider.send).toHaveBeenCalledWith('debug_traceBlockByNumber', [
+        '0x10',
+        { tracer: 'callTracer' },
+      ]);
+      expect(traces).toEqual([
+        { transactionHash: '0xtx1', blockNumber: 16, trace: { type: 'CALL' } },
+      ]);
+    });
+
+    it('should match traces to transactions by position when txHash is missing', async () => {
+      mockHttpProvider.send.mockResolvedValue([
+        { result: { type: 'CALL' } },
+        { result: { type: 'CREATE' } },
+      ]);
+
+      const traces = await RpcClient.getTracesForBlocks([{ number: 1, transactions: ['0xa', '0xb'] }]);
+
+      expect(traces.map(t => t.transactionHash)).toEqual(['0xa', '0xb']);
+    });
+
+    it('should disable tracing when debug namespace is unavailable', async () => {
+      const unsupported = new Error('the method debug_traceBlockByNumber does not exist/is not available');
+      mockHttpProvider.send.mockRejectedValue(unsupported);
+
+      const blocks = [{ number: 1, transactions: ['0xa'] }];
+      expect(await RpcClient.getTracesForBlocks(blocks)).toEqual([]);
+      expect(await RpcClient.getTracesForBlocks(blocks)).toEqual([]);
+
+      expect(mockHttpProvider.send).toHaveBeenCalledTimes(1);
+      expect(RpcClient.supportsTracing).toBe(false);
+    });
+  });
+
+  describe('getFinalityHeads()', () => {
+    beforeEach(() => {
+      RpcClient.httpProvider = mockHttpProvider;
+      RpcClient.supportsFinalityTags = null;
+    });
+
+    it('should return the safe and finalized block numbers', async () => {
+      mockHttpProvider.getBlock.mockImplementation((tag) =>
+        Promise.resolve({ number: tag === 'safe' ? 990 : 960 })
+      );
+
+      const heads = await RpcClient.getFinalityHeads();
+
+      expect(heads).toEqual({ safe: 990, finalized: 960 });
+      expect(mockHttpProvider.getBlock).toHaveBeenCalledWith('safe');
+      expect(mockHttpProvider.getBlock).toHaveBeenCalledWith('finalized');
+      expect(RpcClient.supportsFinalityTags).toBe(true);
+    });
+
+    it('should stop asking once the node rejects the tags', async () => {
+      const unsupported = new Error('invalid argument 0: hex string without 0x prefix');
+      unsupported.error = { code: -32602 };
+      mockHttpProvider.getBlock.mockRejectedValue(unsupported);
+
+      expect(await RpcClient.getFinalityHeads()).toBeNull();
+      expect(await RpcClient.getFinalityHeads()).toBeNull();
+
+      expect(mockHttpProvider.getBlock).toHaveBeenCalledTimes(2);
+      expect(RpcClient.supportsFinalityTags).toBe(false);
+    });
+
+    it('should rethrow other errors', async () => {
+      mockHttpProvider.getBlock.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(RpcClient.getFinalityHeads()).rejects.toThrow('socket hang up');
+      expect(RpcClient.supportsFinalityTags).toBeNull();
+    });
+  });
+
+  describe('call()', () => {
+    beforeEach(() => {
+      RpcClient.httpProvider = mockHttpProvider;
+      jest.spyOn(RpcClient, 'sleep').mockResolvedValue();
+    });
+
+    it('should execute eth_call and return raw data', async () => {
+      mockHttpProvider.call.mockResolvedValue('0x01');
+
+      const result = await RpcClient.call('0xtoken', '0x06fdde03');
+
+      expect(result).toBe('0x01');
+      expect(mockHttpProvider.call).toHaveBeenCalledWith({ to: '0xtoken', data: '0x06fdde03' });
+    });
+
+    it('should not retry reverted calls', async () => {
+      const revert = new Error('execution reverted');
+      revert.code = 'CALL_EXCEPTION';
+      mockHttpProvider.call.mockRejectedValue(revert);
+
+      await expect(RpcClient.call('0xtoken', '0x06fdde03')).rejects.toThrow('execution reverted');
+      expect(mockHttpProvider.call).toHaveBeenCalledTimes(1);
+      expect(RpcClient.sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getContractCodes()', () => {
+    beforeEach(() => {
+      RpcClient.httpProvider = mockHttpProvider;
+    });
+
+    it('should fetch bytecode at the creation block for successful creations only', async () => {
+      mockHttpProvider.getCode.mockResolvedValue('0x6080');
+
+      const codes = await RpcClient.getContractCodes([
+        { status: 1, contractAddress: '0xABC', blockNumber: 100 },
+        { status: 0, contractAddress: '0xdef', blockNumber: 100 },
+        { status: 1, contractAddress: null, blockNumber: 101 },
+      ]);
+
+      expect(mockHttpProvider.getCode).toHaveBeenCalledTimes(1);
+      expect(mockHttpProvider.getCode).toHaveBeenCalledWith('0xabc', 100);
+      expect(codes).toEqual(new Map([['0xabc', '0x6080']]));
+    });
+
+    it('should include contracts created by CREATE and CREATE2 frames', async () => {
+      mockHttpProvider.getCode.mockImplementation(async (address) => `0x60${address.slice(-2)}`);
+
+      const traces = [{
+        transactionHash: '0xtx1',
+        blockNumber: 200,
+        trace: {
+          type: 'CALL',
+          calls: [
+            { type: 'CREATE', from: '0xfactory', to: '0xA1' },
+            {
+              type: 'CALL',
+              calls: [{ type: 'CREATE2', from: '0xfactory', to: '0xa2' }],
+            },
+            {
+              type: 'CALL',
+              error: 'execution reverted',
+              calls: [{ type: 'CREATE', from: '0xfactory', to: '0xa3' }],
+            },
+            { type: 'CREATE2', from: '0xfactory', to: '0xa4', error: 'out of gas' },
+          ],
+        },
+      }, {
+        transactionHash: '0xtx2',
+        blockNumber: 201,
+        trace: {
+          type: 'CALL',
+          error: 'execution reverted',
+          calls: [{ type: 'CREATE', from: '0xfactory', to: '0xa5' }],
+        },
+      }];
+
+      const codes = await RpcClient.getContractCodes([], traces);
+
+      expect(mockHttpProvider.getCode.mock.calls).toEqual([['0xa1', 200], ['0xa2', 200]]);
+      expect(codes).toEqual(new Map([['0xa1', '0x60a1'], ['0xa2', '0x60a2']]));
+    });
+
+    it('should fetch a contract seen in both a receipt and its trace once', async () => {
+      mockHttpProvider.getCode.mockResolvedValue('0x6080');
+
+      const codes = await RpcClient.getContractCodes(
+        [{ status: 1, contractAddress: '0xABC', blockNumber: 100 }],
+        [{ transactionHash: '0xtx1', blockNumber: 100, trace: { type: 'CREATE', to: '0xabc' } }]
+      );
+
+      expect(mockHttpProvider.getCode).toHaveBeenCalledTimes(1);
+      expect(codes.size).toBe(1);
+    });
+
+    it('should skip addresses without code', async () => {
+      mockHttpProvider.getCode.mockResolvedValue('0x');
+
+      const codes = await RpcClient.getContractCodes([{ status: 1, contractAddress: '0xabc', blockNumber: 100 }]);
+
+      expect(codes.size).toBe(0);
+    });
+  });
+
   describe('healthCheck()', () => {
     beforeEach(() => {
       RpcClient.httpProvider = mockHttpProvider;
@@ -272,6 +769,114 @@ describe('RpcClient Unit Tests', () => {
     });
   });
 
+  describe('subscribeNewHeads()', () => {
+    const onHead = jest.fn();
+    const onClose = jest.fn();
+
+    beforeEach(() => {
+      RpcClient.wsProvider = mockWsProvider;
+      mockWsProvider.send.mockResolvedValue('0xsub1');
+    });
+
+    function socketListener(event) {
+      const call = mockWsProvider.websocket.on.mock.calls.find(([name]) => name === event);
+      return call[1];
+    }
+
+    it('should subscribe to newHeads and forward block numbers', async () => {
+      await RpcClient.subscribeNewHeads(onHead, onClose);
+
+      expect(mockWsProvider.send).toHaveBeenCalledWith('eth_subscribe', ['newHeads']);
+      expect(mockWsProvider._register).toHaveBeenCalledWith('0xsub1', expect.any(Object));
+
+      const subscriber = mockWsProvider._register.mock.calls[0][1];
+      subscriber._handleMessage({ number: '0x64', hash: '0xabc' });
+
+      expect(onHead).toHaveBeenCalledWith(100);
+    });
+
+    it('should create the WebSocket provider when missing', async () => {
+      ethers.WebSocketProvider.mockImplementation(() => mockWsProvider);
+      RpcClient.wsProvider = null;
+
+      await RpcClient.subscribeNewHeads(onHead, onClose);
+
+      expect(ethers.WebSocketProvider).toHaveBeenCalled();
+      expect(RpcClient.wsProvider).toBe(mockWsProvider);
+    });
+
+    it('should report a dropped socket once and discard the provider', async () => {
+      await RpcClient.subscribeNewHeads(onHead, onClose);
+
+      const handleClose = socketListener('close');
+      handleClose();
+      handleClose();
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(onClose).toHaveBeenCalledWith('WebSocket closed');
+      expect(mockWsProvider.destroy).toHaveBeenCalled();
+      expect(RpcClient.wsProvider).toBe(null);
+
+      // Heads after the drop are ignored
+      mockWsProvider._register.mock.calls[0][1]._handleMessage({ number: '0x65' });
+      expect(onHead).not.toHaveBeenCalled();
+    });
+
+    it('should destroy the provider and throw when eth_subscribe fails', async () => {
+      mockWsProvider.send.mockRejectedValue(new Error('subscriptions not supported'));
+
+      await expect(RpcClient.subscribeNewHeads(onHead, onClose))
+        .rejects.toThrow('subscriptions not supported');
+
+      expect(mockWsProvider.destroy).toHaveBeenCalled();
+      expect(RpcClient.wsProvider).toBe(null);
+      expect(onClose).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the socket closes while subscribing', async () => {
+      mockWsProvider.send.mockReturnValue(new Promise(() => {}));
+
+      const subscribing = RpcClient.subscribeNewHeads(onHead, onClose);
+      socketListener('close')();
+
+      await expect(subscribing).rejects.toThrow('WebSocket closed while subscribing');
+      expect(onClose).not.toHaveBeenCalled();
+    });
+
+    it('should unsubscribe without calling onClose', async () => {
+      const unsubscribe = await RpcClient.subscribeNewHeads(onHead, onClose);
+
+      unsubscribe();
+
+      expect(mockWsProvider.destroy).toHaveBeenCalled();
+      expect(mockWsProvider.websocket.removeListener).toHaveBeenCalledWith('close', expect.any(Function));
+      expect(onClose).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isRateLimited()', () => {
+    it('should detect HTTP 429', () => {
+      const error = Object.assign(new Error('server response 429'), {
+        code: 'SERVER_ERROR',
+        response: { statusCode: 429 },
+      });
+
+      expect(RpcClient.isRateLimited(error)).toBe(true);
+    });
+
+    it('should detect JSON-RPC rate-limit codes and messages', () => {
+      expect(RpcClient.isRateLimited({ error: { code: -32005, message: 'limit exceeded' } })).toBe(true);
+      expect(RpcClient.isRateLimited({ info: { error: { code: 429 } } })).toBe(true);
+      expect(RpcClient.isRateLimited(new Error('Too Many Requests'))).toBe(true);
+      expect(RpcClient.isRateLimited(new Error('daily request rate limit reached'))).toBe(true);
+    });
+
+    it('should not flag other errors', () => {
+      expect(RpcClient.isRateLimited(new Error('execution reverted'))).toBe(false);
+      expect(RpcClient.isRateLimited({ error: { code: -32601, message: 'method not found' } })).toBe(false);
+    });
+  });
+
   describe('close()', () => {
     it('should close WebSocket provider if exists', async () => {
       RpcClient.wsProvider = mockWsProvider;
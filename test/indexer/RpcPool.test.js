@@ -0,0 +1,382 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// One mock provider per endpoint URL; loopback URLs get real ethers objects
+// so chain detection can be tested against a local JSON-RPC server
+const mockProviders = {};
+
+jest.mock('ethers', () => {
+  const { ethers: actual } = jest.requireActual('ethers');
+  const isLocal = (url) => url.startsWith('http://127.0.0.1');
+
+  return {
+    ethers: {
+      FetchRequest: jest.fn(function (url) {
+        if (isLocal(url)) {
+          return new actual.FetchRequest(url);
+        }
+        this.url = url;
+      }),
+      JsonRpcProvider: jest.fn((request, ...args) => {
+        if (isLocal(request.url)) {
+          return new actual.JsonRpcProvider(request, ...args);
+        }
+        mockProviders[request.url] = {
+          url: request.url,
+          getNetwork: jest.fn().mockResolvedValue({ chainId: 369n }),
+          getBlockNumber: jest.fn(),
+        };
+        return mockProviders[request.url];
+      }),
+    },
+  };
+});
+
+const http = require('http');
+const logger = require('../../lib/logger');
+const config = require('../../lib/config');
+const RpcPool = require('../../src/indexer/RpcPool');
+
+const A = 'https://a.example';
+const B = 'https://b.example';
+const C = 'https://c.example';
+
+describe('RpcPool', () => {
+  const originalPoolConfig = { ...config.rpc.pool };
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    Object.assign(config.rpc.pool, {
+      quarantineCooldown: 30000,
+      maxConsecutiveFailures: 3,
+      maxErrorRate: 0.5,
+      maxHeadLag: 10,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.rpc.pool, originalPoolConfig);
+  });
+
+  function createPool(endpoints = [{ url: A }, { url: B }], options) {
+    return new RpcPool(endpoints, options);
+  }
+
+  function endpoint(pool, url) {
+    return pool.endpoints.find(item => item.url === url);
+  }
+
+  const whichUrl = (provider) => Promise.resolve(provider.url);
+
+  describe('connect()', () => {
+    it('should connect when at least one endpoint answers', async () => {
+      const pool = createPool();
+      mockProviders[B].getNetwork.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const network = await pool.connect();
+
+      expect(network.chainId).toBe(369n);
+      expect(pool.getStats().find(item => item.url === B).quarantined).toBe(true);
+    });
+
+    it('should throw when no endpoint answers', async () => {
+      const pool = createPool();
+      mockProviders[A].getNetwork.mockRejectedValue(new Error('ECONNREFUSED'));
+      mockProviders[B].getNetwork.mockRejectedValue(new Error('timeout'));
+
+      await expect(pool.connect()).rejects.toThrow('ECONNREFUSED');
+    });
+
+    it('should never use endpoints on another chain', async () => {
+      const pool = createPool();
+      mockProviders[B].getNetwork.mockResolvedValue({ chainId: 1n });
+
+      await pool.connect();
+
+      for (let i = 0; i < 20; i++) {
+        expect(await pool.execute(whichUrl)).toBe(A);
+      }
+    });
+
+    describe('against a JSON-RPC server', () => {
+      let server;
+      let baseUrl;
+
+      // Answers eth_chainId with the chain id in the request path
+      beforeAll(async () => {
+        server = http.createServer((req, res) => {
+          const chainId = Number(req.url.slice(1));
+          let body = '';
+          req.on('data', (chunk) => { body += chunk; });
+          req.on('end', () => {
+            const payload = JSON.parse(body);
+            const answer = ({ id, method }) => (method === 'eth_chainId'
+              ? { jsonrpc: '2.0', id, result: `0x${chainId.toString(16)}` }
+              : { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+          });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      it('should disable an endpoint that reports another chain', async () => {
+        const pool = createPool([{ url: `${baseUrl}/369` }, { url: `${baseUrl}/1` }]);
+
+        try {
+          const network = await pool.connect();
+
+          expect(network.chainId).toBe(369n);
+          const stats = pool.getStats();
+          expect(stats[0]).toMatchObject({ disabled: false, quarantined: false });
+          expect(stats[1]).toMatchObject({ disabled: true, quarantined: false });
+          expect(logger.error).toHaveBeenCalledWith('RPC endpoint is on the wrong chain, ignoring it', {
+            url: `${baseUrl}/1`,
+            chainId: '1',
+          });
+        } finally {
+          pool.endpoints.forEach(item => item.provider.destroy());
+        }
+      });
+
+      it('should refuse to connect when no endpoint is on PulseChain', async () => {
+        const pool = createPool([{ url: `${baseUrl}/943` }]);
+
+        try {
+          await expect(pool.connect()).rejects.toThrow('No RPC endpoint is on chain 369');
+          expect(pool.getStats()[0].disabled).toBe(true);
+        } finally {
+          pool.endpoints.forEach(item => item.provider.destroy());
+        }
+      });
+    });
+  });
+
+  describe('execute()', () => {
+    it('should track latency and requests per endpoint', async () => {
+      const pool = createPool([{ url: A }]);
+
+      await pool.execute(async () => {
+        now += 40;
+        return 'ok';
+      });
+
+      expect(pool.getStats()[0]).toEqual(expect.objectContaining({
+        latency: 40,
+        requests: 1,
+        failures: 0,
+      }));
+    });
+
+    it('should quarantine an endpoint after consecutive failures and route around it', async () => {
+      const pool = createPool();
+      jest.spyOn(Math, 'random').mockReturnValue(0); // prefer the first endpoint
+
+      for (let i = 0; i < 3; i++) {
+        await expect(pool.execute(() => Promise.reject(new Error('HTTP 502'))))
+          .rejects.toThrow('HTTP 502');
+      }
+
+      expect(logger.warn).toHaveBeenCalledWith('RPC endpoint quarantined', expect.objectContaining({
+        url: A,
+        reason: 'HTTP 502',
+      }));
+      expect(await pool.execute(whichUrl)).toBe(B);
+
+      // Back in rotation after the cooldown
+      now += 30000;
+      expect(await pool.execute(whichUrl)).toBe(A);
+    });
+
+    it('should quarantine an endpoint with a high error rate', async () => {
+      const pool = createPool([{ url: A }, { url: B }]);
+      const target = endpoint(pool, A);
+      target.samples = 20;
+      target.errorRate = 0.49;
+
+      pool.recordFailure(target, new Error('flaky'));
+
+      expect(target.quarantinedUntil).toBe(now + 30000);
+    });
+
+    it('should not count request errors against the endpoint', async () => {
+      const pool = createPool([{ url: A }], {
+        isEndpointError: (error) => error.code !== 'CALL_EXCEPTION',
+      });
+      const revert = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+
+      for (let i = 0; i < 5; i++) {
+        await expect(pool.execute(() => Promise.reject(revert))).rejects.toThrow('reverted');
+      }
+
+      expect(pool.getStats()[0]).toEqual(expect.objectContaining({
+        failures: 0,
+        quarantined: false,
+      }));
+    });
+
+    it('should fall back to the endpoint whose quarantine ends first', async () => {
+      const pool = createPool();
+      endpoint(pool, A).quarantinedUntil = now + 5000;
+      endpoint(pool, B).quarantinedUntil = now + 1000;
+
+      expect(await pool.execute(whichUrl)).toBe(B);
+    });
+  });
+
+  describe('routing', () => {
+    it('should pick endpoints in proportion to their weight', () => {
+      const pool = createPool([{ url: A, weight: 3 }, { url: B, weight: 1 }]);
+
+      jest.spyOn(Math, 'random').mockReturnValue(0.7);
+      expect(pool.pick(pool.endpoints).url).toBe(A);
+
+      Math.random.mockReturnValue(0.8);
+      expect(pool.pick(pool.endpoints).url).toBe(B);
+    });
+
+    it('should prefer faster and healthier endpoints', () => {
+      const pool = createPool();
+      endpoint(pool, A).latency = 50;
+      endpoint(pool, B).latency = 500;
+      expect(pool.score(endpoint(pool, A))).toBeGreaterThan(pool.score(endpoint(pool, B)));
+
+      endpoint(pool, B).latency = 50;
+      endpoint(pool, B).errorRate = 0.4;
+      expect(pool.score(endpoint(pool, A))).toBeGreaterThan(pool.score(endpoint(pool, B)));
+    });
+
+    it('should respect per-endpoint rate limits', async () => {
+      const pool = createPool([{ url: A, rateLimit: 2 }, { url: B, rateLimit: 1 }]);
+      jest.spyOn(pool, 'sleep').mockImplementation(async (ms) => {
+        now += ms;
+      });
+
+      const urls = [];
+      for (let i = 0; i < 4; i++) {
+        urls.push(await pool.execute(whichUrl));
+      }
+
+      // 3 tokens available up front, the 4th request waits for a refill
+      expect(urls.filter(url => url === A).length).toBeGreaterThanOrEqual(2);
+      expect(pool.sleep).toHaveBeenCalledTimes(1);
+      expect(pool.sleep).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('refreshHeads()', () => {
+    it('should exclude lagging endpoints and return the lowest in-sync head', async () => {
+      const pool = createPool([{ url: A }, { url: B }, { url: C }]);
+      mockProviders[A].getBlockNumber.mockResolvedValue(1000);
+      mockProviders[B].getBlockNumber.mockResolvedValue(995);
+      mockProviders[C].getBlockNumber.mockResolvedValue(900);
+
+      const head = await pool.refreshHeads();
+
+      expect(head).toBe(995);
+      expect(endpoint(pool, C).lagging).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith('RPC endpoint is lagging, excluding it', expect.objectContaining({
+        url: C,
+        head: 900,
+        bestHead: 1000,
+      }));
+
+      for (let i = 0; i < 20; i++) {
+        expect(await pool.execute(whichUrl)).not.toBe(C);
+      }
+
+      // Caught up again
+      mockProviders[C].getBlockNumber.mockResolvedValue(1000);
+      await pool.refreshHeads();
+      expect(endpoint(pool, C).lagging).toBe(false);
+    });
+
+    it('should count failed head queries against the endpoint', async () => {
+      const pool = createPool();
+      mockProviders[A].getBlockNumber.mockResolvedValue(1000);
+      mockProviders[B].getBlockNumber.mockRejectedValue(new Error('timeout'));
+
+      const head = await pool.refreshHeads();
+
+      expect(head).toBe(1000);
+      expect(pool.getStats().find(item => item.url === B).failures).toBe(1);
+    });
+
+    it('should throw when no endpoint returns a head', async () => {
+      const pool = createPool([{ url: A }]);
+      mockProviders[A].getBlockNumber.mockRejectedValue(new Error('timeout'));
+
+      await expect(pool.refreshHeads()).rejects.toThrow('No RPC endpoint returned a block number');
+    });
+
+    it('should run head queries through the throttle', async () => {
+      const throttle = jest.fn(async (fn) => fn());
+      const pool = createPool([{ url: A }, { url: B }], { throttle });
+      mockProviders[A].getBlockNumber.mockResolvedValue(1000);
+      mockProviders[B].getBlockNumber.mockResolvedValue(1000);
+
+      await pool.refreshHeads();
+
+      expect(throttle).toHaveBeenCalledTimes(2);
+      expect(mockProviders[A].getBlockNumber).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count a throttled head query that fails against the endpoint', async () => {
+      const rateLimited = new Error('429 Too Many Requests');
+      const pool = createPool([{ url: A }, { url: B }], {
+        throttle: async (fn) => fn(),
+      });
+      mockProviders[A].getBlockNumber.mockResolvedValue(1000);
+      mockProviders[B].getBlockNumber.mockRejectedValue(rateLimited);
+
+      expect(await pool.refreshHeads()).toBe(1000);
+      expect(pool.getStats().find(item => item.url === B).failures).toBe(1);
+    });
+
+    it('should take head queries out of the endpoint rate limit', async () => {
+      const pool = createPool([{ url: A, rateLimit: 1 }]);
+      mockProviders[A].getBlockNumber.mockResolvedValue(1000);
+      jest.spyOn(pool, 'sleep').mockImplementation(async (ms) => {
+        now += ms;
+      });
+
+      await pool.refreshHeads();
+      expect(endpoint(pool, A).tokens).toBe(0);
+      expect(pool.sleep).not.toHaveBeenCalled();
+
+      // The bucket is empty: the next query waits for a refill
+      await pool.refreshHeads();
+      expect(pool.sleep).toHaveBeenCalledWith(1000);
+      expect(mockProviders[A].getBlockNumber).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('config.parseEndpoints()', () => {
+    it('should parse weights and rate limits', () => {
+      expect(config.parseEndpoints(`${A};weight=3;rps=25, ${B}`, 'https://fallback')).toEqual([
+        { url: A, weight: 3, rateLimit: 25 },
+        { url: B, weight: 1, rateLimit: 0 },
+      ]);
+    });
+
+    it('should fall back to RPC_URL', () => {
+      expect(config.parseEndpoints('', 'https://fallback')).toEqual([
+        { url: 'https://fallback', weight: 1, rateLimit: 0 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock RpcClient
+const mockRpcClient = {
+  call: jest.fn(),
+  isCallException: jest.fn((error) => error.code === 'CALL_EXCEPTION'),
+};
+
+jest.mock('../../src/indexer/RpcClient', () => mockRpcClient);
+
+// Mock TokenStorage
+const mockTokenStorage = {
+  getUncatalogedTokens: jest.fn(),
+  saveToken: jest.fn(),
+  recordCatalogFailure: jest.fn(),
+};
+
+jest.mock('../../src/indexer/TokenStorage', () => mockTokenStorage);
+
+const { ethers } = require('ethers');
+const logger = require('../../lib/logger');
+const tokenCataloger = require('../../src/indexer/TokenCataloger');
+
+const TOKEN = '0x' + 'ab'.repeat(20);
+const iface = new ethers.Interface([
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+]);
+
+function revert() {
+  const error = new Error('execution reverted');
+  error.code = 'CALL_EXCEPTION';
+  return error;
+}
+
+/**
+ * Route eth_call by selector to canned responses
+ * @param {object} responses - method name -> raw hex | Error | function(args)
+ */
+function mockContract(responses) {
+  mockRpcClient.call.mockImplementation(async (to, data) => {
+    const fragment = iface.getFunction(data.slice(0, 10));
+    let response = responses[fragment.name];
+
+    if (typeof response === 'function') {
+      response = response(iface.decodeFunctionData(fragment, data));
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+    if (response === undefined) {
+      throw revert();
+    }
+    return response;
+  });
+}
+
+function encode(method, values) {
+  return iface.encodeFunctionResult(method, values);
+}
+
+describe('TokenCataloger Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenCataloger.isRunning = true;
+  });
+
+  afterEach(() => {
+    tokenCataloger.isRunning = false;
+  });
+
+  describe('catalogToken()', () => {
+    it('should read metadata of a standard ERC-20 token', async () => {
+      mockContract({
+        name: encode('name', ['Wrapped Pulse']),
+        symbol: encode('symbol', ['WPLS']),
+        decimals: encode('decimals', [18]),
+        totalSupply: encode('totalSupply', [1000n]),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token).toEqual({
+        address: TOKEN,
+        tokenType: 'ERC-20',
+        name: 'Wrapped Pulse',
+        symbol: 'WPLS',
+        decimals: 18,
+        totalSupply: 1000n,
+      });
+    });
+
+    it('should decode bytes32 name and symbol', async () => {
+      mockContract({
+        name: ethers.encodeBytes32String('Maker'),
+        symbol: ethers.encodeBytes32String('MKR'),
+        decimals: encode('decimals', [18]),
+        totalSupply: encode('totalSupply', [1n]),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token.name).toBe('Maker');
+      expect(token.symbol).toBe('MKR');
+    });
+
+    it('should store nulls for reverting getters', async () => {
+      mockContract({});
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token).toEqual({
+        address: TOKEN,
+        tokenType: 'ERC-20',
+        name: null,
+        symbol: null,
+        decimals: null,
+        totalSupply: null,
+      });
+    });
+
+    it('should treat empty return data as missing', async () => {
+      mockContract({ name: '0x', symbol: '0x', decimals: '0x', totalSupply: '0x' });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token.name).toBe(null);
+      expect(token.decimals).toBe(null);
+    });
+
+    it('should classify ERC-721 via supportsInterface', async () => {
+      mockContract({
+        supportsInterface: ([id]) => encode('supportsInterface', [
+          id === '0x01ffc9a7' || id === '0x80ac58cd',
+        ]),
+        name: encode('name', ['Punks']),
+        symbol: encode('symbol', ['PNK']),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-721');
+
+      expect(token.tokenType).toBe('ERC-721');
+      expect(token.decimals).toBe(null);
+    });
+
+    it('should classify ERC-1155 via supportsInterface', async () => {
+      mockContract({
+        supportsInterface: ([id]) => encode('supportsInterface', [
+          id === '0x01ffc9a7' || id === '0xd9b67a26',
+        ]),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-1155');
+
+      expect(token.tokenType).toBe('ERC-1155');
+    });
+
+    it('should ignore contracts that claim to support every interface', async () => {
+      mockContract({
+        supportsInterface: () => encode('supportsInterface', [true]),
+        decimals: encode('decimals', [6]),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token.tokenType).toBe('ERC-20');
+      expect(token.decimals).toBe(6);
+    });
+
+    it('should strip NUL characters and truncate long symbols', async () => {
+      mockContract({
+        name: encode('name', ['Name\u0000\u0000']),
+        symbol: encode('symbol', ['S'.repeat(80)]),
+      });
+
+      const token = await tokenCataloger.catalogToken(TOKEN, 'ERC-20');
+
+      expect(token.name).toBe('Name');
+      expect(token.symbol).toHaveLength(50);
+    });
+
+    it('should rethrow network errors so the token is retried later', async () => {
+      mockContract({ supportsInterface: new Error('socket hang up') });
+
+      await expect(tokenCataloger.catalogToken(TOKEN, 'ERC-20')).rejects.toThrow('socket hang up');
+    });
+  });
+
+  describe('catalogBatch()', () => {
+    it('should catalog and save every uncataloged token', async () => {
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([
+        { address: TOKEN, tokenType: 'ERC-20' },
+      ]);
+      mockContract({ symbol: encode('symbol', ['TKN']) });
+
+      const cataloged = await tokenCataloger.catalogBatch();
+
+      expect(cataloged).toBe(1);
+      expect(mockTokenStorage.saveToken).toHaveBeenCalledWith(
+        expect.objectContaining({ address: TOKEN, symbol: 'TKN' })
+      );
+    });
+
+    it('should continue after a token fails', async () => {
+      const other = '0x' + 'cd'.repeat(20);
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([
+        { address: TOKEN, tokenType: 'ERC-20' },
+        { address: other, tokenType: 'ERC-20' },
+      ]);
+      mockContract({});
+      mockTokenStorage.saveToken
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValueOnce();
+
+      const cataloged = await tokenCataloger.catalogBatch();
+
+      expect(cataloged).toBe(1);
+      expect(mockTokenStorage.saveToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('should schedule the next attempt of a token that fails', async () => {
+      const nextAttemptAt = new Date();
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([
+        { address: TOKEN, tokenType: 'ERC-20', attempts: 2 },
+      ]);
+      mockContract({});
+      mockTokenStorage.saveToken.mockRejectedValueOnce(new Error('db down'));
+      mockTokenStorage.recordCatalogFailure.mockResolvedValueOnce({ attempts: 3, nextAttemptAt });
+
+      await tokenCataloger.catalogBatch();
+
+      expect(mockTokenStorage.recordCatalogFailure).toHaveBeenCalledWith(TOKEN);
+      expect(logger.warn).toHaveBeenCalledWith('Failed to catalog token', {
+        address: TOKEN,
+        attempts: 3,
+        nextAttemptAt,
+        error: 'db down',
+      });
+    });
+
+    it('should log when giving up on a token', async () => {
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([
+        { address: TOKEN, tokenType: 'ERC-20', attempts: 9 },
+      ]);
+      mockRpcClient.call.mockRejectedValue(new Error('timeout'));
+      mockTokenStorage.recordCatalogFailure.mockResolvedValueOnce({ attempts: 10, nextAttemptAt: null });
+
+      const cataloged = await tokenCataloger.catalogBatch();
+
+      expect(cataloged).toBe(0);
+      expect(logger.warn).toHaveBeenCalledWith('Giving up on cataloging token', {
+        address: TOKEN,
+        attempts: 10,
+        error: 'timeout',
+      });
+    });
+
+    it('should keep going when a failure cannot be recorded', async () => {
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([
+        { address: TOKEN, tokenType: 'ERC-20', attempts: 0 },
+      ]);
+      mockContract({});
+      mockTokenStorage.saveToken.mockRejectedValueOnce(new Error('db down'));
+      mockTokenStorage.recordCatalogFailure.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(tokenCataloger.catalogBatch()).resolves.toBe(0);
+      expect(logger.warn).toHaveBeenCalledWith('Failed to catalog token', {
+        address: TOKEN,
+        error: 'db down',
+      });
+    });
+
+    it('should return 0 when nothing needs cataloging', async () => {
+      mockTokenStorage.getUncatalogedTokens.mockResolvedValue([]);
+
+      const cataloged = await tokenCataloger.catalogBatch();
+
+      expect(cataloged).toBe(0);
+      expect(mockRpcClient.call).not.toHaveBeenCalled();
+    });
+  });
+});
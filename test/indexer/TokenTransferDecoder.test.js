@@ -0,0 +1,161 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const tokenTransferDecoder = require('../../src/indexer/TokenTransferDecoder');
+const {
+  TRANSFER_TOPIC,
+  TRANSFER_SINGLE_TOPIC,
+  TRANSFER_BATCH_TOPIC,
+} = require('../../src/indexer/TokenTransferDecoder');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const TOKEN = '0x' + 'ab'.repeat(20);
+const OPERATOR = '0x' + '0c'.repeat(20);
+const FROM = '0x' + '01'.repeat(20);
+const TO = '0x' + '02'.repeat(20);
+
+function addressTopic(address) {
+  return ethers.zeroPadValue(address, 32);
+}
+
+function makeLog(topics, data = '0x', overrides = {}) {
+  return {
+    transactionHash: '0x' + '11'.repeat(32),
+    blockNumber: 100,
+    index: 7,
+    address: TOKEN,
+    topics,
+    data,
+    ...overrides,
+  };
+}
+
+describe('TokenTransferDecoder Unit Tests', () => {
+  describe('event signatures', () => {
+    it('should use the standard topic0 hashes', () => {
+      expect(TRANSFER_TOPIC).toBe('0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+      expect(TRANSFER_SINGLE_TOPIC).toBe('0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62');
+      expect(TRANSFER_BATCH_TOPIC).toBe('0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb');
+    });
+  });
+
+  describe('decodeLog()', () => {
+    it('should decode ERC-20 Transfer (value in data)', () => {
+      const log = makeLog(
+        [TRANSFER_TOPIC, addressTopic(FROM), addressTopic(TO)],
+        abiCoder.encode(['uint256'], [1000n])
+      );
+
+      const [transfer] = tokenTransferDecoder.decodeLog(log);
+
+      expect(transfer).toEqual({
+        transactionHash: log.transactionHash,
+        blockNumber: 100,
+        logIndex: 7,
+        batchIndex: 0,
+        tokenAddress: TOKEN,
+        from: FROM,
+        to: TO,
+        value: 1000n,
+        tokenId: null,
+        tokenType: 'ERC-20',
+      });
+    });
+
+    it('should decode ERC-721 Transfer (tokenId indexed)', () => {
+      const log = makeLog([
+        TRANSFER_TOPIC,
+        addressTopic(FROM),
+        addressTopic(TO),
+        ethers.toBeHex(42n, 32),
+      ]);
+
+      const [transfer] = tokenTransferDecoder.decodeLog(log);
+
+      expect(transfer.tokenType).toBe('ERC-721');
+      expect(transfer.tokenId).toBe(42n);
+      expect(transfer.value).toBe(1n);
+    });
+
+    it('should decode ERC-1155 TransferSingle', () => {
+      const log = makeLog(
+        [TRANSFER_SINGLE_TOPIC, addressTopic(OPERATOR), addressTopic(FROM), addressTopic(TO)],
+        abiCoder.encode(['uint256', 'uint256'], [9n, 250n])
+      );
+
+      const [transfer] = tokenTransferDecoder.decodeLog(log);
+
+      expect(transfer.tokenType).toBe('ERC-1155');
+      expect(transfer.from).toBe(FROM);
+      expect(transfer.to).toBe(TO);
+      expect(transfer.tokenId).toBe(9n);
+      expect(transfer.value).toBe(250n);
+    });
+
+    it('should decode ERC-1155 TransferBatch into one record per id', () => {
+      const log = makeLog(
+        [TRANSFER_BATCH_TOPIC, addressTopic(OPERATOR), addressTopic(FROM), addressTopic(TO)],
+        abiCoder.encode(['uint256[]', 'uint256[]'], [[1n, 2n, 3n], [10n, 20n, 30n]])
+      );
+
+      const transfers = tokenTransferDecoder.decodeLog(log);
+
+      expect(transfers).toHaveLength(3);
+      expect(transfers.map(t => t.batchIndex)).toEqual([0, 1, 2]);
+      expect(transfers.map(t => t.tokenId)).toEqual([1n, 2n, 3n]);
+      expect(transfers.map(t => t.value)).toEqual([10n, 20n, 30n]);
+      expect(transfers.every(t => t.logIndex === 7)).toBe(true);
+    });
+
+    it('should ignore unrelated events', () => {
+      const log = makeLog([ethers.id('Approval(address,address,uint256)'), addressTopic(FROM)]);
+
+      expect(tokenTransferDecoder.decodeLog(log)).toEqual([]);
+    });
+
+    it('should skip Transfer logs with unexpected topic count', () => {
+      const log = makeLog([TRANSFER_TOPIC, addressTopic(FROM)]);
+
+      expect(tokenTransferDecoder.decodeLog(log)).toEqual([]);
+    });
+
+    it('should skip malformed data instead of throwing', () => {
+      const log = makeLog([TRANSFER_TOPIC, addressTopic(FROM), addressTopic(TO)], '0x1234');
+
+      expect(tokenTransferDecoder.decodeLog(log)).toEqual([]);
+    });
+
+    it('should skip logs without topics', () => {
+      expect(tokenTransferDecoder.decodeLog(makeLog([]))).toEqual([]);
+    });
+  });
+
+  describe('decodeLogs()', () => {
+    it('should flatten transfers from all logs', () => {
+      const logs = [
+        makeLog(
+          [TRANSFER_TOPIC, addressTopic(FROM), addressTopic(TO)],
+          abiCoder.encode(['uint256'], [1n])
+        ),
+        makeLog([ethers.id('Sync(uint112,uint112)')]),
+        makeLog(
+          [TRANSFER_BATCH_TOPIC, addressTopic(OPERATOR), addressTopic(FROM), addressTopic(TO)],
+          abiCoder.encode(['uint256[]', 'uint256[]'], [[1n, 2n], [1n, 1n]]),
+          { index: 8 }
+        ),
+      ];
+
+      const transfers = tokenTransferDecoder.decodeLogs(logs);
+
+      expect(transfers).toHaveLength(3);
+      expect(transfers.map(t => t.tokenType)).toEqual(['ERC-20', 'ERC-1155', 'ERC-1155']);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+// Mock logger first
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, MIGRATIONS_DIR } = require('../../lib/migrations');
+
+/**
+ * In-memory stand-in for lib/db: keeps schema_migrations rows and records
+ * every migration SQL that was run
+ */
+function createFakeDb({ legacySchema = false } = {}) {
+  const db = {
+    rows: [],
+    executed: [],
+    legacySchema,
+    failOn: null,
+  };
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+      return { rows: [] };
+    }
+    if (sql.includes('pg_advisory_xact_lock')) {
+      return { rows: [] };
+    }
+    if (sql.includes('to_regclass')) {
+      return { rows: [{ exists: db.legacySchema }] };
+    }
+    if (sql.includes('SELECT version, name, checksum, applied_at FROM schema_migrations')) {
+      return { rows: [...db.rows].sort((a, b) => a.version - b.version) };
+    }
+    if (sql.includes('SELECT 1 FROM schema_migrations')) {
+      return { rows: db.rows.filter(row => row.version === params[0]).map(() => ({ '?column?': 1 })) };
+    }
+    if (sql.includes('INSERT INTO schema_migrations')) {
+      if (db.rows.some(row => row.version === params[0])) {
+        return { rowCount: 0 };
+      }
+      db.rows.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date(0) });
+      return { rowCount: 1 };
+    }
+    if (sql.includes('DELETE FROM schema_migrations')) {
+      db.rows = db.rows.filter(row => row.version !== params[0]);
+      return { rowCount: 1 };
+    }
+
+    if (db.failOn && sql.includes(db.failOn)) {
+      throw new Error('syntax error');
+    }
+    db.executed.push(sql.trim());
+    return { rows: [] };
+  });
+
+  db.query = query;
+  db.transaction = jest.fn(async (callback) => {
+    // Roll back schema_migrations changes on failure, like a real transaction
+    const snapshot = [...db.rows];
+    const executed = db.executed.length;
+    try {
+      return await callback({ query });
+    } catch (error) {
+      db.rows = snapshot;
+      db.executed.length = executed;
+      throw error;
+    }
+  });
+
+  return db;
+}
+
+describe('Migrator', () => {
+  let dir;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+
+    write('001_baseline.up.sql', 'CREATE TABLE a ();');
+    write('001_baseline.down.sql', 'DROP TABLE a;');
+    write('002_add_b.up.sql', 'CREATE TABLE b ();');
+    write('002_add_b.down.sql', 'DROP TABLE b;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadMigrations', () => {
+    test('should load up/down pairs ordered by version', () => {
+      write('010_add_c.up.sql', 'CREATE TABLE c ();');
+      write('010_add_c.down.sql', 'DROP TABLE c;');
+      write('README.md', 'not a migration');
+
+      const migrations = new Migrator(createFakeDb(), { directory: dir }).loadMigrations();
+
+      expect(migrations.map(m => [m.version, m.name])).toEqual([
+        [1, 'baseline'],
+        [2, 'add_b'],
+        [10, 'add_c'],
+      ]);
+      expect(migrations[0].up).toBe('CREATE TABLE a ();');
+      expect(migrations[0].down).toBe('DROP TABLE a;');
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should reject a migration without a down file', () => {
+      write('003_add_c.up.sql', 'CREATE TABLE c ();');
+
+      expect(() => new Migrator(createFakeDb(), { directory: dir }).loadMigrations())
+        .toThrow('Migration 003_add_c needs both an up and a down file');
+    });
+
+    test('should reject two names for one version', () => {
+      write('002_other.up.sql', 'SELECT 1;');
+
+      expect(() => new Migrator(createFakeDb(), { directory: dir }).loadMigrations())
+        .toThrow('Migration version 2 is used by both');
+    });
+
+    test('should reject badly named SQL files', () => {
+      write('add_c.sql', 'SELECT 1;');
+
+      expect(() => new Migrator(createFakeDb(), { directory: dir }).loadMigrations())
+        .toThrow('Invalid migration file name: add_c.sql');
+    });
+
+    test('should load the shipped migrations', () => {
+      const migrations = new Migrator(createFakeDb()).loadMigrations();
+
+      expect(MIGRATIONS_DIR).toMatch(/sql[\\/]migrations$/);
+      expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline' });
+      expect(migrations[0].up).not.toMatch(/DROP TABLE/);
+      expect(migrations[0].down).toMatch(/DROP TABLE IF EXISTS blocks/);
+    });
+  });
+
+  describe('up', () => {
+    test('should apply pending migrations in order and record them', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+
+      const applied = await migrator.up();
+
+      expect(applied).toEqual([
+        { version: 1, name: 'baseline' },
+        { version: 2, name: 'add_b' },
+      ]);
+      expect(db.executed).toEqual(['CREATE TABLE a ();', 'CREATE TABLE b ();']);
+      expect(db.rows.map(row => row.version)).toEqual([1, 2]);
+      // One transaction per migration
+      expect(db.transaction).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip applied migrations', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up({ to: 1 });
+
+      write('003_add_c.up.sql', 'CREATE TABLE c ();');
+      write('003_add_c.down.sql', 'DROP TABLE c;');
+      const applied = await migrator.up();
+
+      expect(applied.map(m => m.version)).toEqual([2, 3]);
+      expect(db.executed).toEqual(['CREATE TABLE a ();', 'CREATE TABLE b ();', 'CREATE TABLE c ();']);
+      expect(await migrator.up()).toEqual([]);
+    });
+
+    test('should stop after --to version', async () => {
+      const db = createFakeDb();
+
+      const applied = await new Migrator(db, { directory: dir }).up({ to: 1 });
+
+      expect(applied).toEqual([{ version: 1, name: 'baseline' }]);
+      expect(db.rows.map(row => row.version)).toEqual([1]);
+    });
+
+    test('should stop at a failing migration and keep earlier ones', async () => {
+      const db = createFakeDb();
+      db.failOn = 'CREATE TABLE b';
+
+      await expect(new Migrator(db, { directory: dir }).up()).rejects.toThrow('syntax error');
+
+      expect(db.rows.map(row => row.version)).toEqual([1]);
+      expect(db.executed).toEqual(['CREATE TABLE a ();']);
+    });
+
+    test('should not repeat a migration another migrator applied meanwhile', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      const [baseline] = migrator.loadMigrations();
+      db.rows.push({ version: 1, name: 'baseline', checksum: baseline.checksum, applied_at: new Date(0) });
+
+      const ran = await migrator.runStep(baseline, 'up');
+
+      expect(ran).toBe(false);
+      expect(db.executed).toEqual([]);
+    });
+
+    test('should refuse when an applied migration was modified', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up();
+
+      write('001_baseline.up.sql', 'CREATE TABLE a (id INT);');
+
+      await expect(migrator.up()).rejects.toThrow('Migration 001_baseline was modified after it was applied');
+    });
+
+    test('should refuse when an applied migration has no file', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up();
+
+      fs.unlinkSync(path.join(dir, '002_add_b.up.sql'));
+      fs.unlinkSync(path.join(dir, '002_add_b.down.sql'));
+
+      await expect(migrator.up()).rejects.toThrow('Applied migration 002_add_b has no file');
+    });
+
+    test('should refuse a database created without migrations', async () => {
+      const db = createFakeDb({ legacySchema: true });
+
+      await expect(new Migrator(db, { directory: dir }).up()).rejects.toThrow('--baseline 1');
+      expect(db.executed).toEqual([]);
+    });
+  });
+
+  describe('down', () => {
+    test('should revert the latest migration', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up();
+
+      const reverted = await migrator.down();
+
+      expect(reverted).toEqual([{ version: 2, name: 'add_b' }]);
+      expect(db.executed.slice(-1)).toEqual(['DROP TABLE b;']);
+      expect(db.rows.map(row => row.version)).toEqual([1]);
+    });
+
+    test('should revert several migrations newest first', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up();
+
+      const reverted = await migrator.down({ steps: 5 });
+
+      expect(reverted.map(m => m.version)).toEqual([2, 1]);
+      expect(db.executed.slice(-2)).toEqual(['DROP TABLE b;', 'DROP TABLE a;']);
+      expect(db.rows).toEqual([]);
+    });
+
+    test('should do nothing when nothing is applied', async () => {
+      const db = createFakeDb();
+
+      expect(await new Migrator(db, { directory: dir }).down()).toEqual([]);
+      expect(db.executed).toEqual([]);
+    });
+  });
+
+  describe('baseline', () => {
+    test('should record migrations as applied without running them', async () => {
+      const db = createFakeDb({ legacySchema: true });
+      const migrator = new Migrator(db, { directory: dir });
+
+      const recorded = await migrator.baseline(1);
+
+      expect(recorded).toEqual([{ version: 1, name: 'baseline' }]);
+      expect(db.executed).toEqual([]);
+
+      // Later migrations apply normally
+      expect(await migrator.up()).toEqual([{ version: 2, name: 'add_b' }]);
+      expect(db.executed).toEqual(['CREATE TABLE b ();']);
+    });
+
+    test('should reject a version below the first migration', async () => {
+      await expect(new Migrator(createFakeDb(), { directory: dir }).baseline(0))
+        .rejects.toThrow('No migration at or below version 0');
+    });
+  });
+
+  describe('status', () => {
+    test('should list applied and pending migrations', async () => {
+      const db = createFakeDb();
+      const migrator = new Migrator(db, { directory: dir });
+      await migrator.up({ to: 1 });
+
+      expect(await migrator.status()).toEqual([
+        { version: 1, name: 'baseline', applied: true, appliedAt: new Date(0) },
+        { version: 2, name: 'add_b', applied: false, appliedAt: null },
+      ]);
+    });
+  });
+});